@@ -0,0 +1,83 @@
+'use strict';
+const FlowSim = require('./js/diagnostics.js');
+const engine = require('./js/engine.js');
+
+// messages returns the messages of every problem at one level
+function messages(problems, level) {
+    return problems.filter((problem) => problem.level == level).map((problem) => problem.message);
+}
+
+describe('Model diagnostics', () => {
+    test('a well formed model has nothing to report but its sink', () => {
+        const model = new engine.Model();
+        model.addFlowNode(1, "gut", "out");
+        model.addContainer(1, 10, 100, "gut", 1, 1);
+        model.addContainer(1, 0, 100, "out", 0, 1);
+        const problems = FlowSim.diagnoseModel(model);
+        expect(problems).toEqual([{ level: "warning", message: "out has no outflow, so liquid only collects in it", names: ["out"] }]);
+    });
+
+    test('flags dangling references and duplicate names as errors', () => {
+        const model = new engine.Model();
+        model.addFlowNode(1, "gut", "liver");
+        model.addFlowNode(1, "kidney", "gut");
+        model.addContainer(1, 10, 100, "gut", 1, 1);
+        model.addContainer(1, 10, 100, "gut", 1, 1);
+        model.addDose("spleen", 1, 1, 0, 1, 1);
+        model.containerList[0].setOverflow("spill", "floor");
+        const errors = messages(FlowSim.diagnoseModel(model), "error");
+        expect(errors).toContain("the name gut is used 2 times");
+        expect(errors).toContain("the flow from gut to liver goes to a container that does not exist");
+        expect(errors).toContain("the flow from kidney to gut starts at a container that does not exist");
+        expect(errors).toContain("a dose goes into spleen, which does not exist");
+        expect(errors).toContain("gut spills into floor, which does not exist");
+    });
+
+    test('flags reactions and doses that use substances or containers that do not exist', () => {
+        const model = new engine.Model();
+        model.addSubstance("metabolite");
+        model.addContainer(1, 10, 100, "liver", 0, 1);
+        model.addReaction("liver", "drug", "metabolite", 0.1);
+        model.addReaction("kidney", "drug", "metabolite", 0.1);
+        model.addReaction("liver", "drug", "waste", 0.1);
+        model.addDose("liver", 1, 1, 0, 1, 1, "waste");
+        const problems = FlowSim.diagnoseModel(model).filter((problem) => problem.level == "error");
+        expect(problems).toEqual([
+            { level: "error", message: "a dose into liver gives waste, which is not one of the substances", names: ["liver"] },
+            { level: "error", message: "drug turns into metabolite in kidney, which does not exist", names: [] },
+            { level: "error", message: "a reaction in liver uses waste, which is not one of the substances", names: ["liver"] }
+        ]);
+    });
+
+    test('flags outflows that do not add up, unreachable containers and rejected settings', () => {
+        const model = new engine.Model();
+        model.addFlowNode(0.8, "gut", "out");
+        model.addFlowNode(0.4, "gut", "liver");
+        model.addFlowNode(0.5, "liver", "out");
+        model.addFlowNode(0.5, "island", "out");
+        model.addContainer(1, 10, 100, "gut", 1, 1);
+        model.addContainer(1, 0, 100, "liver", 0, 1);
+        model.addContainer(1, 0, 100, "island", 0, 1);
+        model.addContainer(1, 0, 100, "out", 0, 1);
+        const problems = FlowSim.diagnoseModel(model, {
+            initialStates: [{ name: "gut", startLevel: 200, startConcentration: 1 }],
+            checkContainer: (state) => state.startLevel > state.maxCapacity ?
+                { bool: false, errorMsg: "too full" } : { bool: true, errorMsg: "" }
+        });
+        expect(problems[0].level).toBe("error");
+        expect(messages(problems, "error")).toEqual([
+            "the flows out of gut add up to 120% of its output, more than all of it"
+        ]);
+        expect(messages(problems, "warning")).toEqual([
+            "gut: too full",
+            "the flows out of liver only add up to 50% of its output",
+            "the flows out of island only add up to 50% of its output",
+            "out has no outflow, so liquid only collects in it",
+            "island starts empty and no liquid can ever reach it"
+        ]);
+
+        // Liquid spilling over the top of the liver gets into the island
+        model.findContainer("liver").setOverflow("spill", "island");
+        expect(messages(FlowSim.diagnoseModel(model), "warning")).not.toContain("island starts empty and no liquid can ever reach it");
+    });
+});
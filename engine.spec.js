@@ -0,0 +1,380 @@
+'use strict';
+const FlowSim = require('./js/engine.js');
+
+// buildDemo creates the same network the #demo button builds in the browser
+function buildDemo() {
+    const model = new FlowSim.Model();
+    model.addFlowNode(1, "drugsIn", "stomach");
+    model.addFlowNode(1, "stomach", "small intestine");
+    model.addFlowNode(0.5, "small intestine", "large intestine");
+    model.addFlowNode(0.5, "small intestine", "bloodstream");
+    model.addFlowNode(0.5, "large intestine", "bloodstream");
+    model.addFlowNode(0.5, "large intestine", "out");
+    model.addFlowNode(0.25, "bloodstream", "liver");
+    model.addFlowNode(0.5, "liver", "bloodstream");
+    model.addFlowNode(0.5, "liver", "out");
+    model.addFlowNode(0.25, "bloodstream", "brain");
+    model.addFlowNode(1, "brain", "bloodstream");
+
+    model.addContainer(0.5, 500, 500, "drugsIn", 1, 1);
+    model.addContainer(0.1, 300, 800, "stomach", 0, 0.9);
+    model.addContainer(0.1, 300, 500, "small intestine", 0, 0.4);
+    model.addContainer(0.1, 300, 500, "large intestine", 0, 0.5);
+    model.addContainer(0.2, 300, 2000, "bloodstream", 0, 0.015);
+    model.addContainer(0.1, 0, 4000, "out", 0, 0.5);
+    model.addContainer(0.1, 300, 500, "liver", 0, 0.007);
+    model.addContainer(0.1, 300, 500, "brain", 0, 0.5);
+    model.updateRates();
+    return model;
+}
+
+describe('Simulation engine', () => {
+    test('runs without a browser and advances its clock', () => {
+        const model = buildDemo();
+        model.runUntil(1);
+        expect(model.time).toBeCloseTo(1, 10);
+        expect(model.findContainer("out").currLiquidLevel).toBeGreaterThan(0);
+    });
+
+    test('getState returns a snapshot that does not change with the model', () => {
+        const model = buildDemo();
+        const state = model.getState();
+        model.runUntil(1);
+        expect(state.time).toBe(0);
+        expect(state.containers.length).toBe(8);
+        expect(state.nodes.length).toBe(11);
+        expect(state.containers[0].currLiquidLevel).toBe(500);
+    });
+
+    test('removeContainer takes the flow nodes coming out of it with it', () => {
+        const model = buildDemo();
+        model.removeContainer("liver");
+        expect(model.findContainer("liver")).toBeNull();
+        expect(model.getMatchingOutNodeArray("liver").length).toBe(0);
+        expect(model.getMatchingOutNodeArray("bloodstream").length).toBe(2);
+    });
+
+    test('removeFlowNode removes only the given flow node', () => {
+        const model = buildDemo();
+        const node = model.getMatchingOutNodeArray("liver")[1];
+        model.removeFlowNode(node);
+        expect(model.nodeList.length).toBe(10);
+        expect(model.getMatchingOutNodeArray("liver").map((other) => other.outputToContainer)).toEqual(["bloodstream"]);
+    });
+
+    test('renameContainer keeps every flow node, dose and infusion pointing at the container', () => {
+        const model = buildDemo();
+        model.addDose("liver", 1, 1, 0, 1, 1);
+        model.addInfusion("drip", "liver", 1, 1, 0, 1);
+        model.renameContainer("liver", "hepatic");
+        expect(model.findContainer("liver")).toBeNull();
+        expect(model.getMatchingOutNodeArray("hepatic").length).toBe(2);
+        expect(model.getMatchingInNodeArray("hepatic").length).toBe(1);
+        expect(model.doseList[0].target).toBe("hepatic");
+        expect(model.findInfusion("drip").target).toBe("hepatic");
+    });
+
+    test('restart puts containers back to their starting state', () => {
+        const model = buildDemo();
+        model.runUntil(2);
+        model.restart([{ name: "drugsIn", startLevel: 500, startConcentration: 1 }]);
+        expect(model.time).toBe(0);
+        expect(model.findContainer("drugsIn").currLiquidLevel).toBe(500);
+        expect(model.nodeList[0].currRate).toBe(0.5);
+    });
+
+    test('runUntil lands exactly on the requested time with any step size', () => {
+        const model = buildDemo();
+        model.setStepSize(0.3);
+        model.runUntil(1);
+        expect(model.time).toBeCloseTo(1, 12);
+    });
+
+    // Every method moves the same amount of substance out of one container as into the next
+    test('every integration method conserves liquid and substance', () => {
+        FlowSim.METHODS.forEach((method) => {
+            const model = buildDemo();
+            model.setMethod(method);
+            model.setStepSize(0.5);
+            model.runUntil(50);
+            const totals = model.containerList.reduce((acc, container) => {
+                return {
+                    level: acc.level + container.currLiquidLevel,
+                    amount: acc.amount + container.currLiquidLevel * container.currConcentration
+                };
+            }, { level: 0, amount: 0 });
+            expect(totals.level).toBeCloseTo(2300, 6);
+            expect(totals.amount).toBeCloseTo(500, 6);
+        });
+    });
+
+    test('integration methods converge to the same answer as the step shrinks', () => {
+        const reference = buildDemo();
+        reference.setMethod("rk45");
+        reference.settings.tolerance = 1e-10;
+        reference.setStepSize(1);
+        reference.runUntil(20);
+        const expected = reference.findContainer("bloodstream").currConcentration;
+
+        ["exponential", "euler", "rk4"].forEach((method) => {
+            const errors = [0.1, 0.01].map((stepSize) => {
+                const model = buildDemo();
+                model.setMethod(method);
+                model.setStepSize(stepSize);
+                model.runUntil(20);
+                return Math.abs(model.findContainer("bloodstream").currConcentration - expected);
+            });
+            expect(errors[1]).toBeLessThan(errors[0] + 1e-12);
+            expect(errors[1]).toBeLessThan(1e-4);
+        });
+    });
+
+    test('rejects unknown integration methods and invalid step sizes', () => {
+        const model = new FlowSim.Model();
+        expect(() => model.setMethod("midpoint")).toThrow();
+        expect(() => model.setStepSize(0)).toThrow();
+    });
+
+    test('gives scheduled doses at their exact times', () => {
+        const model = new FlowSim.Model();
+        model.addFlowNode(1, "gut", "out");
+        model.addContainer(0, 0, 1000, "gut", 0, 1);
+        model.addContainer(0, 0, 1000, "out", 0, 1);
+        model.setStepSize(0.3);
+        model.addDose("gut", 10, 0.5, 0, 1, 3);
+        model.restart([]);
+        expect(model.findContainer("gut").currLiquidLevel).toBe(10);
+
+        model.runUntil(1.5);
+        expect(model.findContainer("gut").currLiquidLevel).toBe(20);
+        expect(model.findContainer("gut").currConcentration).toBeCloseTo(0.5, 12);
+        model.runUntil(10);
+        expect(model.findContainer("gut").currLiquidLevel).toBe(30);
+
+        model.restart([{ name: "gut", startLevel: 0, startConcentration: 0 }]);
+        expect(model.findContainer("gut").currLiquidLevel).toBe(10);
+    });
+
+    test('repeated doses accumulate towards a steady state', () => {
+        const model = new FlowSim.Model();
+        model.addFlowNode(1, "bloodstream", "out");
+        model.addContainer(1000, 0, 1000, "bloodstream", 0, 1);
+        model.addContainer(0, 0, 100000, "out", 0, 1);
+        model.setMethod("rk4");
+        model.setStepSize(0.01);
+        model.addDose("bloodstream", 10, 1, 0, 0.5, 100);
+        model.restart([]);
+        const troughs = [];
+        for (let dose = 1; dose <= 20; dose++) {
+            model.runUntil(dose * 0.5 - 1e-6);
+            troughs.push(model.findContainer("bloodstream").currLiquidLevel);
+        }
+        // Level falls as e^-t between doses, so troughs approach 10 * r / (1 - r) with r = e^-0.5
+        const ratio = Math.exp(-0.5);
+        expect(troughs[1]).toBeGreaterThan(troughs[0]);
+        expect(troughs[19]).toBeCloseTo(10 * ratio / (1 - ratio), 2);
+    });
+
+    test('infusions feed their container at a constant rate between start and stop', () => {
+        const model = new FlowSim.Model();
+        model.addContainer(0, 100, 1000, "bloodstream", 0, 1);
+        model.setStepSize(0.3);
+        model.addInfusion("drip", "bloodstream", 2, 0.5, 1, 4);
+        model.restart([]);
+
+        model.runUntil(1);
+        expect(model.findContainer("bloodstream").currLiquidLevel).toBeCloseTo(100, 12);
+        model.runUntil(2.5);
+        expect(model.findContainer("bloodstream").currLiquidLevel).toBeCloseTo(103, 10);
+        expect(model.findContainer("bloodstream").currInRate).toBe(2);
+        model.runUntil(10);
+        expect(model.findContainer("bloodstream").currLiquidLevel).toBeCloseTo(106, 10);
+        expect(model.findContainer("bloodstream").currConcentration).toBeCloseTo(3 / 106, 10);
+        expect(model.findInfusion("drip").currRate).toBe(0);
+        expect(model.findInfusion("drip").delivered).toBeCloseTo(6, 10);
+        model.restart([]);
+        expect(model.findInfusion("drip").delivered).toBe(0);
+    });
+
+    test('non-linear kinetic laws set flow node rates from the input container', () => {
+        const model = new FlowSim.Model();
+        const linear = model.addFlowNode(0.5, "liver", "out");
+        const saturable = model.addFlowNode(0, "liver", "out", { law: "michaelis-menten", vmax: 4, km: 0.25 });
+        const constant = model.addFlowNode(0, "liver", "out", { law: "zero-order", rate: 3 });
+        const hill = model.addFlowNode(0, "liver", "out", { law: "hill", vmax: 4, km: 0.5, hillCoefficient: 2 });
+        model.addContainer(2, 100, 1000, "liver", 0.25, 1);
+        model.addContainer(0, 0, 1000, "out", 0, 1);
+        model.updateRates();
+        expect(linear.currRate).toBe(1);
+        expect(saturable.currRate).toBeCloseTo(2, 12);
+        expect(constant.currRate).toBe(3);
+        expect(hill.currRate).toBeCloseTo(4 * 0.0625 / (0.25 + 0.0625), 12);
+
+        // Doubling a saturated concentration barely changes the rate
+        model.restart([{ name: "liver", startLevel: 100, startConcentration: 50 }]);
+        expect(saturable.currRate).toBeLessThan(4);
+        expect(saturable.currRate).toBeGreaterThan(3.9);
+
+        // No law takes more than the input container holds
+        model.restart([{ name: "liver", startLevel: 1, startConcentration: 0.25 }]);
+        expect(constant.currRate).toBe(1);
+    });
+
+    test('zero-order flow drains a container linearly and stops when it is empty', () => {
+        const model = new FlowSim.Model();
+        model.addFlowNode(0, "gut", "out", { law: "zero-order", rate: 2 });
+        model.addContainer(0, 10, 1000, "gut", 1, 1);
+        model.addContainer(0, 0, 1000, "out", 0, 1);
+        model.setMethod("rk4");
+        model.setStepSize(0.01);
+        model.runUntil(2);
+        expect(model.findContainer("gut").currLiquidLevel).toBeCloseTo(6, 6);
+        model.runUntil(20);
+        expect(model.findContainer("gut").currLiquidLevel).toBeGreaterThanOrEqual(0);
+        expect(model.findContainer("out").currLiquidLevel).toBeCloseTo(10, 3);
+    });
+
+    test('rejects unknown kinetic laws and missing parameters', () => {
+        const model = new FlowSim.Model();
+        expect(() => model.addFlowNode(0, "a", "b", { law: "cubic" })).toThrow();
+        expect(() => model.addFlowNode(0, "a", "b", { law: "michaelis-menten", vmax: 1 })).toThrow(/km/);
+        expect(FlowSim.validateKinetics({ law: "zero-order", rate: 0 }).bool).toBe(true);
+    });
+
+    test('reactions turn one substance into another where they happen', () => {
+        FlowSim.METHODS.forEach((method) => {
+            const model = new FlowSim.Model();
+            model.addContainer(0, 10, 100, "liver", 2, 1);
+            model.addSubstance("metabolite");
+            model.addReaction("liver", "drug", "metabolite", 0.5);
+            model.setMethod(method);
+            model.setStepSize(0.01);
+            model.runUntil(2);
+            const liver = model.findContainer("liver");
+            expect(liver.getConcentration("drug")).toBeCloseTo(2 * Math.exp(-1), 2);
+            expect(liver.getConcentration("drug") + liver.getConcentration("metabolite")).toBeCloseTo(2, 9);
+        });
+    });
+
+    test('flows, doses and infusions carry each substance on its own', () => {
+        const model = new FlowSim.Model();
+        model.addFlowNode(1, "bloodstream", "out");
+        model.addContainer(1, 10, 100, "bloodstream", 1, 1);
+        model.addSubstance("antidote");
+        model.addContainer(1, 0, 100, "out", 0, 1, { antidote: { concentration: 0, lethalConcentration: 5 } });
+        expect(model.findContainer("out").getLethalConcentration("antidote")).toBe(5);
+        expect(model.getStateVector()).toEqual([10, 10, 0, 0, 0, 0]);
+
+        model.addDose("bloodstream", 10, 4, 0, 0, 1, "antidote");
+        model.addInfusion("drip", "out", 1, 2, 0, 100, "antidote");
+        model.restart([]);
+        const blood = model.findContainer("bloodstream");
+        expect(blood.getConcentration("drug")).toBeCloseTo(0.5, 12);
+        expect(blood.getConcentration("antidote")).toBeCloseTo(2, 12);
+
+        model.setMethod("rk45");
+        model.runUntil(10);
+        const state = model.getState().containers[0];
+        expect(state.concentrations.drug).toBeCloseTo(0.5, 9);
+        expect(state.concentrations.antidote).toBeCloseTo(2, 9);
+
+        model.renameSubstance("antidote", "naloxone");
+        expect(model.infusionList[0].substance).toBe("naloxone");
+        model.removeSubstance("naloxone");
+        expect(model.doseList).toEqual([]);
+        expect(model.infusionList).toEqual([]);
+        expect(() => model.removeSubstance("drug")).toThrow();
+    });
+
+    test('a full container that pushes back holds back the flows and infusions into it', () => {
+        FlowSim.METHODS.forEach((method) => {
+            const model = new FlowSim.Model();
+            model.addFlowNode(1, "gut", "bladder");
+            model.addFlowNode(1, "bladder", "out");
+            model.addContainer(5, 100, 100, "gut", 1, 1);
+            model.addContainer(0.5, 5, 10, "bladder", 0, 1);
+            model.addContainer(0, 0, 1000, "out", 0, 1);
+            model.addInfusion("drip", "bladder", 1, 0, 0, 100);
+            model.setMethod(method);
+            model.setStepSize(0.1);
+            for (let time = 1; time <= 20; time++) {
+                model.runUntil(time);
+                expect(model.findContainer("bladder").currLiquidLevel).toBeLessThanOrEqual(10);
+            }
+
+            // Once full, the gut and the drip share the 0.5 the bladder lets out
+            expect(model.findContainer("bladder").currLiquidLevel).toBeCloseTo(10, 9);
+            expect(model.infusionList[0].currRate).toBeCloseTo(1 / 12, 9);
+            expect(model.infusionList[0].delivered).toBeLessThan(20);
+            expect(model.findContainer("gut").currLiquidLevel).toBeCloseTo(87.5, 6);
+            expect(model.findContainer("out").currLiquidLevel).toBeCloseTo(10, 6);
+        });
+
+        const model = new FlowSim.Model();
+        model.addContainer(0, 8, 10, "cup", 1, 1);
+        model.addDose("cup", 4, 0, 0, 0, 1);
+        model.restart([]);
+        expect(model.findContainer("cup").currLiquidLevel).toBe(10);
+        expect(model.findContainer("cup").currConcentration).toBeCloseTo(0.8, 12);
+    });
+
+    test('a container set to spill passes on what does not fit, substance and all', () => {
+        const model = new FlowSim.Model();
+        model.addContainer(0, 8, 10, "cup", 0.5, 1);
+        model.addContainer(0, 0, 100, "saucer", 0, 1);
+        model.findContainer("cup").setOverflow("spill", "saucer");
+        model.addDose("cup", 4, 1, 0, 0, 1);
+        model.restart([]);
+        const cup = model.findContainer("cup");
+        const saucer = model.findContainer("saucer");
+        expect(cup.currLiquidLevel).toBe(10);
+        expect(cup.currConcentration).toBeCloseTo(2 / 3, 12);
+        expect(saucer.currLiquidLevel).toBeCloseTo(2, 12);
+        expect(saucer.currConcentration).toBeCloseTo(2 / 3, 12);
+
+        model.renameContainer("saucer", "tray");
+        expect(cup.overflow).toEqual({ mode: "spill", target: "tray" });
+
+        // With nowhere to go it leaves the model
+        cup.setOverflow("spill");
+        model.restart([{ name: "tray", startLevel: 0, startConcentration: 0 }]);
+        expect(cup.currLiquidLevel).toBe(10);
+        expect(saucer.currLiquidLevel).toBe(0);
+        expect(() => cup.setOverflow("flood")).toThrow();
+    });
+
+    test('a container set to stop halts the model when it fills up', () => {
+        const model = new FlowSim.Model();
+        model.addContainer(0, 0, 10, "tank", 0, 1);
+        model.findContainer("tank").setOverflow("stop");
+        model.addInfusion("drip", "tank", 1, 0, 0, 100);
+        model.restart([]);
+        model.runUntil(50);
+        expect(model.halted.container).toBe("tank");
+        expect(model.halted.time).toBeCloseTo(10, 1);
+        expect(model.time).toBe(model.halted.time);
+
+        model.step();
+        expect(model.time).toBe(model.halted.time);
+        model.restart([{ name: "tank", startLevel: 0, startConcentration: 0 }]);
+        expect(model.halted).toBeNull();
+    });
+
+    test('no step takes a container below empty', () => {
+        FlowSim.METHODS.forEach((method) => {
+            const model = new FlowSim.Model();
+            model.addFlowNode(0, "gut", "out", { law: "zero-order", rate: 3 });
+            model.addFlowNode(1, "gut", "out");
+            model.addContainer(2, 4, 100, "gut", 1, 1);
+            model.addContainer(0, 0, 100, "out", 0, 1);
+            model.setMethod(method);
+            model.setStepSize(5);
+            model.runUntil(20);
+            const gut = model.findContainer("gut");
+            const out = model.findContainer("out");
+            expect(gut.currLiquidLevel).toBeGreaterThanOrEqual(0);
+            expect(gut.currLiquidLevel + out.currLiquidLevel).toBeCloseTo(4, 9);
+            expect(out.currConcentration).toBeCloseTo(1, 9);
+        });
+    });
+});
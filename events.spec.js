@@ -0,0 +1,57 @@
+'use strict';
+const FlowSim = require('./js/events.js');
+
+// snapshot creates a model state with one container
+function snapshot(time, level, concentration) {
+    return {
+        time: time,
+        containers: [{
+            nameIdentifier: "bloodstream",
+            currLiquidLevel: level,
+            concentrations: { drug: concentration },
+            lethalConcentrations: { drug: 0.5 }
+        }]
+    };
+}
+
+describe('Event rules', () => {
+    test('logs a crossing once, at the time it happened', () => {
+        const rule = { container: "bloodstream", quantity: "concentration", substance: "drug", direction: "above", threshold: "lethal", action: "mark" };
+        const monitor = new FlowSim.EventMonitor([rule]);
+        expect(monitor.check(snapshot(0, 10, 0.2))).toEqual([]);
+        const events = monitor.check(snapshot(10, 10, 0.8));
+        expect(events.length).toBe(1);
+        expect(events[0].time).toBeCloseTo(5);
+        expect(events[0].message).toBe("bloodstream drug concentration went above its lethal concentration of 0.5");
+        expect(monitor.check(snapshot(20, 10, 0.9))).toEqual([]);
+
+        monitor.check(snapshot(30, 10, 0.1));
+        expect(monitor.check(snapshot(40, 10, 0.6)).length).toBe(1);
+        expect(monitor.log.length).toBe(2);
+    });
+
+    test('does not go off for values within rounding of the threshold, or for ignored rules', () => {
+        const monitor = new FlowSim.EventMonitor([
+            { container: null, quantity: "concentration", substance: null, direction: "above", threshold: 1, action: "pause" },
+            { container: null, quantity: "level", substance: null, direction: "below", threshold: 5, action: "ignore" }
+        ]);
+        monitor.check(snapshot(0, 10, 0.5));
+        expect(monitor.check(snapshot(1, 2, 1.0000000083))).toEqual([]);
+        expect(monitor.log).toEqual([]);
+        monitor.reset();
+        expect(monitor.check(snapshot(2, 2, 1.1))[0].action).toBe("pause");
+    });
+
+    test('checks rules', () => {
+        expect(FlowSim.validateEventRule(FlowSim.DEFAULT_EVENT_RULES[0]).bool).toBe(true);
+        const rule = { container: null, quantity: "volume", substance: null, direction: "above", threshold: 1, action: "log" };
+        expect(FlowSim.validateEventRule(rule).errorMsg).toMatch(/must watch one of concentration, level/);
+        rule.quantity = "level";
+        rule.direction = "across";
+        expect(FlowSim.validateEventRule(rule).errorMsg).toMatch(/above or below/);
+        rule.direction = "below";
+        rule.action = "beep";
+        expect(FlowSim.validateEventRule(rule).errorMsg).toMatch(/action must be one of pause, log, mark, ignore/);
+        expect(FlowSim.describeEventRule(FlowSim.DEFAULT_EVENT_RULES[0])).toBe("any container any concentration above 1: pause");
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+const FlowSim = require('./js/fitting.js');
+const buildDocument = require('./fixtures.js').buildDocument;
+
+describe('Model fitting', () => {
+    test('reads observed data in any column order', () => {
+        const result = FlowSim.parseObservations('Concentration (mg/L),"Time (h)",Container\n0.5,1,bloodstream\r\n\n0.25,2,"blood, venous"\n');
+        expect(result.bool).toBe(true);
+        expect(result.observations).toEqual([
+            { time: 1, container: "bloodstream", concentration: 0.5 },
+            { time: 2, container: "blood, venous", concentration: 0.25 }
+        ]);
+
+        const bad = FlowSim.parseObservations("time,container,concentration\nsoon,gut,1\n2,gut,\n");
+        expect(bad.bool).toBe(false);
+        expect(bad.errorMsg).toBe("line 2: time must be a number that is not negative\nline 3: concentration must be a number that is not negative");
+        expect(FlowSim.parseObservations("time,concentration\n1,1").errorMsg).toBe("the first line needs a container column");
+    });
+
+    test('finds the output rate the data came from', () => {
+        const observations = [5, 10, 20, 30, 40, 60].map((time) => ({ time: time, container: "bloodstream" }));
+        const truth = FlowSim.predictObservations(buildDocument(0.8), observations);
+        observations.forEach((observation, i) => {
+            observation.concentration = truth[i];
+        });
+
+        const fit = FlowSim.fitParameters(buildDocument(0.4), ["containers/1/maxOutRate"], observations);
+        expect(fit.bool).toBe(true);
+        expect(fit.parameters[0].start).toBe(0.4);
+        expect(fit.parameters[0].value).toBeCloseTo(0.8, 3);
+        expect(fit.parameters[0].low).toBeLessThanOrEqual(fit.parameters[0].value);
+        expect(fit.parameters[0].high).toBeGreaterThanOrEqual(fit.parameters[0].value);
+        expect(fit.rSquared).toBeCloseTo(1, 5);
+        expect(fit.residuals.length).toBe(6);
+        expect(Math.abs(fit.residuals[2].residual)).toBeLessThan(1e-4);
+
+        // Every round that improved the fit is counted, the last one too
+        const steps = FlowSim.fitSteps(buildDocument(0.4), ["containers/1/maxOutRate"], observations);
+        let next = steps.next();
+        while (!next.done) {
+            expect(next.value).toBeLessThanOrEqual(1);
+            next = steps.next();
+        }
+        expect(next.value).toEqual(fit);
+        expect(FlowSim.fitParameters(buildDocument(0.8), ["containers/1/maxOutRate"], observations).iterations).toBe(0);
+        // With noise in the data the last round still improves the fit, by too little to go on
+        const noisy = observations.map((observation, i) => Object.assign({}, observation, {
+            concentration: observation.concentration * (i % 2 == 0 ? 0.95 : 1.05)
+        }));
+        expect(FlowSim.fitParameters(buildDocument(0.4), ["containers/1/maxOutRate"], noisy).iterations).toBe(3);
+    });
+
+    test('checks what it is asked to fit', () => {
+        const doc = buildDocument(0.5);
+        const observations = [{ time: 1, container: "liver", concentration: 0.1 }];
+        expect(FlowSim.fitParameters(doc, [], observations).errorMsg).toBe("pick at least one parameter to fit");
+        expect(FlowSim.fitParameters(doc, ["containers/1/maxOutRate"], observations).errorMsg)
+            .toBe("there is no container called liver in the model");
+        observations[0].container = "bloodstream";
+        expect(FlowSim.fitParameters(doc, ["containers/1/maxOutRate", "containers/0/maxOutRate"], observations).errorMsg)
+            .toBe("fitting 2 parameters needs at least 2 observations");
+    });
+});
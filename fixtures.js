@@ -0,0 +1,19 @@
+'use strict';
+// Models shared by the specs of the modules that rerun a model document
+const serialization = require('./js/serialization.js');
+const engine = require('./js/engine.js');
+
+// buildDocument describes a small gut -> bloodstream -> out network
+// @param outRate: optional maximum output rate of the bloodstream, 0.5 if left out
+// @return: model document
+function buildDocument(outRate) {
+    const model = new engine.Model();
+    model.addFlowNode(1, "gut", "bloodstream");
+    model.addFlowNode(0.5, "bloodstream", "out");
+    model.addContainer(1, 20, 100, "gut", 1, 1);
+    model.addContainer(outRate === undefined ? 0.5 : outRate, 100, 500, "bloodstream", 0, 0.15);
+    model.addContainer(0, 0, 1000, "out", 0, 1);
+    return serialization.serializeModel(model);
+}
+
+module.exports = { buildDocument: buildDocument };
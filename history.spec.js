@@ -0,0 +1,70 @@
+'use strict';
+const FlowSim = require('./js/history.js');
+
+// snapshot creates a fake Model.getState() result with one container
+function snapshot(time, concentration) {
+    return {
+        time: time,
+        containers: [{ nameIdentifier: "bloodstream", currConcentration: concentration }],
+        nodes: []
+    };
+}
+
+describe('Simulation history', () => {
+    test('returns the recorded values of a container over time', () => {
+        const history = new FlowSim.History();
+        history.record(snapshot(0, 0));
+        history.record(snapshot(1, 0.5));
+        expect(history.getContainerNames()).toEqual(["bloodstream"]);
+        expect(history.getSeries("bloodstream", "currConcentration")).toEqual([{ x: 0, y: 0 }, { x: 1, y: 0.5 }]);
+        expect(history.getSeries("liver", "currConcentration")).toEqual([]);
+    });
+
+    test('thins out old snapshots instead of dropping the start of a long run', () => {
+        const history = new FlowSim.History(10);
+        for (let i = 0; i <= 20; i++) {
+            history.record(snapshot(i, i));
+        }
+        expect(history.samples.length).toBeLessThanOrEqual(10);
+        expect(history.samples[0].time).toBe(0);
+        expect(history.samples[history.samples.length - 1].time).toBe(20);
+    });
+
+    test('writes one CSV row per snapshot with units in the headers', () => {
+        const history = new FlowSim.History();
+        history.record({
+            time: 0,
+            containers: [{ nameIdentifier: "gut, upper", currConcentration: 1, currLiquidLevel: 10, currInRate: 0, currOutRate: 0.5 }],
+            nodes: [{ inputFromContainer: "gut, upper", outputToContainer: "out", currRate: 0.5 }]
+        });
+        history.record({
+            time: 1,
+            containers: [{ nameIdentifier: "gut, upper", currConcentration: NaN, currLiquidLevel: 9.5, currInRate: 0, currOutRate: 0.5 }],
+            nodes: [{ inputFromContainer: "gut, upper", outputToContainer: "out", currRate: 0.5 }]
+        });
+        const lines = history.toCSV({ fluid: "mL", time: "min", substance: "mg" }).trim().split("\n");
+        expect(lines[0]).toBe('time (min),"gut, upper concentration (mg/mL)","gut, upper liquid level (mL)",' +
+            '"gut, upper input flow (mL/min)","gut, upper output flow (mL/min)","gut, upper -> out rate (mL/min)"');
+        expect(lines[1]).toBe("0,1,10,0,0.5,0.5");
+        expect(lines[2]).toBe("1,,9.5,0,0.5,0.5");
+    });
+
+    test('keeps the concentration of every substance', () => {
+        const history = new FlowSim.History();
+        history.record({
+            time: 0,
+            containers: [{
+                nameIdentifier: "liver", currConcentration: 1, currLiquidLevel: 10, currInRate: 0, currOutRate: 0,
+                concentrations: { drug: 1, metabolite: 0.25 }
+            }],
+            nodes: []
+        });
+        expect(history.getSubstanceNames()).toEqual(["drug", "metabolite"]);
+        expect(history.getSeries("liver", "currConcentration", "metabolite")).toEqual([{ x: 0, y: 0.25 }]);
+        expect(history.getSeries("liver", "currLiquidLevel", "metabolite")).toEqual([{ x: 0, y: 10 }]);
+        const lines = history.toCSV().trim().split("\n");
+        expect(lines[0]).toMatch(/^time \(s\),liver drug concentration \(substance\/L\),/);
+        expect(lines[0]).toMatch(/liver metabolite concentration \(substance\/L\)$/);
+        expect(lines[1]).toBe("0,1,10,0,0,0.25");
+    });
+});
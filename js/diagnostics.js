@@ -0,0 +1,152 @@
+// Model diagnostics for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Looks through a model for things that stop it from running the way it was meant
+// to: flows, doses, infusions, reactions and overflows pointing at containers or
+// substances that do not exist, names used twice, outflow fractions that do not add
+// up and parts of the network that liquid can never reach or never leave.
+'use strict';
+
+(function (FlowSim) {
+    // diagnoseModel lists every problem found in a model
+    // @param model: FlowSim.Model to check
+    // @param options: object with any of
+    //      initialStates: array of { name, startLevel, startConcentration, ... } the containers
+    //                     start from, the current values are used for containers not in it
+    //      checkContainer: function (state, outShare) returning { bool, errorMsg }, used to
+    //                      check each initial state with the same rules as the sidebar
+    // @return: array of { level: "error" or "warning", message, names } where names lists the
+    //          containers and infusions the problem is about
+    function diagnoseModel(model, options) {
+        options = options || {};
+        let initialStates = options.initialStates || [];
+        let problems = [];
+        let error = (message, names) => problems.push({ level: "error", message: message, names: names });
+        let warning = (message, names) => problems.push({ level: "warning", message: message, names: names });
+        let exists = (name) => model.findContainer(name) !== null;
+        let isSubstance = (name) => model.getSubstanceIndex(name) != -1;
+
+        // Names used more than once
+        let counts = {};
+        model.containerList.map((container) => container.nameIdentifier)
+            .concat(model.infusionList.map((infusion) => infusion.name))
+            .forEach((name) => {
+                counts[name] = (counts[name] || 0) + 1;
+            });
+        Object.keys(counts).forEach((name) => {
+            if (counts[name] > 1) error(`the name ${name} is used ${counts[name]} times`, [name]);
+        });
+
+        // References to containers that do not exist
+        model.nodeList.forEach((node) => {
+            let names = [node.inputFromContainer, node.outputToContainer].filter(exists);
+            if (!exists(node.inputFromContainer)) {
+                error(`the flow from ${node.inputFromContainer} to ${node.outputToContainer} starts at a container that does not exist`, names);
+            }
+            if (!exists(node.outputToContainer)) {
+                error(`the flow from ${node.inputFromContainer} to ${node.outputToContainer} goes to a container that does not exist`, names);
+            }
+        });
+        model.doseList.forEach((dose) => {
+            if (!exists(dose.target)) error(`a dose goes into ${dose.target}, which does not exist`, []);
+            if (!isSubstance(dose.substance)) {
+                error(`a dose into ${dose.target} gives ${dose.substance}, which is not one of the substances`, [dose.target].filter(exists));
+            }
+        });
+        model.infusionList.forEach((infusion) => {
+            if (!exists(infusion.target)) {
+                error(`infusion ${infusion.name} feeds ${infusion.target}, which does not exist`, [infusion.name]);
+            }
+            if (!isSubstance(infusion.substance)) {
+                error(`infusion ${infusion.name} gives ${infusion.substance}, which is not one of the substances`, [infusion.name]);
+            }
+        });
+        model.containerList.forEach((container) => {
+            let target = container.overflow.target;
+            if (container.overflow.mode == "spill" && target !== null && !exists(target)) {
+                error(`${container.nameIdentifier} spills into ${target}, which does not exist`, [container.nameIdentifier]);
+            }
+        });
+        model.reactionList.forEach((reaction) => {
+            let names = [reaction.container].filter(exists);
+            if (!exists(reaction.container)) {
+                error(`${reaction.from} turns into ${reaction.to} in ${reaction.container}, which does not exist`, names);
+            }
+            [reaction.from, reaction.to].filter((name) => !isSubstance(name)).forEach((name) => {
+                error(`a reaction in ${reaction.container} uses ${name}, which is not one of the substances`, names);
+            });
+        });
+
+        // Each container's settings and outflows
+        model.containerList.forEach((container) => {
+            let name = container.nameIdentifier;
+            let outNodes = model.getMatchingOutNodeArray(name);
+            let outShare = outNodes.reduce((acc, node) => node.kinetics.law == "linear" ? acc + node.percentOutRate : acc, 0);
+            let allLinear = outNodes.every((node) => node.kinetics.law == "linear");
+
+            if (outNodes.length == 0) {
+                warning(`${name} has no outflow, so liquid only collects in it`, [name]);
+            } else if (outShare > 1 + 1e-9) {
+                error(`the flows out of ${name} add up to ${formatShare(outShare)} of its output, more than all of it`, [name]);
+            } else if (allLinear && outShare < 1 - 1e-9) {
+                warning(`the flows out of ${name} only add up to ${formatShare(outShare)} of its output`, [name]);
+            }
+
+            if (options.checkContainer) {
+                let initial = initialStates.find((state) => state.name == name);
+                let state = {
+                    name: name,
+                    maxOut: container.maxOutRate,
+                    startLevel: initial ? initial.startLevel : container.currLiquidLevel,
+                    maxCapacity: container.maxLiquidLevel,
+                    startConcentration: initial ? initial.startConcentration : container.currConcentration,
+                    lethalConcentration: container.lethalConcentration
+                };
+                let check = options.checkContainer(state, outShare);
+                if (!check.bool) warning(`${name}: ${check.errorMsg}`, [name]);
+            }
+        });
+
+        // Containers liquid can never get into: start from every container that holds
+        // liquid and everything dosed or infused, and follow the flows and spilled overflows
+        let reached = {};
+        let stack = [];
+        let visit = (name) => {
+            if (exists(name) && !reached[name]) {
+                reached[name] = true;
+                stack.push(name);
+            }
+        };
+        model.containerList.forEach((container) => {
+            let initial = initialStates.find((state) => state.name == container.nameIdentifier);
+            let level = initial ? initial.startLevel : container.currLiquidLevel;
+            if (level > 0) visit(container.nameIdentifier);
+        });
+        model.doseList.forEach((dose) => visit(dose.target));
+        model.infusionList.forEach((infusion) => visit(infusion.target));
+        while (stack.length > 0) {
+            let name = stack.pop();
+            model.getMatchingOutNodeArray(name).forEach((node) => visit(node.outputToContainer));
+            let overflow = model.findContainer(name).overflow;
+            if (overflow.mode == "spill" && overflow.target !== null) visit(overflow.target);
+        }
+        model.containerList.forEach((container) => {
+            if (!reached[container.nameIdentifier]) {
+                warning(`${container.nameIdentifier} starts empty and no liquid can ever reach it`, [container.nameIdentifier]);
+            }
+        });
+
+        // Errors first, keeping the order they were found in otherwise
+        return problems.filter((problem) => problem.level == "error")
+            .concat(problems.filter((problem) => problem.level == "warning"));
+    }
+
+    // formatShare turns a fraction of output rate into a percentage for a message
+    // @param share: fraction
+    // @return: string like "75%"
+    function formatShare(share) {
+        return `${parseFloat((share * 100).toPrecision(4))}%`;
+    }
+
+    FlowSim.diagnoseModel = diagnoseModel;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
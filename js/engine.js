@@ -0,0 +1,1060 @@
+// Simulation engine for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// The engine owns the containers and flow nodes of a model and steps them
+// through time. It knows nothing about jQuery, the DOM, or the canvas, so the
+// same model can be driven by the page in js/scripts.js, by Node scripts, or
+// by tests. In the browser everything is exposed on the global FlowSim object,
+// in Node it is the module's exports.
+'use strict';
+
+(function (FlowSim) {
+    // In Node the integrators are their own module, in the browser js/integrators.js
+    // has already put them on FlowSim
+    const integrators = typeof require === "function" ? require("./integrators.js").integrators : FlowSim.integrators;
+
+    // Default simulation step, one tick of the original 60 Hz update loop
+    const DEFAULT_STEP = 1 / 60;
+
+    // Name of the one substance every model starts with
+    const DEFAULT_SUBSTANCE = "drug";
+
+    // Integration methods that can be picked in the model settings. "exponential" is
+    // the original update: it holds the flow rates for the length of a step and solves
+    // each container's substance amount exactly over it.
+    const METHODS = ["exponential", "euler", "rk4", "rk45"];
+
+    // What a container does when it fills up to its maximum liquid level
+    //      back-pressure: it only takes in as much as it lets out, holding the flows and
+    //                     infusions into it back
+    //      spill: the liquid over the maximum runs into its overflow container, or out of
+    //             the model if it has none
+    //      stop: the model halts
+    const OVERFLOW_MODES = ["back-pressure", "spill", "stop"];
+
+    // Kinetic laws a FlowNode can follow, and the parameters each one needs.
+    //      linear: percentOutRate of the input container's output rate (the original law)
+    //      michaelis-menten: vmax * C / (km + C), where C is the input container's concentration
+    //      zero-order: a constant rate, whatever the input container holds
+    //      hill: vmax * C^hillCoefficient / (km^hillCoefficient + C^hillCoefficient)
+    const KINETICS = {
+        "linear": [],
+        "michaelis-menten": ["vmax", "km"],
+        "zero-order": ["rate"],
+        "hill": ["vmax", "km", "hillCoefficient"]
+    };
+
+    // FlowNode class constructor
+    // FlowNode is the theoretical pipe that connects two containers together.
+    // It is defined by the output end, and modified by the container that inputs into it.
+    // @param percentOutRate: Percentage of max output rate of container (value must be a
+    //                        double between 0 and 1)
+    // @param inputFromContainer: String name of container inputting to current node
+    // @param outputToContainer: String name of container current node is outputting to
+    // @param kinetics: optional kinetic law, see setKinetics. Defaults to linear.
+    let FlowNode = function (percentOutRate, inputFromContainer, outputToContainer, kinetics) {
+        this.percentOutRate = percentOutRate;
+        this.currRate = 0;
+        this.currConcentration = 0;
+        this.inputFromContainer = inputFromContainer;
+        this.outputToContainer = outputToContainer;
+        this.kinetics = { law: "linear" };
+        if (kinetics !== undefined) this.setKinetics(kinetics);
+    }
+
+    // setKinetics changes the kinetic law the node follows
+    // @param kinetics: object with a law from KINETICS and that law's parameters,
+    //                  e.g. { law: "michaelis-menten", vmax: 2, km: 0.1 }
+    FlowNode.prototype.setKinetics = function (kinetics) {
+        let check = validateKinetics(kinetics);
+        if (!check.bool) {
+            throw new Error(check.errorMsg);
+        }
+        let copy = { law: kinetics.law };
+        KINETICS[kinetics.law].forEach((key) => {
+            copy[key] = kinetics[key];
+        });
+        this.kinetics = copy;
+    }
+
+    // getRate works out how fast liquid moves down the node under its kinetic law. No
+    // law can take more than the input container holds, in the same way a container's
+    // output rate is never more than its liquid level.
+    // @param level: liquid level of the input container
+    // @param concentration: concentration of the input container
+    // @param outRate: output rate of the input container
+    // @return: liquid volume per unit of time
+    FlowNode.prototype.getRate = function (level, concentration, outRate) {
+        let kinetics = this.kinetics;
+        let rate;
+        if (kinetics.law == "michaelis-menten") {
+            rate = kinetics.vmax * concentration / (kinetics.km + concentration);
+        } else if (kinetics.law == "zero-order") {
+            rate = kinetics.rate;
+        } else if (kinetics.law == "hill") {
+            let scaled = Math.pow(concentration, kinetics.hillCoefficient);
+            rate = kinetics.vmax * scaled / (Math.pow(kinetics.km, kinetics.hillCoefficient) + scaled);
+        } else {
+            return this.percentOutRate * outRate;
+        }
+        if (!isFinite(rate)) rate = 0;
+        return Math.max(0, Math.min(rate, level));
+    }
+
+    // validateKinetics checks a kinetic law and its parameters
+    // @param kinetics: object like the one given to FlowNode.setKinetics
+    // @return: an object that contains a boolean true or false if it passes or not as well
+    //          as an error message if it failed.
+    function validateKinetics(kinetics) {
+        if (kinetics === null || typeof kinetics !== "object") {
+            return { bool: false, errorMsg: "kinetics must be an object" };
+        }
+        if (!Object.prototype.hasOwnProperty.call(KINETICS, kinetics.law)) {
+            return { bool: false, errorMsg: `kinetic law must be one of ${Object.keys(KINETICS).join(", ")}` };
+        }
+        let bad = KINETICS[kinetics.law].find((key) => {
+            let value = kinetics[key];
+            return !(typeof value === "number" && isFinite(value) && (key == "rate" ? value >= 0 : value > 0));
+        });
+        if (bad !== undefined) {
+            let bound = bad == "rate" ? "a number that is not negative" : "a positive number";
+            return { bool: false, errorMsg: `${kinetics.law} ${bad} must be ${bound}` };
+        }
+        return { bool: true, errorMsg: "" };
+    }
+
+    // Container class constructor
+    // Container is the container that is full of the liquid that we want to keep track of
+    // @param maxOutRate: Maximum possible output rate as a double
+    // @param currLiquidLevel: Current liquid level as a double
+    // @param maxLiquidLevel: Maximum possible liquid level, kept to by the container's overflow
+    //                        policy (see setOverflow)
+    // @param nameIdentifier: Name of container used for identification by Flow Nodes
+    // @param concentration: Initial concentration of container
+    // @param lethalConcentration: Concentration where the maximum color is allowed.
+    // Both are for the model's first substance. Any other substances the container holds
+    // are kept in substances, an object mapping each name to { concentration, lethalConcentration }.
+    let Container = function (maxOutRate,
+        currLiquidLevel,
+        maxLiquidLevel,
+        nameIdentifier,
+        concentration,
+        lethalConcentration) {
+        this.nameIdentifier = nameIdentifier;
+        this.inNodes = [];
+        this.outNodes = [];
+        this.maxInRate = 0;
+        this.currInRate = 0;
+        this.currOutRate = maxOutRate;
+        this.maxLiquidLevel = maxLiquidLevel;
+        this.maxOutRate = maxOutRate;
+        this.currLiquidLevel = currLiquidLevel;
+        this.currConcentration = concentration;
+        this.lethalConcentration = lethalConcentration;
+        this.substances = {};
+        this.overflow = { mode: "back-pressure", target: null };
+    }
+
+    // setOverflow changes what the container does when it fills up
+    // @param mode: one of OVERFLOW_MODES
+    // @param target: name of the container spilled into, only used by "spill". Null or left
+    //                out spills out of the model.
+    Container.prototype.setOverflow = function (mode, target) {
+        if (OVERFLOW_MODES.indexOf(mode) == -1) {
+            throw new Error(`unknown overflow mode "${mode}"`);
+        }
+        this.overflow = { mode: mode, target: mode == "spill" && target ? target : null };
+    }
+
+    // getConcentration returns the concentration of one substance in the container
+    // @param substance: name of the substance. The model's first substance is the one kept
+    //                   in currConcentration.
+    // @return: concentration
+    Container.prototype.getConcentration = function (substance) {
+        let held = this.substances[substance];
+        return held === undefined ? this.currConcentration : held.concentration;
+    }
+
+    // getLethalConcentration returns the lethal concentration of one substance in the container
+    // @param substance: name of the substance, as for getConcentration
+    // @return: lethal concentration
+    Container.prototype.getLethalConcentration = function (substance) {
+        let held = this.substances[substance];
+        return held === undefined ? this.lethalConcentration : held.lethalConcentration;
+    }
+
+    // Dose class constructor
+    // Dose is a bolus of liquid dropped straight into a container at scheduled times.
+    // A single dose is just a Dose with a count of 1.
+    // @param target: name of the container the dose goes into
+    // @param amount: liquid volume of each dose
+    // @param concentration: concentration of the liquid in each dose
+    // @param startTime: simulation time of the first dose
+    // @param interval: time between doses, only used when count is more than 1
+    // @param count: number of doses to give
+    // @param substance: name of the substance in the dose, null for the model's first substance
+    let Dose = function (target, amount, concentration, startTime, interval, count, substance) {
+        this.target = target;
+        this.amount = amount;
+        this.concentration = concentration;
+        this.startTime = startTime;
+        this.interval = interval || 0;
+        this.count = count === undefined ? 1 : count;
+        this.substance = substance || null;
+        this.given = 0;
+    }
+
+    // nextTime returns when the next dose of this schedule is due
+    // @return: simulation time, or Infinity once every dose has been given
+    Dose.prototype.nextTime = function () {
+        return this.given < this.count ? this.startTime + this.given * this.interval : Infinity;
+    }
+
+    // Infusion class constructor
+    // Infusion is a source that feeds liquid into a container at a constant rate between
+    // two times, like an IV drip. Unlike a Container it never runs dry.
+    // @param name: name of the infusion, shares the namespace of container names
+    // @param target: name of the container the infusion feeds
+    // @param rate: liquid volume per unit of time
+    // @param concentration: concentration of the infused liquid
+    // @param startTime: simulation time the infusion starts
+    // @param stopTime: simulation time the infusion stops
+    // @param substance: name of the substance infused, null for the model's first substance
+    let Infusion = function (name, target, rate, concentration, startTime, stopTime, substance) {
+        this.name = name;
+        this.target = target;
+        this.rate = rate;
+        this.concentration = concentration;
+        this.startTime = startTime;
+        this.stopTime = stopTime;
+        this.substance = substance || null;
+        this.currRate = 0;
+        this.delivered = 0; // Liquid fed into the target so far, less than rate times time when held back
+    }
+
+    // isRunning returns whether the infusion is feeding its container at a given time
+    // @param time: simulation time
+    // @return: true between startTime (included) and stopTime (not included)
+    Infusion.prototype.isRunning = function (time) {
+        let epsilon = 1e-9 * Math.max(1, Math.abs(time));
+        return time >= this.startTime - epsilon && time < this.stopTime - epsilon;
+    }
+
+    // remainingTime returns how much infusion time is left at a given time
+    // @param time: simulation time
+    // @return: time until the infusion stops, not counting any time before it starts
+    Infusion.prototype.remainingTime = function (time) {
+        return Math.max(0, this.stopTime - Math.max(time, this.startTime));
+    }
+
+    // Reaction class constructor
+    // Reaction converts one substance into another inside a container, like the liver
+    // turning a drug into its metabolite. It is first order: every unit of time, rate times
+    // the amount of the first substance in the container becomes the second substance.
+    // @param container: name of the container the reaction happens in
+    // @param from: name of the substance used up
+    // @param to: name of the substance made
+    // @param rate: fraction of the first substance converted per unit of time
+    let Reaction = function (container, from, to, rate) {
+        this.container = container;
+        this.from = from;
+        this.to = to;
+        this.rate = rate;
+    }
+
+    // Model class constructor
+    // Model holds every container and flow node of one simulation along with its clock.
+    // The clock only moves when the model is stepped, it has nothing to do with wall time.
+    // halted is set to { time, container, message } once a container set to stop fills up,
+    // and the model will not step again until it is restarted.
+    let Model = function () {
+        this.containerList = [];
+        this.nodeList = [];
+        this.doseList = [];
+        this.infusionList = [];
+        this.substanceList = [DEFAULT_SUBSTANCE];
+        this.reactionList = [];
+        this.time = 0;
+        this.halted = null;
+        this.settings = {
+            stepSize: DEFAULT_STEP,
+            method: "exponential",
+            tolerance: 1e-6
+        };
+    }
+
+    // setStepSize changes the time step used by step() and runUntil()
+    // @param stepSize: simulation time per step, must be a positive number
+    Model.prototype.setStepSize = function (stepSize) {
+        if (!(stepSize > 0)) {
+            throw new Error("step size must be a positive number");
+        }
+        this.settings.stepSize = stepSize;
+    }
+
+    // setMethod changes the integration method used by step()
+    // @param method: one of "exponential", "euler", "rk4" or "rk45"
+    Model.prototype.setMethod = function (method) {
+        if (METHODS.indexOf(method) == -1) {
+            throw new Error(`unknown integration method "${method}"`);
+        }
+        this.settings.method = method;
+    }
+
+    // addFlowNode creates a new FlowNode and adds it to the model
+    // @param percentOutRate: fraction of the input container's output rate sent down this node
+    // @param inputFromContainer: name of the container the node takes from
+    // @param outputToContainer: name of the container the node outputs to
+    // @param kinetics: optional kinetic law, see FlowNode.setKinetics
+    // @return: the new FlowNode
+    Model.prototype.addFlowNode = function (percentOutRate, inputFromContainer, outputToContainer, kinetics) {
+        let node = new FlowNode(percentOutRate, inputFromContainer, outputToContainer, kinetics);
+        this.nodeList.push(node);
+        return node;
+    }
+
+    // removeFlowNode removes a flow node from the model
+    // @param node: FlowNode to remove
+    Model.prototype.removeFlowNode = function (node) {
+        this.nodeList = this.nodeList.filter((other) => other !== node);
+    }
+
+    // addContainer creates a new Container and adds it to the model. Flow nodes that
+    // already point in or out of it are picked up straight away.
+    // @params: same as the Container constructor, then
+    // @param substances: optional object mapping the model's other substances to
+    //                    { concentration, lethalConcentration }. Substances left out start
+    //                    at 0 with a lethal concentration of 1.
+    // @return: the new Container
+    Model.prototype.addContainer = function (maxOutRate, currLiquidLevel, maxLiquidLevel,
+        nameIdentifier, concentration, lethalConcentration, substances) {
+        let container = new Container(maxOutRate, currLiquidLevel, maxLiquidLevel,
+            nameIdentifier, concentration, lethalConcentration);
+        this.substanceList.slice(1).forEach((substance) => {
+            let given = (substances || {})[substance] || {};
+            container.substances[substance] = {
+                concentration: given.concentration !== undefined ? given.concentration : 0,
+                lethalConcentration: given.lethalConcentration !== undefined ? given.lethalConcentration : 1
+            };
+        });
+        container.inNodes = this.getMatchingInNodeArray(nameIdentifier);
+        container.outNodes = this.getMatchingOutNodeArray(nameIdentifier);
+        container.maxInRate = container.inNodes.reduce((acc, nodeIn) => getNodeRate(acc, nodeIn), 0);
+        container.currInRate = container.maxInRate;
+        this.containerList.push(container);
+        return container;
+    }
+
+    // removeContainer removes the specified container along with the flow nodes coming out of it
+    // and the reactions in it
+    // @param name: name of container to remove
+    Model.prototype.removeContainer = function (name) {
+        this.containerList = this.containerList.filter((container) => container.nameIdentifier != name);
+        this.nodeList = this.nodeList.filter((node) => node.inputFromContainer != name);
+        this.reactionList = this.reactionList.filter((reaction) => reaction.container != name);
+    }
+
+    // renameContainer changes a container's name along with every flow node, dose,
+    // infusion, reaction and overflow that refers to it
+    // @param oldName: current name of the container
+    // @param newName: name to give it
+    Model.prototype.renameContainer = function (oldName, newName) {
+        let container = this.findContainer(oldName);
+        if (container !== null) container.nameIdentifier = newName;
+        this.nodeList.forEach((node) => {
+            if (node.inputFromContainer == oldName) node.inputFromContainer = newName;
+            if (node.outputToContainer == oldName) node.outputToContainer = newName;
+        });
+        this.doseList.forEach((dose) => {
+            if (dose.target == oldName) dose.target = newName;
+        });
+        this.infusionList.forEach((infusion) => {
+            if (infusion.target == oldName) infusion.target = newName;
+        });
+        this.reactionList.forEach((reaction) => {
+            if (reaction.container == oldName) reaction.container = newName;
+        });
+        this.containerList.forEach((other) => {
+            if (other.overflow.target == oldName) other.overflow.target = newName;
+        });
+    }
+
+    // addDose schedules doses into a container
+    // @params: same as the Dose constructor
+    // @return: the new Dose
+    Model.prototype.addDose = function (target, amount, concentration, startTime, interval, count, substance) {
+        let dose = new Dose(target, amount, concentration, startTime, interval, count, substance);
+        this.doseList.push(dose);
+        return dose;
+    }
+
+    // removeDose removes a dose schedule from the model
+    // @param dose: Dose to remove
+    Model.prototype.removeDose = function (dose) {
+        this.doseList = this.doseList.filter((other) => other !== dose);
+    }
+
+    // addInfusion creates a new Infusion and adds it to the model
+    // @params: same as the Infusion constructor
+    // @return: the new Infusion
+    Model.prototype.addInfusion = function (name, target, rate, concentration, startTime, stopTime, substance) {
+        let infusion = new Infusion(name, target, rate, concentration, startTime, stopTime, substance);
+        this.infusionList.push(infusion);
+        return infusion;
+    }
+
+    // removeInfusion removes the specified infusion
+    // @param name: name of infusion to remove
+    Model.prototype.removeInfusion = function (name) {
+        this.infusionList = this.infusionList.filter((infusion) => infusion.name != name);
+    }
+
+    // findInfusion returns the infusion with the matching name
+    // @param name: name of the infusion
+    // @return: specified infusion
+    // @return: null if no infusion is found
+    Model.prototype.findInfusion = function (name) {
+        let infusion = this.infusionList.find((other) => other.name == name);
+        return infusion === undefined ? null : infusion;
+    }
+
+    // addSubstance adds another substance every container can hold. Each container starts
+    // with none of it and a lethal concentration of 1.
+    // @param name: name of the new substance, must not be used by another substance
+    Model.prototype.addSubstance = function (name) {
+        if (typeof name !== "string" || name === "" || this.substanceList.indexOf(name) != -1) {
+            throw new Error(`substance name "${name}" must be new and not empty`);
+        }
+        this.substanceList.push(name);
+        this.containerList.forEach((container) => {
+            container.substances[name] = { concentration: 0, lethalConcentration: 1 };
+        });
+    }
+
+    // removeSubstance removes a substance along with the reactions, doses and infusions that
+    // use it. The first substance cannot be removed.
+    // @param name: name of the substance to remove
+    Model.prototype.removeSubstance = function (name) {
+        let index = this.substanceList.indexOf(name);
+        if (index < 1) {
+            throw new Error(`substance "${name}" cannot be removed`);
+        }
+        this.substanceList.splice(index, 1);
+        this.containerList.forEach((container) => {
+            delete container.substances[name];
+        });
+        this.reactionList = this.reactionList.filter((reaction) => reaction.from != name && reaction.to != name);
+        this.doseList = this.doseList.filter((dose) => dose.substance != name);
+        this.infusionList = this.infusionList.filter((infusion) => infusion.substance != name);
+    }
+
+    // renameSubstance changes a substance's name along with every container, reaction, dose
+    // and infusion that refers to it
+    // @param oldName: current name of the substance
+    // @param newName: name to give it, must not be used by another substance
+    Model.prototype.renameSubstance = function (oldName, newName) {
+        let index = this.substanceList.indexOf(oldName);
+        if (index == -1 || newName === "" || (newName != oldName && this.substanceList.indexOf(newName) != -1)) {
+            throw new Error(`substance "${oldName}" cannot be renamed to "${newName}"`);
+        }
+        this.substanceList[index] = newName;
+        this.containerList.forEach((container) => {
+            if (container.substances[oldName] !== undefined) {
+                container.substances[newName] = container.substances[oldName];
+                delete container.substances[oldName];
+            }
+        });
+        this.reactionList.forEach((reaction) => {
+            if (reaction.from == oldName) reaction.from = newName;
+            if (reaction.to == oldName) reaction.to = newName;
+        });
+        this.doseList.concat(this.infusionList).forEach((source) => {
+            if (source.substance == oldName) source.substance = newName;
+        });
+    }
+
+    // getSubstanceIndex returns where a substance is in substanceList
+    // @param name: name of the substance, null for the first substance
+    // @return: index, or -1 if there is no such substance
+    Model.prototype.getSubstanceIndex = function (name) {
+        return name === null || name === undefined ? 0 : this.substanceList.indexOf(name);
+    }
+
+    // addReaction creates a new Reaction and adds it to the model
+    // @params: same as the Reaction constructor
+    // @return: the new Reaction
+    Model.prototype.addReaction = function (container, from, to, rate) {
+        let reaction = new Reaction(container, from, to, rate);
+        this.reactionList.push(reaction);
+        return reaction;
+    }
+
+    // removeReaction removes a reaction from the model
+    // @param reaction: Reaction to remove
+    Model.prototype.removeReaction = function (reaction) {
+        this.reactionList = this.reactionList.filter((other) => other !== reaction);
+    }
+
+    // clear removes every container, flow node, dose, infusion, reaction and substance but the
+    // first one and sets the clock back to zero
+    Model.prototype.clear = function () {
+        this.containerList = [];
+        this.nodeList = [];
+        this.doseList = [];
+        this.infusionList = [];
+        this.substanceList = [DEFAULT_SUBSTANCE];
+        this.reactionList = [];
+        this.time = 0;
+        this.halted = null;
+    }
+
+    // findContainer will parse through the list of containers and return a container with the
+    // matching name
+    // @param containerName: a string that is the nameIdentifier of the container to return
+    // @return: specified container
+    // @return: null if no container is found
+    //      Author note: reduce() here is slightly slower than this for loop
+    Model.prototype.findContainer = function (containerName) {
+        for (let i = 0; i < this.containerList.length; i++) {
+            if (this.containerList[i].nameIdentifier == containerName) {
+                return this.containerList[i];
+            }
+        }
+        return null;
+    }
+
+    // getMachingInNodeArray will return FlowNodes that match the input of the specified container
+    // @param nameIdentifier: nameIdentifier of the specified container
+    // @return: array of FlowNodes that match the input of the specified container
+    Model.prototype.getMatchingInNodeArray = function (nameIdentifier) {
+        return this.nodeList.filter((node) => node.outputToContainer == nameIdentifier);
+    }
+
+    // getMatchingOutNodeArray will return FlowNodes that match the output of the specified container
+    // @param nameIdentifier: nameIdentifier of the specified container
+    // @return: array of FlowNodes that match the output of the specified container
+    Model.prototype.getMatchingOutNodeArray = function (nameIdentifier) {
+        return this.nodeList.filter((node) => node.inputFromContainer == nameIdentifier);
+    }
+
+    // updateRates recalculates every container's output rate and every FlowNode's rate
+    // and concentration from the current liquid levels. Flows and infusions into containers
+    // that push back are held back as limitFlows does.
+    // @param dt: length of the step the rates are for, defaults to the step size setting
+    Model.prototype.updateRates = function (dt) {
+        if (dt === undefined) dt = this.settings.stepSize;
+        let indexOf = {};
+        this.containerList.forEach((container, index) => {
+            container.currOutRate = Math.min(container.currLiquidLevel, container.maxOutRate);
+            indexOf[container.nameIdentifier] = index;
+        });
+        let wanted = this.getInfusionInflow(this.time);
+        let flows = limitFlows(this, indexOf,
+            this.containerList.map((container) => container.currLiquidLevel),
+            this.containerList.map((container) => container.currOutRate),
+            this.containerList.map((container) => container.currConcentration),
+            wanted, dt);
+        this.nodeList.forEach((node, index) => {
+            let fromContainer = this.findContainer(node.inputFromContainer);
+            node.currRate = flows.nodeRates[index];
+            if (fromContainer !== null) node.currConcentration = fromContainer.currConcentration;
+        });
+        let infusionInflow = flows.infusionInflow;
+        this.infusionList.forEach((infusion) => {
+            let held = wanted[infusion.target] && wanted[infusion.target].rate > 0 ?
+                infusionInflow[infusion.target].rate / wanted[infusion.target].rate : 1;
+            infusion.currRate = infusion.isRunning(this.time) ? infusion.rate * held : 0;
+        });
+        this.containerList.forEach((container) => {
+            container.inNodes = this.getMatchingInNodeArray(container.nameIdentifier);
+            container.outNodes = this.getMatchingOutNodeArray(container.nameIdentifier);
+            container.currInRate = container.inNodes.reduce((acc, nodeIn) => getNodeRate(acc, nodeIn), 0);
+            if (infusionInflow[container.nameIdentifier]) {
+                container.currInRate += infusionInflow[container.nameIdentifier].rate;
+            }
+        });
+    }
+
+    // getInfusionInflow adds up what the running infusions feed into each container
+    // @param time: simulation time
+    // @param current: whether to use each infusion's current rate, which is held back when
+    //                 its container is full, instead of the rate it was set to
+    // @return: object mapping container names to { rate, substanceRate, substanceRates }, where
+    //          substanceRates has the rate of every substance in substanceList order and
+    //          substanceRate is the first one's
+    Model.prototype.getInfusionInflow = function (time, current) {
+        let inflow = {};
+        this.infusionList.forEach((infusion) => {
+            if (!infusion.isRunning(time)) return;
+            let rate = current ? infusion.currRate : infusion.rate;
+            let entry = inflow[infusion.target] || { rate: 0, substanceRate: 0, substanceRates: this.substanceList.map(() => 0) };
+            let index = this.getSubstanceIndex(infusion.substance);
+            entry.rate += rate;
+            if (index != -1) entry.substanceRates[index] += rate * infusion.concentration;
+            entry.substanceRate = entry.substanceRates[0];
+            inflow[infusion.target] = entry;
+        });
+        return inflow;
+    }
+
+    // restart puts every container back to its starting level and concentrations and
+    // sets the clock back to zero
+    // @param initialStates: array of { name, startLevel, startConcentration, startSubstances }
+    //                       objects, where the optional startSubstances maps the other
+    //                       substances to their starting concentrations (0 when left out)
+    Model.prototype.restart = function (initialStates) {
+        initialStates.forEach((initial) => {
+            let container = this.findContainer(initial.name);
+            if (container !== null) {
+                container.currLiquidLevel = initial.startLevel;
+                container.currConcentration = initial.startConcentration;
+                Object.keys(container.substances).forEach((substance) => {
+                    let start = (initial.startSubstances || {})[substance];
+                    container.substances[substance].concentration = start !== undefined ? start : 0;
+                });
+            }
+        });
+        this.doseList.forEach((dose) => {
+            dose.given = 0;
+        });
+        this.infusionList.forEach((infusion) => {
+            infusion.delivered = 0;
+        });
+        this.time = 0;
+        this.halted = null;
+        this.applyDueDoses();
+        this.enforceCapacity();
+        this.updateRates();
+    }
+
+    // nextEventTime returns when the next dose is due or the next infusion starts or stops,
+    // whichever comes first
+    // @return: simulation time, or Infinity if nothing else is going to happen
+    Model.prototype.nextEventTime = function () {
+        let epsilon = 1e-9 * Math.max(1, Math.abs(this.time));
+        let next = this.doseList.reduce((acc, dose) => Math.min(acc, dose.nextTime()), Infinity);
+        this.infusionList.forEach((infusion) => {
+            [infusion.startTime, infusion.stopTime].forEach((time) => {
+                if (time > this.time + epsilon) next = Math.min(next, time);
+            });
+        });
+        return next;
+    }
+
+    // applyDueDoses drops every dose that is due by the current time into its container.
+    // The dose mixes in straight away, so the container's liquid level goes up by the
+    // dose amount and the concentration of each substance becomes the mix of the two.
+    // A container that pushes back only takes as much of the dose as it has room for.
+    Model.prototype.applyDueDoses = function () {
+        let epsilon = 1e-9 * Math.max(1, Math.abs(this.time));
+        this.doseList.forEach((dose) => {
+            while (dose.nextTime() <= this.time + epsilon) {
+                dose.given++;
+                let container = this.findContainer(dose.target);
+                if (container === null) continue;
+                let amount = dose.amount;
+                if (container.overflow.mode == "back-pressure") {
+                    amount = Math.min(amount, Math.max(0, container.maxLiquidLevel - container.currLiquidLevel));
+                }
+                let index = this.getSubstanceIndex(dose.substance);
+                let amounts = this.substanceList.map((substance) => container.currLiquidLevel * container.getConcentration(substance));
+                if (index != -1) amounts[index] += amount * dose.concentration;
+                container.currLiquidLevel += amount;
+                setAmounts(container, this.substanceList, amounts);
+            }
+        });
+    }
+
+    // enforceCapacity keeps every container between empty and its maximum liquid level.
+    // Levels and amounts of substance that a step took below zero are set to zero. Liquid
+    // over the maximum is spilled on by containers set to spill, carrying its substances
+    // with it, and halts the model in containers set to stop. Containers that push back
+    // never take in more than they have room for, so they are only cut back to their
+    // maximum when a step overshoots it.
+    Model.prototype.enforceCapacity = function () {
+        this.containerList.forEach((container) => {
+            let amounts = this.substanceList.map((substance) => container.currLiquidLevel * container.getConcentration(substance));
+            container.currLiquidLevel = Math.max(0, container.currLiquidLevel);
+            setAmounts(container, this.substanceList, amounts.map((amount) => Math.max(0, amount)));
+        });
+
+        // Spilling into a container can make it spill too, so keep going until nothing is
+        // over. Containers that spill into each other in a loop give up after one pass each.
+        for (let pass = 0; pass <= this.containerList.length; pass++) {
+            let spilled = false;
+            this.containerList.forEach((container) => {
+                let excess = container.currLiquidLevel - container.maxLiquidLevel;
+                if (!(excess > 0) || container.overflow.mode != "spill") return;
+                let into = this.findContainer(container.overflow.target);
+                container.currLiquidLevel = container.maxLiquidLevel;
+                spilled = true;
+                if (into === null || into === container) return;
+                let amounts = this.substanceList.map((substance) => {
+                    return into.currLiquidLevel * into.getConcentration(substance) + excess * container.getConcentration(substance);
+                });
+                into.currLiquidLevel += excess;
+                setAmounts(into, this.substanceList, amounts);
+            });
+            if (!spilled) break;
+        }
+
+        this.containerList.forEach((container) => {
+            if (!(container.currLiquidLevel > container.maxLiquidLevel)) return;
+            if (container.overflow.mode == "back-pressure") {
+                container.currLiquidLevel = container.maxLiquidLevel;
+            } else if (container.overflow.mode == "stop" && this.halted === null) {
+                this.halted = {
+                    time: this.time,
+                    container: container.nameIdentifier,
+                    message: `${container.nameIdentifier} filled up past its maximum liquid level`
+                };
+            }
+        });
+    }
+
+    // getStateVector packs the liquid level and the amount of every substance of every
+    // container into one array, in containerList order and then substanceList order
+    // @return: [level0, amount0, level1, amount1, ...] when there is one substance, and
+    //          [level0, amount0 of substance 0, amount0 of substance 1, level1, ...] when there are two
+    Model.prototype.getStateVector = function () {
+        let y = [];
+        this.containerList.forEach((container) => {
+            y.push(container.currLiquidLevel);
+            this.substanceList.forEach((substance) => {
+                y.push(container.currLiquidLevel * container.getConcentration(substance));
+            });
+        });
+        return y;
+    }
+
+    // setStateVector unpacks a vector made by getStateVector back into the containers
+    // @param y: state vector made by getStateVector
+    Model.prototype.setStateVector = function (y) {
+        let stride = this.substanceList.length + 1;
+        this.containerList.forEach((container, index) => {
+            container.currLiquidLevel = y[stride * index];
+            setAmounts(container, this.substanceList, y.slice(stride * index + 1, stride * (index + 1)));
+        });
+    }
+
+    // computeDerivatives returns how fast every value of a state vector is changing.
+    // Each FlowNode moves liquid at the rate its kinetic law gives, based on the first
+    // substance's concentration, and carries every substance at its input container's
+    // concentration. Flows are held back as limitFlows does. Reactions turn one substance
+    // into another where they happen.
+    // @param y: state vector made by getStateVector
+    // @param infusionInflow: running infusions from getInfusionInflow
+    // @param dt: optional length of the step, see limitFlows
+    // @return: dy/dt as an array the same length as y
+    Model.prototype.computeDerivatives = function (y, infusionInflow, dt) {
+        let stride = this.substanceList.length + 1;
+        let indexOf = {};
+        let levels = [];
+        let outRates = [];
+        let concentrations = [];
+        this.containerList.forEach((container, index) => {
+            let level = y[stride * index];
+            indexOf[container.nameIdentifier] = index;
+            levels.push(level);
+            outRates.push(level < container.maxOutRate ? level : container.maxOutRate);
+            concentrations.push(this.substanceList.map((substance, s) => level == 0 ? 0 : y[stride * index + 1 + s] / level));
+        });
+
+        let flows = limitFlows(this, indexOf, levels, outRates, concentrations.map((held) => held[0]), infusionInflow, dt);
+        infusionInflow = flows.infusionInflow;
+
+        let dy = y.map(() => 0);
+        this.nodeList.forEach((node, index) => {
+            let from = indexOf[node.inputFromContainer];
+            if (from === undefined) return;
+            let rate = flows.nodeRates[index];
+            let to = indexOf[node.outputToContainer];
+            dy[stride * from] -= rate;
+            if (to !== undefined) dy[stride * to] += rate;
+            concentrations[from].forEach((concentration, s) => {
+                dy[stride * from + 1 + s] -= rate * concentration;
+                if (to !== undefined) dy[stride * to + 1 + s] += rate * concentration;
+            });
+        });
+        this.reactionList.forEach((reaction) => {
+            let at = indexOf[reaction.container];
+            let from = this.substanceList.indexOf(reaction.from);
+            let to = this.substanceList.indexOf(reaction.to);
+            if (at === undefined || from == -1 || to == -1) return;
+            let converted = reaction.rate * Math.max(0, y[stride * at + 1 + from]);
+            dy[stride * at + 1 + from] -= converted;
+            dy[stride * at + 1 + to] += converted;
+        });
+        Object.keys(infusionInflow).forEach((name) => {
+            let to = indexOf[name];
+            if (to === undefined) return;
+            dy[stride * to] += infusionInflow[name].rate;
+            infusionInflow[name].substanceRates.forEach((rate, s) => {
+                dy[stride * to + 1 + s] += rate;
+            });
+        });
+        return dy;
+    }
+
+    // exponentialStep is the original update. Flow rates are held at their current
+    // values for the whole step, so liquid levels change linearly and the amount of each
+    // substance in a container, apart from what flows in from other containers, follows
+    // the linear first order ODE
+    //      dAmount/dt = infused - (outRate / level + converted) * amount
+    // which is solved exactly over dt. converted is the rate reactions use the substance up
+    // at. What is lost over the step is shared between the flows out and the reactions by
+    // their rates, and each container gets exactly what its upstream containers lost down
+    // the flows into it, so no substance is made or lost on the way.
+    // @param dt: simulation time to advance by
+    // @param infusionInflow: running infusions from getInfusionInflow
+    Model.prototype.exponentialStep = function (dt, infusionInflow) {
+        let amounts = this.containerList.map(() => this.substanceList.map(() => 0));
+        let indexOf = {};
+        this.containerList.forEach((container, index) => {
+            indexOf[container.nameIdentifier] = index;
+        });
+        let levels = this.containerList.map((container, index) => {
+            let inRate = container.inNodes.reduce((acc, nodeIn) => getNodeRate(acc, nodeIn), 0);
+            let outRate = container.outNodes.reduce((acc, nodeOut) => getNodeRate(acc, nodeOut), 0);
+            let infused = infusionInflow[container.nameIdentifier];
+            if (infused) inRate += infused.rate;
+            let reactions = this.reactionList.filter((reaction) => reaction.container == container.nameIdentifier && reaction.from != reaction.to);
+            let outDecay = container.currLiquidLevel > 0 ? outRate / container.currLiquidLevel : 0;
+            let level = container.currLiquidLevel + (inRate - outRate) * dt;
+
+            this.substanceList.forEach((substance, s) => {
+                let substanceRateIn = infused ? infused.substanceRates[s] : 0;
+                let using = reactions.filter((reaction) => reaction.from == substance);
+                let converted = using.reduce((acc, reaction) => acc + reaction.rate, 0);
+
+                let currSubstanceAmt = container.getConcentration(substance) * container.currLiquidLevel;
+                let decay = outDecay + converted;
+                if (!(decay > 0)) {
+                    amounts[index][s] += currSubstanceAmt + substanceRateIn * dt;
+                    return;
+                }
+                let yOverX = substanceRateIn / decay;
+                // A container the step empties has nothing left to hold the substance in
+                let newSubstanceAmt = level <= 0 ? 0 : yOverX + ((currSubstanceAmt - yOverX) * Math.exp(-1 * decay * dt));
+                let lost = currSubstanceAmt + substanceRateIn * dt - newSubstanceAmt;
+                amounts[index][s] += newSubstanceAmt;
+                using.forEach((reaction) => {
+                    let to = this.substanceList.indexOf(reaction.to);
+                    if (to != -1) amounts[index][to] += lost * reaction.rate / decay;
+                });
+                container.outNodes.forEach((nodeOut) => {
+                    let to = indexOf[nodeOut.outputToContainer];
+                    if (to !== undefined && outRate > 0) amounts[to][s] += lost * (outDecay / decay) * (nodeOut.currRate / outRate);
+                });
+            });
+            return level;
+        });
+
+        // Only write the new values once every container has been calculated, so each
+        // one is based on the same "snapshot"
+        this.containerList.forEach((container, index) => {
+            container.currLiquidLevel = levels[index];
+            setAmounts(container, this.substanceList, amounts[index]);
+        });
+    }
+
+    // step updates ALL values in each FlowNode and Container by one time step using
+    // the integration method in the model settings. Nothing happens once the model has halted.
+    // @param dt: simulation time to advance by, defaults to the step size setting
+    Model.prototype.step = function (dt) {
+        if (dt === undefined) dt = this.settings.stepSize;
+        if (this.halted !== null) return;
+
+        // Give any doses that are due, then make sure rates match the current levels
+        // before they are used
+        this.applyDueDoses();
+        this.enforceCapacity();
+        this.updateRates(dt);
+        this.infusionList.forEach((infusion) => {
+            infusion.delivered += infusion.currRate * dt;
+        });
+
+        // Steps never cross an infusion starting or stopping, so the infusions running
+        // at the start of the step run for all of it
+        if (this.settings.method == "exponential") {
+            this.exponentialStep(dt, this.getInfusionInflow(this.time, true));
+        } else {
+            let infusionInflow = this.getInfusionInflow(this.time);
+            let derivatives = (t, y) => this.computeDerivatives(y, infusionInflow, dt);
+            let integrate = integrators[this.settings.method];
+            this.setStateVector(integrate(derivatives, this.time, this.getStateVector(), dt, this.settings.tolerance));
+        }
+        this.time += dt;
+        this.applyDueDoses();
+        this.enforceCapacity();
+        this.updateRates();
+    }
+
+    // runUntil steps the model until its clock reaches the given time or it halts. Steps
+    // are shortened so the clock lands exactly on endTime, on every dose time and on every
+    // infusion start and stop.
+    // @param endTime: simulation time to stop at
+    Model.prototype.runUntil = function (endTime) {
+        let epsilon = 1e-9 * Math.max(1, Math.abs(endTime));
+        while (this.time < endTime - epsilon && this.halted === null) {
+            let dt = Math.min(this.settings.stepSize, endTime - this.time);
+            let untilEvent = this.nextEventTime() - this.time;
+            if (untilEvent > epsilon && untilEvent < dt) dt = untilEvent;
+            this.step(dt);
+        }
+    }
+
+    // getState returns a plain snapshot of the model that is safe to keep around
+    // @return: object with the clock time and the values of every container, FlowNode and infusion.
+    //          Each container's concentrations and lethalConcentrations map every substance to
+    //          its concentration and lethal concentration.
+    Model.prototype.getState = function () {
+        return {
+            time: this.time,
+            containers: this.containerList.map((container) => {
+                return {
+                    nameIdentifier: container.nameIdentifier,
+                    currLiquidLevel: container.currLiquidLevel,
+                    maxLiquidLevel: container.maxLiquidLevel,
+                    currConcentration: container.currConcentration,
+                    lethalConcentration: container.lethalConcentration,
+                    concentrations: this.substanceList.reduce((acc, substance) => {
+                        acc[substance] = container.getConcentration(substance);
+                        return acc;
+                    }, {}),
+                    lethalConcentrations: this.substanceList.reduce((acc, substance) => {
+                        acc[substance] = container.getLethalConcentration(substance);
+                        return acc;
+                    }, {}),
+                    currInRate: container.currInRate,
+                    currOutRate: container.currOutRate
+                };
+            }),
+            nodes: this.nodeList.map((node) => {
+                return {
+                    inputFromContainer: node.inputFromContainer,
+                    outputToContainer: node.outputToContainer,
+                    percentOutRate: node.percentOutRate,
+                    kinetics: node.kinetics.law,
+                    currRate: node.currRate,
+                    currConcentration: node.currConcentration
+                };
+            }),
+            infusions: this.infusionList.map((infusion) => {
+                return {
+                    name: infusion.name,
+                    target: infusion.target,
+                    currRate: infusion.currRate,
+                    remainingTime: infusion.remainingTime(this.time)
+                };
+            })
+        };
+    }
+
+    // limitFlows works out how fast liquid moves down every flow node and in from every
+    // infusion once the containers' limits are kept to. The flows out of a container never
+    // take more than it holds over the step, and a container that pushes back only takes in
+    // what it lets out plus what it has room for over the step.
+    // @param model: Model the flows are in
+    // @param indexOf: object mapping container names to their place in containerList
+    // @param levels: liquid level of every container, in containerList order
+    // @param outRates: output rate of every container
+    // @param concentrations: concentration of the first substance in every container
+    // @param infusionInflow: running infusions from getInfusionInflow, not changed
+    // @param dt: length of the step, or undefined to only hold back containers that are full
+    // @return: { nodeRates, infusionInflow } with the rate of every node in nodeList order and
+    //          the infusion inflow, scaled down where it is held back
+    function limitFlows(model, indexOf, levels, outRates, concentrations, infusionInflow, dt) {
+        let nodes = model.nodeList;
+        let rates = nodes.map((node) => {
+            let from = indexOf[node.inputFromContainer];
+            return from === undefined ? 0 : node.getRate(levels[from], concentrations[from], outRates[from]);
+        });
+        let inflow = {};
+        Object.keys(infusionInflow || {}).forEach((name) => {
+            let entry = infusionInflow[name];
+            inflow[name] = { rate: entry.rate, substanceRate: entry.substanceRate, substanceRates: entry.substanceRates.slice() };
+        });
+        let totalOut = (index) => nodes.reduce((acc, node, n) => indexOf[node.inputFromContainer] === index ? acc + rates[n] : acc, 0);
+
+        // Every law is capped at what its container holds, and all of them together at what
+        // can leave it over the step
+        if (dt > 0) {
+            model.containerList.forEach((container, index) => {
+                let out = totalOut(index);
+                let available = Math.max(0, levels[index]) / dt;
+                if (!(out > available)) return;
+                nodes.forEach((node, n) => {
+                    if (indexOf[node.inputFromContainer] === index) rates[n] *= available / out;
+                });
+            });
+        }
+
+        // Holding back the flows into one container leaves more in the ones feeding it, which
+        // may then have to hold back their own inflow, so go over them until nothing changes
+        for (let pass = 0; pass < model.containerList.length; pass++) {
+            let held = false;
+            model.containerList.forEach((container, index) => {
+                if (container.overflow.mode != "back-pressure") return;
+                let space = container.maxLiquidLevel - levels[index];
+                let room = dt > 0 ? Math.max(0, space) / dt : (space > 0 ? Infinity : 0);
+                let infused = inflow[container.nameIdentifier];
+                let inRate = nodes.reduce((acc, node, n) => {
+                    return indexOf[node.outputToContainer] === index && indexOf[node.inputFromContainer] !== undefined ? acc + rates[n] : acc;
+                }, infused ? infused.rate : 0);
+                let allowed = totalOut(index) + room;
+                if (!(inRate > allowed * (1 + 1e-12))) return;
+                let scale = allowed / inRate;
+                nodes.forEach((node, n) => {
+                    if (indexOf[node.outputToContainer] === index) rates[n] *= scale;
+                });
+                if (infused) {
+                    infused.rate *= scale;
+                    infused.substanceRates = infused.substanceRates.map((rate) => rate * scale);
+                    infused.substanceRate = infused.substanceRates[0];
+                }
+                held = true;
+            });
+            if (!held) break;
+        }
+        return { nodeRates: rates, infusionInflow: inflow };
+    }
+
+    // setAmounts sets the concentration of every substance in a container from how much of
+    // each it holds at its current liquid level
+    // @param container: Container to change
+    // @param substanceList: names of the substances, in the same order as amounts
+    // @param amounts: amount of each substance
+    function setAmounts(container, substanceList, amounts) {
+        let level = container.currLiquidLevel;
+        substanceList.forEach((substance, s) => {
+            let concentration = level == 0 ? 0 : amounts[s] / level;
+            if (s == 0) {
+                container.currConcentration = concentration;
+            } else if (container.substances[substance] !== undefined) {
+                container.substances[substance].concentration = concentration;
+            }
+        });
+    }
+
+    // getNodeRate will return the current rate of a FlowNode added with an accumulator value
+    // @param accumulator: Accumulator used with the Array.reduce() method
+    // @param nodeIn: FlowNode in
+    // @return: current rate of nodeIn as a number added with accumulator
+    function getNodeRate(accumulator, nodeIn) {
+        return accumulator + nodeIn.currRate;
+    }
+
+    FlowSim.DEFAULT_STEP = DEFAULT_STEP;
+    FlowSim.DEFAULT_SUBSTANCE = DEFAULT_SUBSTANCE;
+    FlowSim.METHODS = METHODS;
+    FlowSim.OVERFLOW_MODES = OVERFLOW_MODES;
+    FlowSim.KINETICS = KINETICS;
+    FlowSim.validateKinetics = validateKinetics;
+    FlowSim.FlowNode = FlowNode;
+    FlowSim.Container = Container;
+    FlowSim.Dose = Dose;
+    FlowSim.Infusion = Infusion;
+    FlowSim.Reaction = Reaction;
+    FlowSim.Model = Model;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
@@ -0,0 +1,183 @@
+// Event rules for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Watches a running model for the moments values cross thresholds picked by the
+// user, like the bloodstream going over its lethal concentration or more than
+// 100 L ending up in out, and keeps a log of when each one happened in
+// simulation time.
+'use strict';
+
+(function (FlowSim) {
+    // Values a rule can watch
+    //      concentration: concentration of a substance in a container
+    //      level: liquid level of a container
+    const EVENT_QUANTITIES = ["concentration", "level"];
+
+    // What happens when a rule is set off
+    //      pause: the simulation stops and the event is logged
+    //      log: the event is logged
+    //      mark: the event is logged and marked on the plot
+    //      ignore: nothing, the rule is kept but switched off
+    const EVENT_ACTIONS = ["pause", "log", "mark", "ignore"];
+
+    // Values this close to a threshold, relative to it, count as on it, so rounding in the
+    // solvers does not set rules off
+    const THRESHOLD_TOLERANCE = 1e-6;
+
+    // The rule the simulator started with: stop once any concentration goes over 1
+    const DEFAULT_EVENT_RULES = [
+        { container: null, quantity: "concentration", substance: null, direction: "above", threshold: 1, action: "pause" }
+    ];
+
+    // validateEventRule checks an event rule
+    // @param rule: object with
+    //      container: name of the container watched, null for every container
+    //      quantity: one of EVENT_QUANTITIES
+    //      substance: substance a concentration rule watches, null for every substance
+    //      direction: "above" or "below", which way the value has to cross the threshold
+    //      threshold: number, or "lethal" for the lethal concentration of a concentration rule
+    //      action: one of EVENT_ACTIONS
+    // @return: an object that contains a boolean true or false if it passes or not as well
+    //          as an error message if it failed.
+    function validateEventRule(rule) {
+        let fail = (errorMsg) => ({ bool: false, errorMsg: errorMsg });
+        if (rule === null || typeof rule !== "object") return fail("an event rule must be an object");
+        if (rule.container !== null && (typeof rule.container !== "string" || rule.container === "")) {
+            return fail("an event rule's container must be a container name or null for every container");
+        }
+        if (EVENT_QUANTITIES.indexOf(rule.quantity) == -1) {
+            return fail(`an event rule must watch one of ${EVENT_QUANTITIES.join(", ")}`);
+        }
+        if (rule.substance !== null && (typeof rule.substance !== "string" || rule.substance === "")) {
+            return fail("an event rule's substance must be a substance name or null for every substance");
+        }
+        if (rule.direction != "above" && rule.direction != "below") {
+            return fail("an event rule must go off above or below its threshold");
+        }
+        if (rule.threshold === "lethal") {
+            if (rule.quantity != "concentration") return fail("only concentration rules can use the lethal concentration");
+        } else if (!(typeof rule.threshold === "number" && isFinite(rule.threshold))) {
+            return fail("an event rule's threshold must be a number or lethal");
+        }
+        if (EVENT_ACTIONS.indexOf(rule.action) == -1) {
+            return fail(`an event rule's action must be one of ${EVENT_ACTIONS.join(", ")}`);
+        }
+        return { bool: true, errorMsg: "" };
+    }
+
+    // describeEventRule describes a rule for the sidebar
+    // @param rule: event rule
+    // @param formatThreshold: optional function turning a threshold and the quantity its rule
+    //                         watches into text, like the number in other units, the number
+    //                         as it is if left out
+    // @return: string like "bloodstream drug concentration above lethal: pause"
+    function describeEventRule(rule, formatThreshold) {
+        let container = rule.container === null ? "any container" : rule.container;
+        let quantity = rule.quantity == "level" ? "liquid level" :
+            `${rule.substance === null ? "any" : rule.substance} concentration`;
+        let threshold = rule.threshold == "lethal" || !formatThreshold ? rule.threshold : formatThreshold(rule.threshold, rule.quantity);
+        return `${container} ${quantity} ${rule.direction} ${threshold}: ${rule.action}`;
+    }
+
+    // describeEvent describes an event a rule set off
+    // @param event: event from EventMonitor.check
+    // @param formatThreshold: same as in describeEventRule
+    // @return: string like "bloodstream drug concentration went above its lethal concentration of 0.015"
+    function describeEvent(event, formatThreshold) {
+        let rule = event.rule;
+        let threshold = formatThreshold ? formatThreshold(event.threshold, rule.quantity) : event.threshold;
+        let what = rule.quantity == "level" ? "liquid level" : `${event.substance} concentration`;
+        let limit = rule.threshold == "lethal" ? `its lethal concentration of ${threshold}` : threshold;
+        return `${event.container} ${what} went ${rule.direction} ${limit}`;
+    }
+
+    // EventMonitor class constructor
+    // EventMonitor checks snapshots of a running model against the rules, and logs every
+    // time a value crosses a threshold in the direction its rule asks for
+    // @param rules: optional array of event rules, see validateEventRule
+    let EventMonitor = function (rules) {
+        this.rules = rules || [];
+        this.log = [];
+        this.previous = [];
+    }
+
+    // check compares a snapshot with the one checked before it and logs the rules it sets
+    // off. A rule goes off again only after its value has gone back across the threshold.
+    // The time of each event is worked out from where the value crossed between the two
+    // snapshots, assuming it changed at a steady rate.
+    // @param state: snapshot from Model.getState
+    // @return: array of the new events, each { time, rule, container, substance, value,
+    //          threshold, message, action }. Rules set to ignore give none.
+    EventMonitor.prototype.check = function (state) {
+        let events = [];
+        this.previous = this.rules.map((rule) => {
+            let last = this.previous.find((entry) => entry.rule === rule);
+            let seen = last !== undefined ? last.values : {};
+            let now = {};
+            state.containers.forEach((container) => {
+                if (rule.container !== null && rule.container != container.nameIdentifier) return;
+                let watched = rule.quantity == "level" ? [null] :
+                    rule.substance === null ? Object.keys(container.concentrations) : [rule.substance];
+                watched.forEach((substance) => {
+                    let value = substance === null ? container.currLiquidLevel : container.concentrations[substance];
+                    let threshold = rule.threshold == "lethal" ? container.lethalConcentrations[substance] : rule.threshold;
+                    if (value === undefined || threshold === undefined || isNaN(value)) return;
+                    let key = `${container.nameIdentifier}\n${substance}`;
+                    let margin = THRESHOLD_TOLERANCE * Math.max(1, Math.abs(threshold));
+                    let crossed = rule.direction == "above" ? value > threshold + margin : value < threshold - margin;
+                    now[key] = { time: state.time, value: value, crossed: crossed };
+
+                    let before = seen[key];
+                    if (!crossed || (before !== undefined && before.crossed)) return;
+                    let time = state.time;
+                    if (before !== undefined && before.value != value) {
+                        time = before.time + (threshold - before.value) / (value - before.value) * (state.time - before.time);
+                        time = Math.min(state.time, Math.max(before.time, time));
+                    }
+                    if (rule.action == "ignore") return;
+                    let event = {
+                        time: time,
+                        rule: rule,
+                        container: container.nameIdentifier,
+                        substance: substance,
+                        value: value,
+                        threshold: threshold,
+                        message: "",
+                        action: rule.action
+                    };
+                    event.message = describeEvent(event);
+                    events.push(event);
+                });
+            });
+            return { rule: rule, values: now };
+        });
+        events.sort((a, b) => a.time - b.time);
+        this.log = this.log.concat(events);
+        return events;
+    }
+
+    // record logs an event that did not come from a rule, like the model halting
+    // @param time: simulation time it happened at
+    // @param message: what happened
+    // @param action: one of EVENT_ACTIONS
+    // @return: the new event
+    EventMonitor.prototype.record = function (time, message, action) {
+        let event = { time: time, rule: null, container: null, substance: null, value: null, threshold: null, message: message, action: action };
+        this.log.push(event);
+        return event;
+    }
+
+    // reset forgets every event and every value seen, for when the run starts again
+    EventMonitor.prototype.reset = function () {
+        this.log = [];
+        this.previous = [];
+    }
+
+    FlowSim.EVENT_QUANTITIES = EVENT_QUANTITIES;
+    FlowSim.EVENT_ACTIONS = EVENT_ACTIONS;
+    FlowSim.DEFAULT_EVENT_RULES = DEFAULT_EVENT_RULES;
+    FlowSim.validateEventRule = validateEventRule;
+    FlowSim.describeEventRule = describeEventRule;
+    FlowSim.describeEvent = describeEvent;
+    FlowSim.EventMonitor = EventMonitor;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
@@ -0,0 +1,317 @@
+// Model fitting for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Reads concentrations measured in experiments from CSV files, and tunes picked
+// parameters of a model document until its concentrations match them as closely as
+// possible, by least squares (Levenberg-Marquardt). Reports the fitted values with
+// approximate 95% confidence intervals, the residual of every point and how well
+// the fit matches overall.
+'use strict';
+
+(function (FlowSim) {
+    // In Node the other modules are their own files, in the browser they have already
+    // been put on FlowSim
+    const serialization = typeof require === "function" ? require("./serialization.js") : FlowSim;
+    const sweep = typeof require === "function" ? require("./sweep.js") : FlowSim;
+
+    // Columns an observed data file needs, found by the start of their header
+    const OBSERVATION_COLUMNS = ["time", "container", "concentration"];
+
+    // Most rounds of improvement a fit makes
+    const MAX_ITERATIONS = 50;
+
+    // A fit stops once a round improves the sum of squares by less than this fraction
+    const CONVERGENCE = 1e-8;
+
+    // Size of the nudge used to work out how the residuals change with each parameter,
+    // relative to the parameter
+    const DERIVATIVE_STEP = 1e-4;
+
+    // Multiple of the standard error on each side of a fitted value that holds it with
+    // about 95% confidence
+    const CONFIDENCE_Z = 1.96;
+
+    // splitCSVLine splits one line of a CSV file into its fields, allowing for quoted fields
+    // @param line: line of text
+    // @return: array of strings
+    function splitCSVLine(line) {
+        let fields = [];
+        let field = "";
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            let char = line[i];
+            if (quoted) {
+                if (char == '"' && line[i + 1] == '"') {
+                    field += '"';
+                    i++;
+                } else if (char == '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char == '"') {
+                quoted = true;
+            } else if (char == ",") {
+                fields.push(field.trim());
+                field = "";
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field.trim());
+        return fields;
+    }
+
+    // parseObservations reads observed concentrations from the text of a CSV file. The first
+    // line holds the headers, and the time, container and concentration columns can be in any
+    // order, with units after their names like "Time (h)". Other columns are left alone.
+    // @param text: CSV text
+    // @return: { bool, errorMsg, observations } where observations is an array of
+    //          { time, container, concentration } in the order of the file
+    function parseObservations(text) {
+        let lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+        let fail = (errorMsg) => ({ bool: false, errorMsg: errorMsg, observations: [] });
+        if (lines.length == 0) return fail("the file is empty");
+
+        let headers = splitCSVLine(lines[0]).map((header) => header.toLowerCase());
+        let columns = {};
+        for (let i = 0; i < OBSERVATION_COLUMNS.length; i++) {
+            let name = OBSERVATION_COLUMNS[i];
+            columns[name] = headers.findIndex((header) => header.indexOf(name) == 0);
+            if (columns[name] == -1) return fail(`the first line needs a ${name} column`);
+        }
+
+        let errors = [];
+        let observations = [];
+        lines.slice(1).forEach((line, index) => {
+            let fields = splitCSVLine(line);
+            let where = `line ${index + 2}`;
+            let time = Number(fields[columns.time]);
+            let container = fields[columns.container];
+            let concentration = Number(fields[columns.concentration]);
+            if (fields[columns.time] === "" || !(isFinite(time) && time >= 0)) {
+                errors.push(`${where}: time must be a number that is not negative`);
+            } else if (!container) {
+                errors.push(`${where}: container is missing`);
+            } else if (fields[columns.concentration] === "" || !(isFinite(concentration) && concentration >= 0)) {
+                errors.push(`${where}: concentration must be a number that is not negative`);
+            } else {
+                observations.push({ time: time, container: container, concentration: concentration });
+            }
+        });
+        if (errors.length > 0) return fail(errors.join("\n"));
+        if (observations.length == 0) return fail("the file has no observations");
+        return { bool: true, errorMsg: "", observations: observations };
+    }
+
+    // predictObservations runs a document from its starting state and reads its concentration
+    // at the time and in the container of every observation
+    // @param doc: model document
+    // @param observations: array of { time, container }
+    // @param substance: substance compared, the first substance if left out
+    // @return: array of concentrations in the order of the observations
+    function predictObservations(doc, observations, substance) {
+        let model = serialization.buildModel(doc);
+        substance = substance || model.substanceList[0];
+        let order = observations.map((observation, i) => i).sort((a, b) => observations[a].time - observations[b].time);
+        let predictions = [];
+        order.forEach((i) => {
+            model.runUntil(observations[i].time);
+            let container = model.findContainer(observations[i].container);
+            predictions[i] = container === null ? NaN : container.getConcentration(substance);
+        });
+        return predictions;
+    }
+
+    // solveLinear solves A x = b by Gaussian elimination with partial pivoting
+    // @param a: square array of rows, left as it is
+    // @param b: array, left as it is
+    // @return: array x, or null if A is singular
+    function solveLinear(a, b) {
+        let n = b.length;
+        let m = a.map((row, i) => row.concat([b[i]]));
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+            }
+            if (!(Math.abs(m[pivot][col]) > 1e-300)) return null;
+            let swap = m[col];
+            m[col] = m[pivot];
+            m[pivot] = swap;
+            for (let row = col + 1; row < n; row++) {
+                let factor = m[row][col] / m[col][col];
+                for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+            }
+        }
+        let x = [];
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = m[row][n];
+            for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+            x[row] = sum / m[row][row];
+        }
+        return x;
+    }
+
+    // fitParameters tunes parameters of a document so its concentrations match observed ones
+    // as closely as possible, keeping every parameter within what it can take
+    // @param doc: model document, usually saved with the starting states of the containers
+    // @param ids: array of parameter ids from FlowSim.listSweepParameters to tune
+    // @param observations: array of { time, container, concentration }
+    // @param options: optional object with
+    //      substance: substance observed, the first substance if left out
+    // @return: { bool, errorMsg, parameters, residuals, sse, rmse, rSquared, iterations } where
+    //          parameters is an array of { id, label, quantity, start, value, standardError, low, high },
+    //          low and high bounding the approximate 95% confidence interval, and residuals is an
+    //          array of { time, container, observed, predicted, residual } for every observation
+    function fitParameters(doc, ids, observations, options) {
+        return sweep.runSteps(fitSteps(doc, ids, observations, options));
+    }
+
+    // fitSteps is fitParameters one run of the model at a time, so the page can keep drawing
+    // while it fits
+    // @param doc, ids, observations, options: same as in fitParameters
+    // @return: generator that yields the fraction of MAX_ITERATIONS done after each run and
+    //          returns the same result as fitParameters
+    function* fitSteps(doc, ids, observations, options) {
+        options = options || {};
+        let fail = (errorMsg) => ({ bool: false, errorMsg: errorMsg, parameters: [], residuals: [],
+            sse: NaN, rmse: NaN, rSquared: NaN, iterations: 0 });
+        if (ids.length == 0) return fail("pick at least one parameter to fit");
+        if (observations.length < ids.length) {
+            return fail(`fitting ${ids.length} parameters needs at least ${ids.length} observations`);
+        }
+        let names = doc.containers.map((container) => container.name);
+        let unknown = observations.find((observation) => names.indexOf(observation.container) == -1);
+        if (unknown !== undefined) return fail(`there is no container called ${unknown.container} in the model`);
+        let all = sweep.listSweepParameters(doc);
+        let parameters = [];
+        for (let i = 0; i < ids.length; i++) {
+            let parameter = all.find((entry) => entry.id == ids[i]);
+            if (parameter === undefined) return fail(`there is no parameter ${ids[i]} to fit`);
+            parameters.push(parameter);
+        }
+
+        // Keep values within what each parameter can take
+        let lowest = (parameter) => parameter.positive ? Math.max(parameter.value, 1) * 1e-9 : 0;
+        let clamp = (value, parameter) => Math.min(parameter.max, Math.max(lowest(parameter), value));
+        let residualsOf = (values) => {
+            let changed = {};
+            parameters.forEach((parameter, i) => {
+                changed[parameter.id] = values[i];
+            });
+            let predictions = predictObservations(sweep.withParameters(doc, changed), observations, options.substance);
+            return observations.map((observation, i) => observation.concentration - predictions[i]);
+        };
+        let sumOfSquares = (residuals) => residuals.reduce((acc, residual) => acc + residual * residual, 0);
+
+        let iterations = 0;
+
+        // jacobianOf works out how each residual changes with each parameter, nudging the
+        // parameter down instead of up where up would go past what it can take
+        let jacobianOf = function* (values, residuals) {
+            let columns = [];
+            for (let j = 0; j < values.length; j++) {
+                let step = DERIVATIVE_STEP * Math.max(Math.abs(values[j]), 1e-3);
+                if (values[j] + step > parameters[j].max) step = -step;
+                let nudged = values.slice();
+                nudged[j] = values[j] + step;
+                let changed = residualsOf(nudged);
+                columns.push(changed.map((residual, i) => (residual - residuals[i]) / step));
+                yield iterations / MAX_ITERATIONS;
+            }
+            return residuals.map((residual, i) => columns.map((column) => column[i]));
+        };
+
+        let values = parameters.map((parameter) => clamp(parameter.value, parameter));
+        let residuals = residualsOf(values);
+        let sse = sumOfSquares(residuals);
+        if (!isFinite(sse)) return fail("the model could not be compared with the observations at its starting values");
+        let damping = 1e-3;
+        let jacobian = null;
+        let converged = false;
+        while (!converged && iterations < MAX_ITERATIONS) {
+            jacobian = yield* jacobianOf(values, residuals);
+            // Each step solves (J^T J + damping diag(J^T J)) step = -J^T r, damping more
+            // toward a small step down the gradient whenever a step makes the fit worse
+            let jtj = values.map((a, j) => values.map((b, k) => jacobian.reduce((acc, row) => acc + row[j] * row[k], 0)));
+            let jtr = values.map((a, j) => jacobian.reduce((acc, row, i) => acc + row[j] * residuals[i], 0));
+
+            let improved = false;
+            while (damping < 1e10) {
+                let damped = jtj.map((row, j) => row.map((value, k) => j == k ? value * (1 + damping) + 1e-12 : value));
+                let step = solveLinear(damped, jtr.map((value) => -value));
+                if (step === null) {
+                    damping *= 10;
+                    continue;
+                }
+                let trial = values.map((value, j) => clamp(value + step[j], parameters[j]));
+                let trialResiduals = residualsOf(trial);
+                let trialSse = sumOfSquares(trialResiduals);
+                yield iterations / MAX_ITERATIONS;
+                if (trialSse < sse) {
+                    // A round that improves the fit counts even when it is too little to go on
+                    let gain = (sse - trialSse) / Math.max(sse, 1e-300);
+                    values = trial;
+                    residuals = trialResiduals;
+                    sse = trialSse;
+                    damping = Math.max(damping / 10, 1e-12);
+                    iterations++;
+                    improved = true;
+                    converged = gain <= CONVERGENCE;
+                    break;
+                }
+                damping *= 10;
+            }
+            if (!improved) break;
+        }
+        jacobian = yield* jacobianOf(values, residuals);
+
+        // Approximate standard errors from the covariance s^2 (J^T J)^-1
+        let n = observations.length;
+        let p = values.length;
+        let variance = n > p ? sse / (n - p) : NaN;
+        let jtj = values.map((a, j) => values.map((b, k) => jacobian.reduce((acc, row) => acc + row[j] * row[k], 0)));
+        let fitted = parameters.map((parameter, j) => {
+            let unit = values.map((value, k) => j == k ? 1 : 0);
+            let column = solveLinear(jtj, unit);
+            let standardError = column === null ? NaN : Math.sqrt(variance * column[j]);
+            return {
+                id: parameter.id,
+                label: parameter.label,
+                quantity: parameter.quantity,
+                start: parameter.value,
+                value: values[j],
+                standardError: standardError,
+                low: values[j] - CONFIDENCE_Z * standardError,
+                high: values[j] + CONFIDENCE_Z * standardError
+            };
+        });
+
+        let mean = observations.reduce((acc, observation) => acc + observation.concentration, 0) / n;
+        let total = observations.reduce((acc, observation) => acc + Math.pow(observation.concentration - mean, 2), 0);
+        return {
+            bool: true,
+            errorMsg: "",
+            parameters: fitted,
+            residuals: observations.map((observation, i) => {
+                return {
+                    time: observation.time,
+                    container: observation.container,
+                    observed: observation.concentration,
+                    predicted: observation.concentration - residuals[i],
+                    residual: residuals[i]
+                };
+            }),
+            sse: sse,
+            rmse: Math.sqrt(sse / n),
+            rSquared: total > 0 ? 1 - sse / total : NaN,
+            iterations: iterations
+        };
+    }
+
+    FlowSim.parseObservations = parseObservations;
+    FlowSim.predictObservations = predictObservations;
+    FlowSim.fitParameters = fitParameters;
+    FlowSim.fitSteps = fitSteps;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
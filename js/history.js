@@ -0,0 +1,191 @@
+// Simulation history for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Keeps the snapshots from Model.getState() taken as a simulation runs so they
+// can be plotted or analysed afterwards.
+'use strict';
+
+(function (FlowSim) {
+    // Default number of snapshots kept before older ones get thinned out
+    const DEFAULT_MAX_SAMPLES = 20000;
+
+    // History class constructor
+    // @param maxSamples: most snapshots to keep. Once it is reached every other
+    //                    snapshot is dropped, so a long run keeps its whole timeline
+    //                    at a lower resolution instead of losing its start.
+    let History = function (maxSamples) {
+        this.samples = [];
+        this.maxSamples = maxSamples || DEFAULT_MAX_SAMPLES;
+    }
+
+    // record adds a snapshot to the history
+    // @param state: snapshot from Model.getState()
+    History.prototype.record = function (state) {
+        this.samples.push(state);
+        if (this.samples.length > this.maxSamples) {
+            this.samples = this.samples.filter((sample, index) => index % 2 == 0 || index == this.samples.length - 1);
+        }
+    }
+
+    // clear removes every snapshot
+    History.prototype.clear = function () {
+        this.samples = [];
+    }
+
+    // getContainerNames returns the name of every container seen in the history, in the
+    // order they first appear
+    // @return: array of container names
+    History.prototype.getContainerNames = function () {
+        let names = [];
+        this.samples.forEach((sample) => {
+            sample.containers.forEach((container) => {
+                if (names.indexOf(container.nameIdentifier) == -1) {
+                    names.push(container.nameIdentifier);
+                }
+            });
+        });
+        return names;
+    }
+
+    // getSubstanceNames returns the name of every substance seen in the history, in the
+    // order they first appear
+    // @return: array of substance names
+    History.prototype.getSubstanceNames = function () {
+        let names = [];
+        this.samples.forEach((sample) => {
+            sample.containers.forEach((container) => {
+                Object.keys(container.concentrations || {}).forEach((substance) => {
+                    if (names.indexOf(substance) == -1) {
+                        names.push(substance);
+                    }
+                });
+            });
+        });
+        return names;
+    }
+
+    // getSeries returns one value of one container over time
+    // @param containerName: nameIdentifier of the container
+    // @param field: name of the snapshot value, e.g. "currConcentration"
+    // @param substance: optional substance name. When given, "currConcentration" is the
+    //                   concentration of that substance instead of the first one.
+    // @return: array of { x: time, y: value } points
+    History.prototype.getSeries = function (containerName, field, substance) {
+        let points = [];
+        this.samples.forEach((sample) => {
+            let container = sample.containers.find((c) => c.nameIdentifier == containerName);
+            if (container === undefined) return;
+            if (substance !== undefined && field == "currConcentration" && container.concentrations) {
+                if (container.concentrations[substance] !== undefined) {
+                    points.push({ x: sample.time, y: container.concentrations[substance] });
+                }
+            } else {
+                points.push({ x: sample.time, y: container[field] });
+            }
+        });
+        return points;
+    }
+
+    // getNodeLabels returns a label for every FlowNode seen in the history, in the order
+    // they first appear. Repeated pipes between the same containers are numbered.
+    // @return: array of labels like "liver -> out"
+    History.prototype.getNodeLabels = function () {
+        let labels = [];
+        this.samples.forEach((sample) => {
+            getSampleNodeLabels(sample).forEach((label) => {
+                if (labels.indexOf(label) == -1) {
+                    labels.push(label);
+                }
+            });
+        });
+        return labels;
+    }
+
+    // toCSV writes the whole history as CSV text, one row per snapshot. Columns are the
+    // time, then the concentration, liquid level, input and output flow of every container
+    // followed by the concentration of each of its other substances, then the current rate
+    // of every FlowNode. With more than one substance, every concentration column names
+    // its substance.
+    // @param units: object with fluid, time and substance unit labels for the headers
+    // @param convert: optional function taking a value and its quantity ("time", "fluid",
+    //                 "flow" or "concentration") and returning it in the units of the headers,
+    //                 values are written as they are if left out
+    // @return: CSV string
+    History.prototype.toCSV = function (units, convert) {
+        units = units || {};
+        convert = convert || ((value) => value);
+        let fluid = units.fluid || "L";
+        let time = units.time || "s";
+        let substance = units.substance || "substance";
+        let names = this.getContainerNames();
+        let substances = this.getSubstanceNames();
+        let otherSubstances = substances.slice(1);
+        let first = otherSubstances.length > 0 ? `${substances[0]} ` : "";
+        let nodeLabels = this.getNodeLabels();
+
+        let header = [`time (${time})`];
+        names.forEach((name) => {
+            header.push(`${name} ${first}concentration (${substance}/${fluid})`,
+                `${name} liquid level (${fluid})`,
+                `${name} input flow (${fluid}/${time})`,
+                `${name} output flow (${fluid}/${time})`);
+            otherSubstances.forEach((other) => {
+                header.push(`${name} ${other} concentration (${substance}/${fluid})`);
+            });
+        });
+        nodeLabels.forEach((label) => {
+            header.push(`${label} rate (${fluid}/${time})`);
+        });
+
+        let rows = this.samples.map((sample) => {
+            let row = [convert(sample.time, "time")];
+            names.forEach((name) => {
+                let container = sample.containers.find((c) => c.nameIdentifier == name);
+                if (container === undefined) {
+                    row.push("", "", "", "");
+                } else {
+                    row.push(convert(container.currConcentration, "concentration"), convert(container.currLiquidLevel, "fluid"),
+                        convert(container.currInRate, "flow"), convert(container.currOutRate, "flow"));
+                }
+                otherSubstances.forEach((other) => {
+                    let concentrations = container === undefined ? {} : container.concentrations || {};
+                    row.push(concentrations[other] === undefined ? "" : convert(concentrations[other], "concentration"));
+                });
+            });
+            let sampleLabels = getSampleNodeLabels(sample);
+            nodeLabels.forEach((label) => {
+                let index = sampleLabels.indexOf(label);
+                row.push(index == -1 ? "" : convert(sample.nodes[index].currRate, "flow"));
+            });
+            return row;
+        });
+
+        return [header].concat(rows).map((row) => row.map(toCSVField).join(",")).join("\n") + "\n";
+    }
+
+    // getSampleNodeLabels labels each FlowNode of one snapshot, numbering repeated pipes
+    // between the same two containers
+    // @param sample: snapshot from Model.getState()
+    // @return: array of labels in the same order as sample.nodes
+    function getSampleNodeLabels(sample) {
+        let seen = {};
+        return sample.nodes.map((node) => {
+            let label = `${node.inputFromContainer} -> ${node.outputToContainer}`;
+            seen[label] = (seen[label] || 0) + 1;
+            return seen[label] > 1 ? `${label} #${seen[label]}` : label;
+        });
+    }
+
+    // toCSVField turns a value into a CSV field, quoting it if it has a comma, quote or newline
+    // @param value: number or string
+    // @return: CSV field string
+    function toCSVField(value) {
+        let text = typeof value === "number" && !isFinite(value) ? "" : String(value);
+        if (/[",\n\r]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    FlowSim.History = History;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
@@ -0,0 +1,105 @@
+// Numerical integrators for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Each integrator advances a state vector y (an array of numbers) from time t to
+// time t + dt given a derivatives(t, y) function that returns dy/dt as an array.
+// They know nothing about containers, so the engine packs its state into a vector
+// before calling them.
+'use strict';
+
+(function (FlowSim) {
+    // Dormand-Prince coefficients used by rk45
+    const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+    const DP_A = [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ];
+    const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+    const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+    // addScaled returns y + h * (sum of weights[i] * slopes[i]) without changing y
+    // @param y: state vector
+    // @param h: step size
+    // @param weights: array of numbers, one for each slope
+    // @param slopes: array of derivative vectors
+    // @return: new state vector
+    function addScaled(y, h, weights, slopes) {
+        return y.map((value, index) => {
+            let sum = 0;
+            for (let i = 0; i < weights.length; i++) {
+                if (weights[i] !== 0) sum += weights[i] * slopes[i][index];
+            }
+            return value + h * sum;
+        });
+    }
+
+    // euler advances y by one forward Euler step
+    // @param derivatives: function (t, y) returning dy/dt
+    // @param t: current time
+    // @param y: current state vector
+    // @param dt: step size
+    // @return: state vector at t + dt
+    function euler(derivatives, t, y, dt) {
+        return addScaled(y, dt, [1], [derivatives(t, y)]);
+    }
+
+    // rk4 advances y by one classic fourth order Runge-Kutta step
+    // @params: same as euler
+    // @return: state vector at t + dt
+    function rk4(derivatives, t, y, dt) {
+        let k1 = derivatives(t, y);
+        let k2 = derivatives(t + dt / 2, addScaled(y, dt / 2, [1], [k1]));
+        let k3 = derivatives(t + dt / 2, addScaled(y, dt / 2, [1], [k2]));
+        let k4 = derivatives(t + dt, addScaled(y, dt, [1], [k3]));
+        return addScaled(y, dt / 6, [1, 2, 2, 1], [k1, k2, k3, k4]);
+    }
+
+    // rk45 advances y across dt with the adaptive Dormand-Prince 5(4) method. dt is
+    // split into as many internal steps as needed to keep the estimated error of each
+    // one under the tolerance.
+    // @params: same as euler
+    // @param tolerance: allowed error per internal step, relative to the size of y
+    // @return: state vector at t + dt
+    function rk45(derivatives, t, y, dt, tolerance) {
+        if (tolerance === undefined) tolerance = 1e-6;
+        let end = t + dt;
+        let h = dt;
+        let minStep = Math.abs(dt) * 1e-8;
+        while (end - t > minStep) {
+            if (t + h > end) h = end - t;
+
+            let slopes = [];
+            for (let stage = 0; stage < 7; stage++) {
+                let stageY = addScaled(y, h, DP_A[stage], slopes);
+                slopes.push(derivatives(t + DP_C[stage] * h, stageY));
+            }
+            let fifth = addScaled(y, h, DP_B5, slopes);
+            let fourth = addScaled(y, h, DP_B4, slopes);
+
+            // Largest error relative to the tolerance, over every value in the state
+            let error = fifth.reduce((acc, value, index) => {
+                let scale = tolerance * (1 + Math.max(Math.abs(value), Math.abs(y[index])));
+                return Math.max(acc, Math.abs(value - fourth[index]) / scale);
+            }, 0);
+
+            if (error <= 1 || h <= minStep) {
+                t += h;
+                y = fifth;
+            }
+            let factor = error === 0 ? 5 : 0.9 * Math.pow(error, -0.2);
+            h = Math.max(h * Math.min(5, Math.max(0.2, factor)), minStep);
+        }
+        return y;
+    }
+
+    FlowSim.integrators = {
+        euler: euler,
+        rk4: rk4,
+        rk45: rk45
+    };
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
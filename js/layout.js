@@ -0,0 +1,252 @@
+// Graph layout for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Arranges containers as a layered directed graph following the flows between
+// them: containers liquid starts in at the top, containers it ends up in at the
+// bottom, and the order within each layer picked so as few flows cross as possible.
+// Loops, like bloodstream to liver and back, are laid out as if the flow going back
+// up pointed down instead. Also finds free space to put new containers in.
+'use strict';
+
+(function (FlowSim) {
+    // Number of times the layers are swept up and down to take out crossings
+    const ORDER_SWEEPS = 8;
+
+    // layerGraph splits a directed graph into layers, every edge going from a higher layer
+    // to a lower one where the graph has no loops
+    // @param names: names of every node, used for ties so the same graph lays out the same way
+    // @param edges: array of { from, to } names, edges to unknown names are left out
+    // @return: array of layers from the top down, each an array of names in order left to right
+    function layerGraph(names, edges) {
+        names = names.filter((name, i) => names.indexOf(name) == i);
+        let index = {};
+        names.forEach((name, i) => {
+            index[name] = i;
+        });
+        let out = names.map(() => []);
+        let hasIn = names.map(() => false);
+        edges.forEach((edge) => {
+            let from = index[edge.from];
+            let to = index[edge.to];
+            if (from === undefined || to === undefined || from == to || out[from].indexOf(to) != -1) return;
+            out[from].push(to);
+            hasIn[to] = true;
+        });
+
+        // Break loops: walk the graph from its sources and point every edge that goes
+        // back to a node still being walked the other way
+        let visitOrder = names.map(() => -1);
+        let onStack = names.map(() => false);
+        let dag = names.map(() => []);
+        let visited = 0;
+        let addEdge = (from, to) => {
+            if (dag[from].indexOf(to) == -1) dag[from].push(to);
+        };
+        let walk = (node) => {
+            visitOrder[node] = visited++;
+            onStack[node] = true;
+            out[node].forEach((next) => {
+                if (onStack[next]) {
+                    addEdge(next, node);
+                } else {
+                    addEdge(node, next);
+                    if (visitOrder[next] == -1) walk(next);
+                }
+            });
+            onStack[node] = false;
+        };
+        names.forEach((name, i) => {
+            if (!hasIn[i] && visitOrder[i] == -1) walk(i);
+        });
+        names.forEach((name, i) => {
+            if (visitOrder[i] == -1) walk(i);
+        });
+
+        // Each node goes one layer below the lowest node that flows into it, and every sink
+        // goes to the bottom layer
+        let layer = longestPathLayers(dag);
+        let bottom = layer.reduce((max, value) => Math.max(max, value), 0);
+        out.forEach((targets, i) => {
+            if (targets.length == 0 && hasIn[i]) layer[i] = bottom;
+        });
+
+        // Edges that skip layers are split up by placeholder nodes in every layer they pass
+        // through, so they count when crossings are taken out
+        let isReal = names.map(() => true);
+        let down = names.map(() => []);
+        let up = names.map(() => []);
+        let link = (from, to) => {
+            down[from].push(to);
+            up[to].push(from);
+        };
+        let byVisit = names.map((name, i) => i).sort((a, b) => visitOrder[a] - visitOrder[b]);
+        byVisit.forEach((from) => {
+            dag[from].forEach((to) => {
+                let previous = from;
+                for (let l = layer[from] + 1; l < layer[to]; l++) {
+                    let placeholder = isReal.length;
+                    isReal.push(false);
+                    layer.push(l);
+                    down.push([]);
+                    up.push([]);
+                    link(previous, placeholder);
+                    previous = placeholder;
+                }
+                link(previous, to);
+            });
+        });
+
+        let layers = [];
+        for (let l = 0; l <= bottom; l++) layers.push([]);
+        byVisit.forEach((node) => layers[layer[node]].push(node));
+        for (let node = names.length; node < isReal.length; node++) layers[layer[node]].push(node);
+
+        layers = orderLayers(layers, up, down);
+        return layers.map((row) => row.filter((node) => isReal[node]).map((node) => names[node]))
+            .filter((row) => row.length > 0);
+    }
+
+    // longestPathLayers puts each node of a graph with no loops one layer below the lowest
+    // node with an edge into it
+    // @param dag: array of arrays, the nodes each node has edges to
+    // @return: array of layer numbers, 0 at the top
+    function longestPathLayers(dag) {
+        let inCount = dag.map(() => 0);
+        dag.forEach((targets) => targets.forEach((to) => inCount[to]++));
+        let layer = dag.map(() => 0);
+        let ready = dag.map((targets, i) => i).filter((i) => inCount[i] == 0);
+        while (ready.length > 0) {
+            let node = ready.shift();
+            dag[node].forEach((to) => {
+                layer[to] = Math.max(layer[to], layer[node] + 1);
+                if (--inCount[to] == 0) ready.push(to);
+            });
+        }
+        return layer;
+    }
+
+    // orderLayers reorders the nodes within each layer to take out crossings, moving each node
+    // toward the average position of the nodes it is linked to in the layer before
+    // @param layers: array of layers, each an array of node numbers
+    // @param up: array of arrays, the nodes in the layer above linked to each node
+    // @param down: array of arrays, the nodes in the layer below linked to each node
+    // @return: the layers with the fewest crossings found
+    function orderLayers(layers, up, down) {
+        let best = layers.map((row) => row.slice());
+        let bestCrossings = countCrossings(best, down);
+        let current = best.map((row) => row.slice());
+        for (let sweep = 0; sweep < ORDER_SWEEPS && bestCrossings > 0; sweep++) {
+            if (sweep % 2 == 0) {
+                for (let l = 1; l < current.length; l++) {
+                    current[l] = sortByBarycenter(current[l], current[l - 1], up);
+                }
+            } else {
+                for (let l = current.length - 2; l >= 0; l--) {
+                    current[l] = sortByBarycenter(current[l], current[l + 1], down);
+                }
+            }
+            let crossings = countCrossings(current, down);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = current.map((row) => row.slice());
+            }
+        }
+        return best;
+    }
+
+    // sortByBarycenter orders one layer by the average position of each node's neighbours in
+    // a fixed layer next to it. Nodes with no neighbours there keep their place.
+    // @param row: layer to order
+    // @param fixed: neighbouring layer
+    // @param neighbours: array of arrays, the nodes linked to each node
+    // @return: new ordered array
+    function sortByBarycenter(row, fixed, neighbours) {
+        let keys = row.map((node, i) => {
+            let positions = neighbours[node].map((other) => fixed.indexOf(other)).filter((position) => position != -1);
+            let key = positions.length == 0 ? i : positions.reduce((acc, position) => acc + position, 0) / positions.length;
+            return { node: node, key: key, i: i };
+        });
+        keys.sort((a, b) => a.key - b.key || a.i - b.i);
+        return keys.map((entry) => entry.node);
+    }
+
+    // countCrossings counts the pairs of links between neighbouring layers that cross
+    // @param layers: array of layers, each an array of node numbers
+    // @param down: array of arrays, the nodes in the layer below linked to each node
+    // @return: number of crossings
+    function countCrossings(layers, down) {
+        let crossings = 0;
+        for (let l = 0; l < layers.length - 1; l++) {
+            let links = [];
+            layers[l].forEach((from, i) => {
+                down[from].forEach((to) => links.push([i, layers[l + 1].indexOf(to)]));
+            });
+            for (let a = 0; a < links.length; a++) {
+                for (let b = a + 1; b < links.length; b++) {
+                    if ((links[a][0] - links[b][0]) * (links[a][1] - links[b][1]) < 0) crossings++;
+                }
+            }
+        }
+        return crossings;
+    }
+
+    // placeLayers works out where every node of a layered graph is drawn, each layer a centered
+    // row below the one before
+    // @param layers: array of layers from layerGraph
+    // @param options: object with nodeWidth, nodeHeight, gapX and gapY in pixels, centerX the
+    //                 rows are centered on and top the first row starts at
+    // @return: object from name to { x, y } of the top left corner of its box
+    function placeLayers(layers, options) {
+        let positions = {};
+        layers.forEach((row, l) => {
+            let rowWidth = row.length * options.nodeWidth + (row.length - 1) * options.gapX;
+            row.forEach((name, i) => {
+                positions[name] = {
+                    x: options.centerX - rowWidth / 2 + i * (options.nodeWidth + options.gapX),
+                    y: options.top + l * (options.nodeHeight + options.gapY)
+                };
+            });
+        });
+        return positions;
+    }
+
+    // findFreeSpot finds the place nearest to where a box would like to go that does not overlap
+    // any box already there, trying spots on a grid of half box sizes around it
+    // @param boxes: array of { x, y, w, h } already placed
+    // @param box: { x, y, w, h } to place, x and y being where it would like to go
+    // @param options: object with any of
+    //      margin: space in pixels to keep around every box, 0 by default
+    //      bounds: { x, y, w, h } the box has to stay inside
+    // @return: { x, y } of the spot found, or where the box would like to go if nothing is free
+    function findFreeSpot(boxes, box, options) {
+        options = options || {};
+        let margin = options.margin || 0;
+        let bounds = options.bounds;
+        let stepX = box.w / 2;
+        let stepY = box.h / 2;
+        let isFree = (x, y) => {
+            if (bounds && (x < bounds.x || y < bounds.y || x + box.w > bounds.x + bounds.w || y + box.h > bounds.y + bounds.h)) {
+                return false;
+            }
+            return boxes.every((other) => x + box.w + margin <= other.x || other.x + other.w + margin <= x ||
+                y + box.h + margin <= other.y || other.y + other.h + margin <= y);
+        };
+        let rings = bounds ? Math.ceil(Math.max(bounds.w / stepX, bounds.h / stepY)) : 50;
+        for (let ring = 0; ring <= rings; ring++) {
+            let spots = [];
+            for (let i = -ring; i <= ring; i++) {
+                for (let j = -ring; j <= ring; j++) {
+                    if (Math.max(Math.abs(i), Math.abs(j)) == ring) spots.push({ x: box.x + i * stepX, y: box.y + j * stepY });
+                }
+            }
+            spots.sort((a, b) => Math.hypot(a.x - box.x, a.y - box.y) - Math.hypot(b.x - box.x, b.y - box.y));
+            let spot = spots.find((candidate) => isFree(candidate.x, candidate.y));
+            if (spot !== undefined) return spot;
+        }
+        return { x: box.x, y: box.y };
+    }
+
+    FlowSim.layerGraph = layerGraph;
+    FlowSim.placeLayers = placeLayers;
+    FlowSim.findFreeSpot = findFreeSpot;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
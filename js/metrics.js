@@ -0,0 +1,127 @@
+// Pharmacokinetic metrics for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Works out the standard summary values of a concentration curve recorded by
+// FlowSim.History: peak, time of peak, area under the curve, terminal half-life,
+// mean residence time, apparent clearance and time spent above a threshold.
+'use strict';
+
+(function (FlowSim) {
+    // Fewest points a terminal elimination fit is made from
+    const MIN_TERMINAL_POINTS = 3;
+
+    // computeMetrics summarises one concentration curve
+    // @param points: array of { x: time, y: concentration } in time order
+    // @param options: object with any of
+    //      lethalConcentration: threshold to measure the time spent above
+    //      dose: substance amount given to the model, used for apparent clearance
+    // @return: object with
+    //      cmax, tmax: highest concentration and the first time it is reached
+    //      aucLast: area under the curve from the first to the last point (trapezoidal)
+    //      aucInf: aucLast extrapolated to infinity along the terminal phase
+    //      lambdaZ: terminal elimination rate constant
+    //      halfLife: terminal elimination half-life, ln 2 / lambdaZ
+    //      mrt: mean residence time, AUMC / AUC extrapolated to infinity
+    //      clearance: apparent clearance, dose / aucInf
+    //      timeAboveLethal: total time the concentration is above lethalConcentration
+    //      Values that cannot be worked out from the curve are NaN.
+    function computeMetrics(points, options) {
+        options = options || {};
+        let curve = points.filter((point) => isFinite(point.x) && isFinite(point.y));
+        let metrics = {
+            cmax: NaN,
+            tmax: NaN,
+            aucLast: NaN,
+            aucInf: NaN,
+            lambdaZ: NaN,
+            halfLife: NaN,
+            mrt: NaN,
+            clearance: NaN,
+            timeAboveLethal: NaN
+        };
+        if (curve.length == 0) return metrics;
+
+        // Peak
+        let peak = curve.reduce((best, point) => point.y > best.y ? point : best, curve[0]);
+        metrics.cmax = peak.y;
+        metrics.tmax = peak.x;
+
+        // Areas under the concentration curve and its first moment, by the linear trapezoidal rule
+        let auc = 0;
+        let aumc = 0;
+        for (let i = 1; i < curve.length; i++) {
+            let dt = curve[i].x - curve[i - 1].x;
+            auc += dt * (curve[i].y + curve[i - 1].y) / 2;
+            aumc += dt * (curve[i].x * curve[i].y + curve[i - 1].x * curve[i - 1].y) / 2;
+        }
+        metrics.aucLast = auc;
+
+        // Terminal phase, extrapolated to infinity when it is falling
+        metrics.lambdaZ = getTerminalSlope(curve, peak.x);
+        if (metrics.lambdaZ > 0) {
+            let last = curve[curve.length - 1];
+            metrics.halfLife = Math.LN2 / metrics.lambdaZ;
+            metrics.aucInf = auc + last.y / metrics.lambdaZ;
+            let aumcInf = aumc + last.x * last.y / metrics.lambdaZ + last.y / (metrics.lambdaZ * metrics.lambdaZ);
+            if (metrics.aucInf > 0) {
+                metrics.mrt = aumcInf / metrics.aucInf;
+                if (isFinite(options.dose)) metrics.clearance = options.dose / metrics.aucInf;
+            }
+        }
+
+        if (isFinite(options.lethalConcentration)) {
+            metrics.timeAboveLethal = getTimeAbove(curve, options.lethalConcentration);
+        }
+        return metrics;
+    }
+
+    // getTerminalSlope fits a straight line to log concentration over the last half of
+    // the curve after its peak, which is where elimination is the only thing going on
+    // @param curve: array of finite { x, y } points in time order
+    // @param tmax: time of the peak
+    // @return: elimination rate constant (minus the slope), or NaN when the curve is
+    //          not falling or there are too few points to fit
+    function getTerminalSlope(curve, tmax) {
+        let last = curve[curve.length - 1];
+        let from = tmax + (last.x - tmax) / 2;
+        let terminal = curve.filter((point) => point.x > tmax && point.x >= from && point.y > 0);
+        if (terminal.length < MIN_TERMINAL_POINTS) return NaN;
+
+        let n = terminal.length;
+        let meanX = terminal.reduce((acc, point) => acc + point.x, 0) / n;
+        let meanY = terminal.reduce((acc, point) => acc + Math.log(point.y), 0) / n;
+        let covariance = 0;
+        let variance = 0;
+        terminal.forEach((point) => {
+            covariance += (point.x - meanX) * (Math.log(point.y) - meanY);
+            variance += (point.x - meanX) * (point.x - meanX);
+        });
+        if (variance == 0) return NaN;
+        let slope = covariance / variance;
+        return slope < 0 ? -slope : NaN;
+    }
+
+    // getTimeAbove adds up how long a curve spends above a threshold, interpolating
+    // linearly between points to find where it crosses
+    // @param curve: array of finite { x, y } points in time order
+    // @param threshold: concentration to measure against
+    // @return: total time above the threshold
+    function getTimeAbove(curve, threshold) {
+        let total = 0;
+        for (let i = 1; i < curve.length; i++) {
+            let a = curve[i - 1];
+            let b = curve[i];
+            let aAbove = a.y > threshold;
+            let bAbove = b.y > threshold;
+            if (aAbove && bAbove) {
+                total += b.x - a.x;
+            } else if (aAbove != bAbove) {
+                let crossing = a.x + (threshold - a.y) / (b.y - a.y) * (b.x - a.x);
+                total += aAbove ? crossing - a.x : b.x - crossing;
+            }
+        }
+        return total;
+    }
+
+    FlowSim.computeMetrics = computeMetrics;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
@@ -0,0 +1,425 @@
+// Line plots for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Draws simple x/y line plots, heatmaps and tornado charts onto a canvas, in the
+// same hand drawn way the simulation canvas is drawn. Only needs a 2D context, no
+// other libraries.
+'use strict';
+
+(function (FlowSim) {
+    // Plot class constructor
+    // @param canvas: canvas element to draw on
+    let Plot = function (canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { left: 70, right: 15, top: 15, bottom: 40 };
+        this.font = "12px Myriad Pro";
+        this.axisColor = "#000000";
+        this.gridColor = "rgba(0,0,0,0.1)";
+    }
+
+    // niceTicks returns evenly spaced round numbers covering a range
+    // @param min, max: range to cover
+    // @param count: rough number of ticks wanted
+    // @return: array of tick values
+    function niceTicks(min, max, count) {
+        let span = max - min;
+        if (!(span > 0)) return [min];
+        let rough = span / count;
+        let magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        let step = [1, 2, 5, 10].map((m) => m * magnitude).find((candidate) => candidate >= rough);
+        let ticks = [];
+        for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+            ticks.push(Math.abs(tick) < step * 1e-9 ? 0 : tick);
+        }
+        return ticks;
+    }
+
+    // formatTick shortens a tick value for its label
+    // @param value: tick value
+    // @return: label string
+    function formatTick(value) {
+        if (value === 0) return "0";
+        let size = Math.abs(value);
+        if (size >= 1e5 || size < 1e-3) return value.toExponential(1);
+        return String(parseFloat(value.toPrecision(4)));
+    }
+
+    // getRange returns the smallest and largest finite value in a list, padded out when
+    // they are the same so the range is never empty
+    // @param values: array of numbers
+    // @return: { min, max }
+    function getRange(values) {
+        let finite = values.filter((value) => isFinite(value));
+        if (finite.length == 0) return { min: 0, max: 1 };
+        let min = Math.min.apply(null, finite);
+        let max = Math.max.apply(null, finite);
+        if (min == max) {
+            let pad = min == 0 ? 1 : Math.abs(min) * 0.1;
+            return { min: min - pad, max: max + pad };
+        }
+        return { min: min, max: max };
+    }
+
+    // thinPoints keeps at most about maxPoints points of a line so huge histories still
+    // draw quickly. The first and last points are always kept.
+    // @param points: array of { x, y }
+    // @param maxPoints: most points to keep
+    // @return: array of { x, y }
+    function thinPoints(points, maxPoints) {
+        if (points.length <= maxPoints) return points;
+        let stride = Math.ceil(points.length / maxPoints);
+        return points.filter((point, index) => index % stride == 0 || index == points.length - 1);
+    }
+
+    // draw clears the canvas and draws a plot
+    // @param options: object with
+    //      series: array of { label, color, points: [{ x, y }], dash (optional line dash array) }
+    //      referenceLines: optional array of { y, color, label } drawn as dashed horizontal lines
+    //      markers: optional array of { x, color, label } drawn as dotted vertical lines, labelled
+    //               at the top, markers outside the plotted x range are left out
+    //      bands: optional array of { color, points: [{ x, low, high }] } drawn as shaded areas
+    //             under the lines
+    //      scatter: optional array of { color, points: [{ x, y }] } drawn as open circles over
+    //               the lines, like observed data
+    //      xLabel, yLabel: axis titles
+    //      emptyMessage: text shown when there is nothing to plot
+    Plot.prototype.draw = function (options) {
+        let ctx = this.ctx;
+        let width = this.canvas.width;
+        let height = this.canvas.height;
+        let pad = this.padding;
+        let series = options.series || [];
+        let referenceLines = options.referenceLines || [];
+        let markers = options.markers || [];
+        let bands = options.bands || [];
+        let scatter = options.scatter || [];
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = this.font;
+
+        let allPoints = series.concat(scatter).reduce((acc, line) => acc.concat(line.points), []);
+        if (allPoints.length == 0) {
+            ctx.fillStyle = this.axisColor;
+            ctx.textAlign = "center";
+            ctx.fillText(options.emptyMessage || "Nothing to plot yet", width / 2, height / 2);
+            ctx.textAlign = "left";
+            return;
+        }
+
+        // Work out the ranges, reference lines and bands included, then map values to pixels
+        let xRange = getRange(allPoints.map((point) => point.x));
+        let bandValues = bands.reduce((acc, band) => acc.concat(band.points.map((point) => point.low),
+            band.points.map((point) => point.high)), []);
+        let yRange = getRange(allPoints.map((point) => point.y).concat(referenceLines.map((line) => line.y), bandValues));
+        if (yRange.min > 0) yRange.min = 0;
+        let plotWidth = width - pad.left - pad.right;
+        let plotHeight = height - pad.top - pad.bottom;
+        this.toPixelX = (x) => pad.left + (x - xRange.min) / (xRange.max - xRange.min) * plotWidth;
+        this.toPixelY = (y) => pad.top + plotHeight - (y - yRange.min) / (yRange.max - yRange.min) * plotHeight;
+
+        this.drawAxes(xRange, yRange, options.xLabel, options.yLabel);
+
+        // Draw bands under everything else, breaking them wherever there is a missing value
+        bands.forEach((band) => {
+            ctx.save();
+            ctx.fillStyle = band.color;
+            ctx.globalAlpha = 0.2;
+            let run = [];
+            let fillRun = () => {
+                if (run.length > 1) {
+                    ctx.beginPath();
+                    run.forEach((point, i) => {
+                        let x = this.toPixelX(point.x);
+                        let y = this.toPixelY(point.high);
+                        i == 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+                    });
+                    run.slice().reverse().forEach((point) => ctx.lineTo(this.toPixelX(point.x), this.toPixelY(point.low)));
+                    ctx.closePath();
+                    ctx.fill();
+                }
+                run = [];
+            };
+            thinPoints(band.points, plotWidth * 2).forEach((point) => {
+                isFinite(point.low) && isFinite(point.high) ? run.push(point) : fillRun();
+            });
+            fillRun();
+            ctx.restore();
+        });
+
+        // Draw reference lines under the data
+        referenceLines.forEach((line) => {
+            if (!isFinite(line.y)) return;
+            let y = this.toPixelY(line.y);
+            ctx.save();
+            ctx.setLineDash([6, 4]);
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y);
+            ctx.lineTo(pad.left + plotWidth, y);
+            ctx.stroke();
+            ctx.restore();
+        });
+        markers.forEach((marker) => {
+            if (!(marker.x >= xRange.min && marker.x <= xRange.max)) return;
+            let x = this.toPixelX(marker.x);
+            ctx.save();
+            ctx.setLineDash([2, 3]);
+            ctx.strokeStyle = marker.color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, pad.top);
+            ctx.lineTo(x, pad.top + plotHeight);
+            ctx.stroke();
+            if (marker.label) {
+                ctx.fillStyle = marker.color;
+                ctx.textAlign = "center";
+                ctx.fillText(marker.label, x, pad.top - 4);
+            }
+            ctx.restore();
+        });
+
+        // Draw each line, breaking it wherever there is a missing value
+        series.forEach((line) => {
+            ctx.save();
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = 2;
+            if (line.dash) ctx.setLineDash(line.dash);
+            ctx.beginPath();
+            let drawing = false;
+            thinPoints(line.points, plotWidth * 2).forEach((point) => {
+                if (!isFinite(point.y)) {
+                    drawing = false;
+                    return;
+                }
+                let x = this.toPixelX(point.x);
+                let y = this.toPixelY(point.y);
+                drawing ? ctx.lineTo(x, y) : ctx.moveTo(x, y);
+                drawing = true;
+            });
+            ctx.stroke();
+            ctx.restore();
+        });
+        scatter.forEach((group) => {
+            ctx.save();
+            ctx.strokeStyle = group.color;
+            ctx.lineWidth = 2;
+            group.points.forEach((point) => {
+                if (!isFinite(point.x) || !isFinite(point.y)) return;
+                ctx.beginPath();
+                ctx.arc(this.toPixelX(point.x), this.toPixelY(point.y), 4, 0, 2 * Math.PI);
+                ctx.stroke();
+            });
+            ctx.restore();
+        });
+
+        this.drawLegend(series);
+    }
+
+    // heatColor returns a color from pale yellow for the lowest values to dark blue for
+    // the highest
+    // @param fraction: where the value is between the lowest (0) and highest (1)
+    // @return: rgb string, grey for values that are missing
+    function heatColor(fraction) {
+        if (!isFinite(fraction)) return "rgb(200,200,200)";
+        let red = Math.round(255 - 230 * fraction);
+        let green = Math.round(250 - 180 * fraction);
+        let blue = Math.round(180 - 40 * fraction);
+        return `rgb(${red},${green},${blue})`;
+    }
+
+    // drawHeatmap clears the canvas and draws a grid of values as colored cells
+    // @param options: object with
+    //      xValues, yValues: evenly spaced values along each axis, in increasing order
+    //      values: array of rows, one for each y value, each with one value for each x value
+    //      xLabel, yLabel: axis titles
+    //      valueLabel: what the values are, shown with the color scale
+    Plot.prototype.drawHeatmap = function (options) {
+        let ctx = this.ctx;
+
+        // Make room above the cells for the color scale
+        let saved = this.padding;
+        this.padding = Object.assign({}, saved, { top: saved.top + 25 });
+        let pad = this.padding;
+        let plotWidth = this.canvas.width - pad.left - pad.right;
+        let plotHeight = this.canvas.height - pad.top - pad.bottom;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.font = this.font;
+
+        // Each cell is centered on its values, so the ranges go half a cell past the ends
+        let cellRange = (values) => {
+            let half = values.length > 1 ? (values[1] - values[0]) / 2 : 0.5;
+            return { min: values[0] - half, max: values[values.length - 1] + half, half: half };
+        };
+        let xRange = cellRange(options.xValues);
+        let yRange = cellRange(options.yValues);
+        this.toPixelX = (x) => pad.left + (x - xRange.min) / (xRange.max - xRange.min) * plotWidth;
+        this.toPixelY = (y) => pad.top + plotHeight - (y - yRange.min) / (yRange.max - yRange.min) * plotHeight;
+
+        let all = options.values.reduce((acc, row) => acc.concat(row), []);
+        let valueRange = getRange(all);
+        options.values.forEach((row, j) => {
+            let y = options.yValues[j];
+            row.forEach((value, i) => {
+                let x = options.xValues[i];
+                let left = this.toPixelX(x - xRange.half);
+                let top = this.toPixelY(y + yRange.half);
+                ctx.fillStyle = heatColor((value - valueRange.min) / (valueRange.max - valueRange.min));
+                ctx.fillRect(left, top, this.toPixelX(x + xRange.half) - left + 1, this.toPixelY(y - yRange.half) - top + 1);
+            });
+        });
+        this.drawAxes(xRange, yRange, options.xLabel, options.yLabel);
+
+        // Color scale in the top right corner, lowest value on the left
+        let right = this.canvas.width - pad.right - 60;
+        let scaleWidth = 100;
+        for (let i = 0; i < scaleWidth; i++) {
+            ctx.fillStyle = heatColor(i / (scaleWidth - 1));
+            ctx.fillRect(right - scaleWidth + i, 8, 1, 12);
+        }
+        ctx.fillStyle = this.axisColor;
+        ctx.textAlign = "right";
+        ctx.fillText(formatTick(valueRange.min), right - scaleWidth - 5, 18);
+        ctx.textAlign = "left";
+        ctx.fillText(formatTick(valueRange.max), right + 5, 18);
+        ctx.textAlign = "right";
+        if (options.valueLabel) ctx.fillText(options.valueLabel, right - scaleWidth - 60, 18);
+        ctx.textAlign = "left";
+        this.padding = saved;
+    }
+
+    // drawTornado clears the canvas and draws a tornado chart: one horizontal bar for each
+    // parameter, going from the output with the parameter nudged down to the output with it
+    // nudged up, around a line at the output with nothing changed
+    // @param options: object with
+    //      bars: array of { label, low, high } from the top down
+    //      base: output with nothing changed
+    //      lowLabel, highLabel: legend text for the two ends of each bar
+    //      xLabel: axis title
+    //      emptyMessage: text shown when there are no bars
+    Plot.prototype.drawTornado = function (options) {
+        let ctx = this.ctx;
+        let width = this.canvas.width;
+        let height = this.canvas.height;
+        let bars = options.bars || [];
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = this.font;
+        if (bars.length == 0) {
+            ctx.fillStyle = this.axisColor;
+            ctx.textAlign = "center";
+            ctx.fillText(options.emptyMessage || "Nothing to plot yet", width / 2, height / 2);
+            ctx.textAlign = "left";
+            return;
+        }
+
+        // Make room on the left for the parameter names
+        let saved = this.padding;
+        let widest = bars.reduce((acc, bar) => Math.max(acc, ctx.measureText(bar.label).width), 0);
+        this.padding = Object.assign({}, saved, { left: Math.max(saved.left, widest + 15) });
+        let pad = this.padding;
+        let plotWidth = width - pad.left - pad.right;
+        let rowHeight = (height - pad.top - pad.bottom) / bars.length;
+
+        let xRange = getRange(bars.reduce((acc, bar) => acc.concat([bar.low, bar.high]), [options.base]));
+        this.toPixelX = (x) => pad.left + (x - xRange.min) / (xRange.max - xRange.min) * plotWidth;
+        this.drawAxes(xRange, null, options.xLabel, null);
+
+        let colors = ["#1f77b4", "#ff7f0e"];
+        let base = this.toPixelX(options.base);
+        bars.forEach((bar, i) => {
+            let top = pad.top + i * rowHeight + rowHeight * 0.15;
+            [bar.low, bar.high].forEach((value, side) => {
+                if (!isFinite(value) || !isFinite(options.base)) return;
+                let end = this.toPixelX(value);
+                ctx.fillStyle = colors[side];
+                ctx.fillRect(Math.min(base, end), top, Math.abs(end - base), rowHeight * 0.7);
+            });
+            ctx.fillStyle = this.axisColor;
+            ctx.textAlign = "right";
+            ctx.fillText(bar.label, pad.left - 5, top + rowHeight * 0.35 + 4);
+        });
+        ctx.strokeStyle = this.axisColor;
+        ctx.beginPath();
+        ctx.moveTo(base, pad.top);
+        ctx.lineTo(base, height - pad.bottom);
+        ctx.stroke();
+        ctx.textAlign = "left";
+
+        this.drawLegend([{ label: options.lowLabel, color: colors[0] }, { label: options.highLabel, color: colors[1] }]);
+        this.padding = saved;
+    }
+
+    // drawAxes draws the grid, tick labels and axis titles
+    // @param xRange, yRange: { min, max } of each axis, yRange null for charts with a named
+    //                        row for each bar instead of y ticks
+    // @param xLabel, yLabel: axis titles
+    Plot.prototype.drawAxes = function (xRange, yRange, xLabel, yLabel) {
+        let ctx = this.ctx;
+        let pad = this.padding;
+        let right = this.canvas.width - pad.right;
+        let bottom = this.canvas.height - pad.bottom;
+
+        ctx.lineWidth = 1;
+        ctx.fillStyle = this.axisColor;
+        ctx.textAlign = "center";
+        niceTicks(xRange.min, xRange.max, 8).forEach((tick) => {
+            let x = this.toPixelX(tick);
+            ctx.strokeStyle = this.gridColor;
+            ctx.beginPath();
+            ctx.moveTo(x, pad.top);
+            ctx.lineTo(x, bottom);
+            ctx.stroke();
+            ctx.fillText(formatTick(tick), x, bottom + 14);
+        });
+        ctx.textAlign = "right";
+        if (yRange !== null) {
+            niceTicks(yRange.min, yRange.max, 5).forEach((tick) => {
+                let y = this.toPixelY(tick);
+                ctx.strokeStyle = this.gridColor;
+                ctx.beginPath();
+                ctx.moveTo(pad.left, y);
+                ctx.lineTo(right, y);
+                ctx.stroke();
+                ctx.fillText(formatTick(tick), pad.left - 5, y + 4);
+            });
+        }
+
+        // Axis lines
+        ctx.strokeStyle = this.axisColor;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, bottom);
+        ctx.lineTo(right, bottom);
+        ctx.stroke();
+
+        // Axis titles
+        ctx.textAlign = "center";
+        if (xLabel) ctx.fillText(xLabel, pad.left + (right - pad.left) / 2, bottom + 32);
+        if (yLabel) {
+            ctx.save();
+            ctx.translate(14, pad.top + (bottom - pad.top) / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.fillText(yLabel, 0, 0);
+            ctx.restore();
+        }
+        ctx.textAlign = "left";
+    }
+
+    // drawLegend lists each series with its color in the top right corner
+    // @param series: same as in draw
+    Plot.prototype.drawLegend = function (series) {
+        let ctx = this.ctx;
+        let right = this.canvas.width - this.padding.right - 10;
+        ctx.textAlign = "right";
+        series.filter((line) => line.label).forEach((line, index) => {
+            let y = this.padding.top + 14 + index * 16;
+            ctx.fillStyle = this.axisColor;
+            ctx.fillText(line.label, right - 18, y);
+            ctx.fillStyle = line.color;
+            ctx.fillRect(right - 12, y - 8, 12, 8);
+        });
+        ctx.textAlign = "left";
+    }
+
+    FlowSim.Plot = Plot;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
@@ -0,0 +1,217 @@
+// Virtual populations for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Runs a model document for many virtual subjects, each with its own values for the
+// parameters given a distribution, like a bloodstream output rate that varies from
+// person to person. Summarises the runs as the median concentration curve of every
+// container with the band 90% of subjects fall in, and the share of subjects that
+// ever went above each container's lethal concentration. Random values come from a
+// seeded generator, so the same seed always gives the same population.
+'use strict';
+
+(function (FlowSim) {
+    // In Node the other modules are their own files, in the browser they have already
+    // been put on FlowSim
+    const serialization = typeof require === "function" ? require("./serialization.js") : FlowSim;
+    const events = typeof require === "function" ? require("./events.js") : FlowSim;
+    const sweep = typeof require === "function" ? require("./sweep.js") : FlowSim;
+
+    // Distributions a parameter can be given
+    //      normal: { mean, sd }
+    //      log-normal: { median, sdLog }, sdLog being the standard deviation of the log of the value
+    //      uniform: { min, max }
+    const DISTRIBUTIONS = ["normal", "log-normal", "uniform"];
+
+    // Number of times each subject's run is sampled
+    const DEFAULT_SAMPLES = 200;
+
+    // Most subjects one population can have
+    const MAX_SUBJECTS = 1000;
+
+    // Times a value is drawn again when it falls outside what its parameter can take,
+    // before the parameter is left at the value the document has
+    const MAX_REDRAWS = 100;
+
+    // Percentiles the band around the median goes between
+    const LOW_PERCENTILE = 0.05;
+    const HIGH_PERCENTILE = 0.95;
+
+    // createRandom creates a random number generator that always gives the same numbers for
+    // the same seed (mulberry32)
+    // @param seed: whole number
+    // @return: function returning a number from 0 up to but not including 1 each time it is called
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // drawValue draws one value from a distribution
+    // @param variability: { distribution } along with that distribution's values, see DISTRIBUTIONS
+    // @param random: generator from createRandom
+    // @return: number
+    function drawValue(variability, random) {
+        if (variability.distribution == "uniform") {
+            return variability.min + (variability.max - variability.min) * random();
+        }
+        // Box-Muller, 1 - random() so the log is never of 0
+        let normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        if (variability.distribution == "normal") return variability.mean + variability.sd * normal;
+        return variability.median * Math.exp(variability.sdLog * normal);
+    }
+
+    // validateVariability checks a parameter's distribution
+    // @param variability: object with
+    //      id: parameter id from FlowSim.listSweepParameters
+    //      distribution: one of DISTRIBUTIONS, along with that distribution's values
+    // @param parameters: parameters of the document, from FlowSim.listSweepParameters
+    // @return: an object that contains a boolean true or false if it passes or not as well
+    //          as an error message if it failed.
+    function validateVariability(variability, parameters) {
+        let fail = (errorMsg) => ({ bool: false, errorMsg: errorMsg });
+        let isNumber = (value) => typeof value === "number" && isFinite(value);
+        let parameter = parameters.find((entry) => entry.id == variability.id);
+        if (parameter === undefined) return fail(`there is no parameter ${variability.id} to vary`);
+        let name = parameter.label;
+        if (variability.distribution == "normal") {
+            if (!isNumber(variability.mean)) return fail(`${name} needs a mean`);
+            if (!(isNumber(variability.sd) && variability.sd >= 0)) return fail(`${name} needs a standard deviation that is not negative`);
+        } else if (variability.distribution == "log-normal") {
+            if (!(isNumber(variability.median) && variability.median > 0)) return fail(`${name} needs a median above 0`);
+            if (!(isNumber(variability.sdLog) && variability.sdLog >= 0)) return fail(`${name} needs a log standard deviation that is not negative`);
+        } else if (variability.distribution == "uniform") {
+            if (!(isNumber(variability.min) && isNumber(variability.max) && variability.max >= variability.min)) {
+                return fail(`${name} needs a range from a lower to a higher value`);
+            }
+            if (variability.min < 0 || variability.max > parameter.max) {
+                return fail(`${name} has to stay between 0 and ${parameter.max}`);
+            }
+        } else {
+            return fail(`${name} must follow one of ${DISTRIBUTIONS.join(", ")}`);
+        }
+        return { bool: true, errorMsg: "" };
+    }
+
+    // describeVariability describes a parameter's distribution for the page
+    // @param variability: same as in validateVariability
+    // @return: string like "normal, mean 1, sd 0.2"
+    function describeVariability(variability) {
+        if (variability.distribution == "normal") return `normal, mean ${variability.mean}, sd ${variability.sd}`;
+        if (variability.distribution == "log-normal") return `log-normal, median ${variability.median}, log sd ${variability.sdLog}`;
+        return `uniform from ${variability.min} to ${variability.max}`;
+    }
+
+    // percentile returns a percentile of some numbers, between the two nearest when it falls
+    // between them
+    // @param sorted: array of numbers in increasing order
+    // @param fraction: percentile from 0 to 1
+    // @return: number, NaN if there are no numbers
+    function percentile(sorted, fraction) {
+        if (sorted.length == 0) return NaN;
+        let position = (sorted.length - 1) * fraction;
+        let below = Math.floor(position);
+        let above = Math.min(below + 1, sorted.length - 1);
+        return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+    }
+
+    // simulatePopulation runs a document once for every virtual subject
+    // @param doc: model document, usually saved with the starting states of the containers
+    // @param variabilities: array of parameter distributions, see validateVariability
+    // @param options: object with
+    //      subjects: number of virtual subjects
+    //      seed: whole number the random values start from
+    //      duration: simulation time each run lasts
+    //      substance: substance whose concentration is summarised, the first substance if left out
+    //      samples: optional number of times each run is sampled, DEFAULT_SAMPLES if left out
+    // @return: { bool, errorMsg, times, containers } where times are the sample times and
+    //          containers is an array with, for every container, { name, median, low, high,
+    //          aboveLethal }: the median, 5th and 95th percentile concentration at each sample
+    //          time and the share of subjects that ever went above its lethal concentration
+    function simulatePopulation(doc, variabilities, options) {
+        return sweep.runSteps(populationSteps(doc, variabilities, options));
+    }
+
+    // populationSteps is simulatePopulation one subject at a time, so the page can keep drawing
+    // between subjects
+    // @param doc, variabilities, options: same as in simulatePopulation
+    // @return: generator that yields the fraction of the subjects done after each one and
+    //          returns the same result as simulatePopulation
+    function* populationSteps(doc, variabilities, options) {
+        let fail = (errorMsg) => ({ bool: false, errorMsg: errorMsg, times: [], containers: [] });
+        if (!(Number.isInteger(options.subjects) && options.subjects >= 1)) return fail("a population needs at least 1 subject");
+        if (options.subjects > MAX_SUBJECTS) return fail(`a population can have at most ${MAX_SUBJECTS} subjects`);
+        if (!Number.isInteger(options.seed)) return fail("the seed must be a whole number");
+        if (!(options.duration > 0)) return fail("runs must last longer than 0");
+        let parameters = sweep.listSweepParameters(doc);
+        for (let i = 0; i < variabilities.length; i++) {
+            let check = validateVariability(variabilities[i], parameters);
+            if (!check.bool) return fail(check.errorMsg);
+        }
+
+        let random = createRandom(options.seed);
+        let samples = options.samples || DEFAULT_SAMPLES;
+        let times = [];
+        for (let i = 0; i <= samples; i++) times.push(options.duration * i / samples);
+        let names = doc.containers.map((container) => container.name);
+
+        // concentrations[container][sample] holds the concentration of every subject
+        let concentrations = names.map(() => times.map(() => []));
+        let aboveLethal = names.map(() => 0);
+        for (let subject = 0; subject < options.subjects; subject++) {
+            let values = {};
+            variabilities.forEach((variability) => {
+                let parameter = parameters.find((entry) => entry.id == variability.id);
+                let value = parameter.value;
+                for (let tries = 0; tries < MAX_REDRAWS; tries++) {
+                    let drawn = drawValue(variability, random);
+                    if (drawn >= 0 && drawn <= parameter.max && !(parameter.positive && drawn == 0)) {
+                        value = drawn;
+                        break;
+                    }
+                }
+                values[variability.id] = value;
+            });
+
+            let model = serialization.buildModel(sweep.withParameters(doc, values));
+            let substance = options.substance || model.substanceList[0];
+            let lethal = new events.EventMonitor([{ container: null, quantity: "concentration", substance: substance,
+                direction: "above", threshold: "lethal", action: "log" }]);
+            times.forEach((time, sample) => {
+                model.runUntil(time);
+                let state = model.getState();
+                lethal.check(state);
+                state.containers.forEach((container, index) => {
+                    concentrations[index][sample].push(container.concentrations[substance]);
+                });
+            });
+            names.forEach((name, index) => {
+                if (lethal.log.some((event) => event.container == name)) aboveLethal[index]++;
+            });
+            yield (subject + 1) / options.subjects;
+        }
+
+        let containers = names.map((name, index) => {
+            let sorted = concentrations[index].map((values) => values.filter((value) => !isNaN(value)).sort((a, b) => a - b));
+            return {
+                name: name,
+                median: sorted.map((values) => percentile(values, 0.5)),
+                low: sorted.map((values) => percentile(values, LOW_PERCENTILE)),
+                high: sorted.map((values) => percentile(values, HIGH_PERCENTILE)),
+                aboveLethal: aboveLethal[index] / options.subjects
+            };
+        });
+        return { bool: true, errorMsg: "", times: times, containers: containers };
+    }
+
+    FlowSim.DISTRIBUTIONS = DISTRIBUTIONS;
+    FlowSim.createRandom = createRandom;
+    FlowSim.validateVariability = validateVariability;
+    FlowSim.describeVariability = describeVariability;
+    FlowSim.simulatePopulation = simulatePopulation;
+    FlowSim.populationSteps = populationSteps;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
@@ -1,169 +1,76 @@
 // Javascript for Pharmacokinetics/Flow Rate simulator
 // Created by William Kwok
 'use strict';
-
-//let canvas = $('#canvas');
-
-// FlowNode class constructor
-// FlowNode is the theoretical pipe that connects two containers together. 
-// It is defined by the output end, and modified by the container that inputs into it.
-// @param percentOutRate: Percentage of max output rate of container (value must be a 
-//                        double between 0 and 1)
-// @param inputFromContainer: String name of container inputting to current node
-// @param outputToContainer: String name of container current node is outputting to
-let FlowNode = function (percentOutRate, inputFromContainer, outputToContainer) {
-    this.percentOutRate = percentOutRate;
-    this.currRate = 0;
-    this.currConcentration = 0;
-    this.inputFromContainer = inputFromContainer
-    this.outputToContainer = outputToContainer;
-    nodeList.push(this);
-}
-
-// Container class constructur
-// Container is the container that is full of the liquid that we want to keep track of
-// @param maxOutRate: Maximum possible output rate as a double
-// @param currLiquidLevel: Current liquid level as a double
-// @param maxLiquidLevel: Maximum possible liquid level (can never overflow, for the 
-//                        sake of this prototype)
-// @param nameIdentifier: Name of container used for identification by Flow Nodes
-// @param concentration: Initial concentration of container
-// @param lethalConcentration: Concentration where the maximum color is allowed.
-let Container = function (maxOutRate,
-    currLiquidLevel,
-    maxLiquidLevel,
-    nameIdentifier,
-    xPos,
-    yPos,
-    concentration,
-    lethalConcentration) {
-    this.nameIdentifier = nameIdentifier;
-    this.inNodes = getMatchingInNodeArray(this.nameIdentifier);
-    this.outNodes = getMatchingOutNodeArray(this.nameIdentifier);
-    this.maxInRate = this.inNodes.reduce((acc, nodeIn) => getNodeRate(acc, nodeIn), 0);
-    this.currInRate = this.maxInRate;
-    this.currOutRate = maxOutRate;
-    this.maxLiquidLevel = maxLiquidLevel;
-    this.maxOutRate = maxOutRate;
-    this.currLiquidLevel = currLiquidLevel;
-    this.currConcentration = concentration;
-    this.lethalConcentration = lethalConcentration;
-    containerList.push(this);
-    this.shape = new Shape(xPos, yPos, nameIdentifier, currLiquidLevel, maxLiquidLevel);
-}
-
-// Global arrays to store all containers and nodes in existence.
-let containerList = [];
-let nodeList = [];
-
-// getNodeRate will return the current rate of a FlowNode added with an accumulator value
-// @param accumulator: Accumulator used with the Array.reduce() method
-// @param nodeIn: FlowNode in
-// @return: current rate of nodeIn as a number added with accumulator
-function getNodeRate(accumulator, nodeIn) {
-    return accumulator + nodeIn.currRate;
-}
-
-// getMachingInNodeArray will return FlowNodes that match the input of the specified container
-// @param nameIdentifier: nameIdentifier of the specified container
-// @return: array of FlowNodes that match the input of the specified container
-function getMatchingInNodeArray(nameIdentifier) {
-    return nodeList.reduce((acc, node) => {
-        if (node.outputToContainer == nameIdentifier) {
-            acc.push(node);
-        }
-        return acc;
-    }, []);
-}
-
-// getMatchingOutNodeArray will return FlowNodes that match the output of the specified container
-// @param nameIdentifier: nameIdentifier of the specified container
-// @return: array of FlowNodes that match the output of the specified container
-//     Author note: Yes, getMatchingInNodeArray and this function can be made into one using the 
-//     [] way to access object values-- however, when I tried, my program started to not function
-//     correctly, so I reverted it
-function getMatchingOutNodeArray(nameIdentifier) {
-    return nodeList.reduce((acc, node) => {
-        if (node.inputFromContainer == nameIdentifier) {
-            acc.push(node);
-        }
-        return acc;
-    }, []);
-}
-
-// findContainer will parse through the list of containers and return a container with the
-// matching name
-// @param containerName: a string that is the nameIdentifier of the container to return
-// @return: specified container
-// @return: null if no container is found
-//      Author note: reduce() here is slightly slower than this for loop
-function findContainer(containerName) {
-    for (let i = 0; i < containerList.length; i++) {
-        if (containerList[i].nameIdentifier == containerName) {
-            return containerList[i];
-        }
-    }
-    //console.log("ERROR: CONTAINER NOT FOUND");
+/* global FlowSim, LZString */
+
+// The simulation model. All containers and flow nodes live inside of it,
+// this file only draws it and wires up the sidebar.
+let model = new FlowSim.Model();
+
+// Shapes drawn on the canvas, one for each container in the model
+let shapeList = [];
+
+// findShape will return the shape drawn for the container with the matching name
+// @param containerName: nameIdentifier of the container
+// @return: specified shape
+// @return: null if no shape is found
+function findShape(containerName) {
+    for (let i = 0; i < shapeList.length; i++) {
+        if (shapeList[i].name == containerName) {
+            return shapeList[i];
+        }
+    }
     return null;
 }
 
 // updateStatus updates ALL values in each FlowNode and Container
-// Happens 60 times a second
-function updateStatus() {
-    // Update a specified container
-    function updateContainer(container) {
-        //console.log(container.nameIdentifier + "|| Level: " + container.currLiquidLevel + " || Conc: " + container.currConcentration);
-        // Update any inNodes and any outNodes that may have been added
-        container.inNodes = getMatchingInNodeArray(container.nameIdentifier);
-        container.outNodes = getMatchingOutNodeArray(container.nameIdentifier);
-
-        // Store in rates and out rates
-        let inRate = container.inNodes.reduce((acc, nodeIn) => getNodeRate(acc, nodeIn), 0);
-        let outRate = container.outNodes.reduce((acc, nodeOut) => getNodeRate(acc, nodeOut), 0);
-        let concentrationRateIn = container.inNodes.reduce((acc, nodeIn, index) => {
-            return acc + nodeIn.currRate * container.inNodes[index].currConcentration * 100;
-        }, 0);
-
-        // Calculate new substance amount inside current container by using
-        // a linear first order ODE
-        let currSubstanceAmt = container.currConcentration * container.currLiquidLevel;
-        let yOverX = concentrationRateIn / outRate;
-        let newSubstanceAmt = yOverX + ((currSubstanceAmt - yOverX) * Math.exp(-1 * outRate / 60));
+// Moves the simulation clock forward by globalTimePerTick for every tick, no matter how
+// late the browser timer fired, then records the run and checks the event rules
+// @param ticks: optional fraction of a tick to move forward instead, for slow playback
+// @return: true if a rule says to pause or the model halted
+function updateStatus(ticks) {
+    model.runUntil(model.time + globalTimePerTick * (ticks === undefined ? 1 : ticks));
+    let state = model.getState();
+    modelHistory.record(state);
+
+    // Check the event rules, and log the model halting because a container set to stop filled up
+    let events = eventMonitor.check(state);
+    if (model.halted !== null && model.halted !== loggedHalt) {
+        loggedHalt = model.halted;
+        events.push(eventMonitor.record(model.halted.time, model.halted.message, "pause"));
+    }
+    if (events.length > 0) drawEventLog();
 
-        // Update current container liquid level, concentration, and outRate based on previous "snapshot" (1/60 of a second ago)
-        container.currInRate = inRate;
-        container.currLiquidLevel = container.currLiquidLevel + inRate - outRate;
-        if (container.inNodes.length == 0) {
-            newSubstanceAmt = container.currLiquidLevel;
-        }
-        container.currLiquidLevel == 0 ?
-            container.currConcentration = 0 :
-            container.currConcentration = newSubstanceAmt / container.currLiquidLevel;
-        container.currLiquidLevel < container.maxOutRate ?
-            container.currOutRate = container.currLiquidLevel :
-            container.currOutRate = container.maxOutRate;
+    // Set canvas state to be invalid to trigger an animation update
+    s.valid = false;
+    return events.some((event) => event.action == "pause") || model.halted !== null;
+}
 
-        if (container.currConcentration > 1 && startUpdating !== null) {
-            alert("End of simulation. Click on reset!");
-            $("#toggle-update").text("Start");
-            clearInterval(startUpdating);
-            startUpdating = null;
-        }
+// runTicks moves the simulation forward one tick at a time, so every tick is recorded and
+// checked against the event rules. Stops early, along with playback, when a rule says to
+// pause or the model halted, and shows the event log so it is clear why.
+// @param ticks: number of ticks, fractions of a tick move the clock forward that fraction
+function runTicks(ticks) {
+    showLiveRun();
+    let pause = false;
+    for (let done = 0; done < ticks && !pause; done++) {
+        pause = updateStatus(Math.min(1, ticks - done));
     }
 
-    // Update a specified FlowNode
-    function updateFlowNode(node) {
-        let fromContainer = findContainer(node.inputFromContainer);
-        node.currRate = node.percentOutRate * fromContainer.currOutRate;
-        node.currConcentration = fromContainer.currConcentration;
+    // Redrawing the whole plot on every tick is wasteful, 10 times a second is plenty
+    if (pause || startUpdating === null || Date.now() - lastPlotDraw > 100) {
+        drawPlot();
+        drawMetrics();
+        refreshDiagnostics();
+        refreshTimeline();
+        lastPlotDraw = Date.now();
+    }
+    if (pause) {
+        stopPlayback();
+        $("#analysis-panel").css("display", "block");
+        $('#analysis-panel a[href="#events-tab"]').tab("show");
+        drawEventLog();
     }
-
-    // Update all containers first, then FlowNodes. Order is important.
-    containerList.forEach(updateContainer);
-    nodeList.forEach(updateFlowNode);
-
-    // Set canvas state to be invalid to trigger an animation update
-    s.valid = false;
 }
 
 // calculateConcentrationRGB returns an rgb string from light blue to bright
@@ -218,18 +125,18 @@ function Shape(x, y, nameOfContainer, initCapacity, maxCapacity) {
 
 // Draws this shape to a given context
 Shape.prototype.draw = function (ctx) {
-    let container = findContainer(this.name);
+    let container = getContainerView(this.name);
 
     // Draw entire white rectangle background
     ctx.fillStyle = "rgba(255,255,255,0.5)";
     ctx.fillRect(this.x, this.y, this.w, this.h);
 
-    // Calculate fluid concentration, give color
-    let fillInput = calculateConcentrationRGB(container.currConcentration / container.lethalConcentration);
+    // Calculate fluid concentration of the viewed substance, give color
+    let fillInput = calculateConcentrationRGB(container.concentration / container.lethal);
 
     // Draw fluid level
     ctx.fillStyle = fillInput;
-    this.heightFill = Math.floor(container.currLiquidLevel / container.maxLiquidLevel * this.h);
+    this.heightFill = Math.floor(container.level / container.maxLevel * this.h);
     ctx.fillRect(this.x, this.y + this.h, this.w, -this.heightFill);
 
     // Draw title
@@ -238,6 +145,14 @@ Shape.prototype.draw = function (ctx) {
     ctx.fillText(this.name, this.x, this.y - 10);
 }
 
+// Moves the shape, along with the points flows are drawn to and from
+Shape.prototype.moveTo = function (x, y) {
+    this.x = x;
+    this.y = y;
+    this.inPoint = { x: this.x + this.w / 2, y: this.y };
+    this.outPoint = { x: this.x + this.w / 2, y: this.y + this.h };
+}
+
 // Determine if a point is inside the shape's bounds
 Shape.prototype.contains = function (mx, my) {
     // All we have to do is make sure the Mouse X,Y fall in the area between
@@ -246,6 +161,52 @@ Shape.prototype.contains = function (mx, my) {
         (this.y <= my) && (this.y + this.h >= my);
 }
 
+// Constructor for InfusionShape objects, drawn for infusions instead of containers.
+// They are narrower rounded "bags" and show how much infusion time is left.
+function InfusionShape(x, y, nameOfInfusion) {
+    this.x = x;
+    this.y = y;
+    this.w = globalWidth / 2;
+    this.h = globalHeight;
+    this.name = nameOfInfusion;
+    this.inPoint = { x: this.x + this.w / 2, y: this.y };
+    this.outPoint = { x: this.x + this.w / 2, y: this.y + this.h };
+}
+
+// Draws this infusion to a given context
+InfusionShape.prototype.draw = function (ctx) {
+    let infusion = model.findInfusion(this.name);
+    let radius = this.w / 4;
+
+    // Draw the bag, colored by concentration while running and grey otherwise
+    ctx.beginPath();
+    ctx.moveTo(this.x + radius, this.y);
+    ctx.arcTo(this.x + this.w, this.y, this.x + this.w, this.y + this.h, radius);
+    ctx.arcTo(this.x + this.w, this.y + this.h, this.x, this.y + this.h, radius);
+    ctx.arcTo(this.x, this.y + this.h, this.x, this.y, radius);
+    ctx.arcTo(this.x, this.y, this.x + this.w, this.y, radius);
+    ctx.closePath();
+    ctx.fillStyle = infusion.isRunning(model.time) ?
+        calculateConcentrationRGB(infusion.concentration) : "rgba(255,255,255,0.5)";
+    ctx.fill();
+    ctx.strokeStyle = "rgba(255,140,0,0.9)";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    // Draw title and remaining infusion time
+    ctx.fillStyle = "#000000";
+    ctx.font = globalNameSize + "px Myriad Pro";
+    ctx.fillText(this.name, this.x, this.y - 10);
+    ctx.font = globalDataSize + "px Myriad Pro";
+    let remaining = infusion.remainingTime(model.time);
+    ctx.fillText(remaining > 0 ? `${inUnits(remaining, "time").toFixed(1)} ${unitOf("time")} left` : "done",
+        this.x + 4, this.y + this.h / 2 + globalDataSize / 2);
+}
+
+// Infusions are hit-tested and moved the same way as containers
+InfusionShape.prototype.contains = Shape.prototype.contains;
+InfusionShape.prototype.moveTo = Shape.prototype.moveTo;
+
 function CanvasState(canvas) {
     // **** First some setup! ****
     this.canvas = canvas;
@@ -275,6 +236,18 @@ function CanvasState(canvas) {
     this.selection = null;
     this.dragoffx = 0; // See mousedown and mousemove events for explanation
     this.dragoffy = 0;
+    // the flow being drawn from a container's output point, as { from, end }, or null
+    this.connecting = null;
+    // where the selected shape was and the model before it was grabbed, or null
+    this.moveStart = null;
+    // zoom and pan: a point in the model is drawn at (x * scale + view.x, y * scale + view.y)
+    this.view = { scale: 1, x: 0, y: 0 };
+    // page position the view is being dragged from, or null
+    this.panning = null;
+    // the two finger pinch going on, see startPinch, or null
+    this.pinch = null;
+    // whether the view is being moved by dragging on the minimap
+    this.minimapDragging = false;
 
     // **** Then events! ****
 
@@ -294,14 +267,27 @@ function CanvasState(canvas) {
         let mx = mouse.x;
         let my = mouse.y;
 
-        for (let i = containerList.length - 1; i >= 0; i--) {
-            if (containerList[i].shape.contains(mx, my)) {
-                let mySel = containerList[i].shape;
+        // Pressing on the minimap moves the view there
+        if (myState.minimapContains(myState.toScreen(mouse))) {
+            myState.minimapDragging = true;
+            myState.centerOnMinimap(myState.toScreen(mouse));
+            return;
+        }
+
+        // Dragging from a container's output point draws a new flow
+        if (myState.startConnection(mx, my)) return;
+
+        for (let i = shapeList.length - 1; i >= 0; i--) {
+            if (shapeList[i].contains(mx, my)) {
+                let mySel = shapeList[i];
                 myState.draggoffx = mx - mySel.x;
                 myState.draggoffy = my - mySel.y;
                 myState.dragging = true;
                 myState.selection = mySel;
                 myState.valid = false;
+                myState.moveStart = { x: mySel.x, y: mySel.y, snapshot: captureEdit() };
+                selectFlowNode(null);
+                inspectShape(mySel);
                 return;
             }
         }
@@ -311,22 +297,39 @@ function CanvasState(canvas) {
         if (myState.selection) {
             myState.selection = null;
             myState.valid = false; // Need to clear the old selection border
+            inspectShape(null);
         }
+
+        // Otherwise see if a flow arrow was clicked, and if not drag the view around
+        let node = myState.findNodeAt(mx, my);
+        selectFlowNode(node, e);
+        if (node === null) myState.panning = { x: e.pageX, y: e.pageY };
     }, true);
 
     canvas.addEventListener('touchstart', function (e) {
+        // Two fingers pinch to zoom instead of dragging anything
+        if (e.touches.length == 2) {
+            myState.startPinch(e);
+            return;
+        }
         let mouse = myState.getTouch(e);
         let mx = mouse.x;
         let my = mouse.y;
 
-        for (let i = containerList.length - 1; i >= 0; i--) {
-            if (containerList[i].shape.contains(mx, my)) {
-                let mySel = containerList[i].shape;
+        // Dragging from a container's output point draws a new flow
+        if (myState.startConnection(mx, my)) return;
+
+        for (let i = shapeList.length - 1; i >= 0; i--) {
+            if (shapeList[i].contains(mx, my)) {
+                let mySel = shapeList[i];
                 myState.dragoffx = mx - mySel.x;
                 myState.dragoffy = my - mySel.y;
                 myState.dragging = true;
                 myState.selection = mySel;
                 myState.valid = false;
+                myState.moveStart = { x: mySel.x, y: mySel.y, snapshot: captureEdit() };
+                selectFlowNode(null);
+                inspectShape(mySel);
                 return;
             }
         }
@@ -336,10 +339,24 @@ function CanvasState(canvas) {
         if (myState.selection) {
             myState.selection = null;
             myState.valid = false; // Need to clear the old selection border
+            inspectShape(null);
         }
+
+        // Otherwise see if a flow arrow was clicked, and if not drag the view around
+        let node = myState.findNodeAt(mx, my);
+        selectFlowNode(node, e.touches[0]);
+        if (node === null) myState.panning = { x: e.touches[0].pageX, y: e.touches[0].pageY };
     }, true);
     canvas.addEventListener('mousemove', function (e) {
-        if (myState.dragging) {
+        if (myState.minimapDragging) {
+            myState.centerOnMinimap(myState.toScreen(myState.getMouse(e)));
+        } else if (myState.panning !== null) {
+            myState.panBy(e.pageX - myState.panning.x, e.pageY - myState.panning.y);
+            myState.panning = { x: e.pageX, y: e.pageY };
+        } else if (myState.connecting !== null) {
+            myState.connecting.end = myState.getMouse(e);
+            myState.valid = false;
+        } else if (myState.dragging) {
             let mouse = myState.getMouse(e);
             // We don't want to drag the object by its top-left corner, we want to drag it
             // from where we clicked. Thats why we saved the offset and use it here
@@ -351,7 +368,16 @@ function CanvasState(canvas) {
         }
     }, true);
     canvas.addEventListener('touchmove', function (e) {
-        if (myState.dragging) {
+        if (myState.pinch !== null && e.touches.length == 2) {
+            e.preventDefault();
+            myState.movePinch(e);
+        } else if (myState.panning !== null) {
+            myState.panBy(e.touches[0].pageX - myState.panning.x, e.touches[0].pageY - myState.panning.y);
+            myState.panning = { x: e.touches[0].pageX, y: e.touches[0].pageY };
+        } else if (myState.connecting !== null) {
+            myState.connecting.end = myState.getTouch(e);
+            myState.valid = false;
+        } else if (myState.dragging) {
             let mouse = myState.getTouch(e);
             // We don't want to drag the object by its top-left corner, we want to drag it
             // from where we clicked. Thats why we saved the offset and use it here
@@ -364,11 +390,31 @@ function CanvasState(canvas) {
     }, true);
     canvas.addEventListener('mouseup', function (e) {
         myState.dragging = false;
+        myState.panning = null;
+        myState.minimapDragging = false;
+        myState.finishMove();
+        if (myState.connecting !== null) {
+            myState.finishConnection(myState.getMouse(e), e);
+        }
     }, true);
     canvas.addEventListener('touchend', function (e) {
         myState.dragging = false;
+        myState.panning = null;
+        if (e.touches.length < 2) myState.pinch = null;
+        myState.finishMove();
+        if (myState.connecting !== null) {
+            myState.finishConnection(myState.connecting.end, e.changedTouches[0]);
+        }
     }, true);
 
+    // Scrolling zooms in and out around the mouse
+    canvas.addEventListener('wheel', function (e) {
+        e.preventDefault();
+        // Some browsers scroll by lines instead of pixels
+        let delta = e.deltaMode == 1 ? e.deltaY * 16 : e.deltaY;
+        myState.zoomAt(myState.toScreen(myState.getMouse(e)), Math.exp(-delta * WHEEL_ZOOM_SPEED));
+    }, false);
+
     // **** Options! ****
 
     this.selectionColor = 'rgba(127,0,0,0.5)';
@@ -420,6 +466,242 @@ CanvasState.prototype.clear = function () {
     this.ctx.clearRect(0, 0, this.width, this.height);
 }
 
+// finishMove lets go of the shape being dragged. If it moved, the move can be undone.
+CanvasState.prototype.finishMove = function () {
+    let start = this.moveStart;
+    this.moveStart = null;
+    if (start !== null && this.selection !== null && (this.selection.x != start.x || this.selection.y != start.y)) {
+        editHistory.record(start.snapshot);
+        refreshUndoButtons();
+    }
+}
+
+// startConnection starts drawing a new flow if a point is on a container's output point
+// @param mx, my: canvas position
+// @return: true if a flow is now being drawn
+CanvasState.prototype.startConnection = function (mx, my) {
+    for (let i = shapeList.length - 1; i >= 0; i--) {
+        let shape = shapeList[i];
+        if (model.findContainer(shape.name) === null) continue;
+        if (Math.hypot(mx - shape.outPoint.x, my - shape.outPoint.y) <= CONNECT_RADIUS / this.view.scale) {
+            this.connecting = { from: shape, end: { x: mx, y: my } };
+            this.selection = null;
+            selectFlowNode(null);
+            this.valid = false;
+            return true;
+        }
+    }
+    return false;
+}
+
+// finishConnection ends the flow being drawn. If it was let go over another container a
+// FlowNode is added between the two and selected so its fraction can be changed.
+// @param mouse: canvas position the flow was let go at
+// @param e: event or touch with the page position, used to place the flow editor
+CanvasState.prototype.finishConnection = function (mouse, e) {
+    let from = this.connecting.from;
+    this.connecting = null;
+    this.valid = false;
+    let target = null;
+    for (let i = shapeList.length - 1; i >= 0; i--) {
+        let shape = shapeList[i];
+        let nearInPoint = Math.hypot(mouse.x - shape.inPoint.x, mouse.y - shape.inPoint.y) <= CONNECT_RADIUS / this.view.scale;
+        if ((shape.contains(mouse.x, mouse.y) || nearInPoint) && model.findContainer(shape.name) !== null) {
+            target = shape;
+            break;
+        }
+    }
+    if (target === null || target === from) return;
+
+    let fraction = 1 - getOutShare(from.name, null);
+    if (fraction <= 0) {
+        alert(`ERROR: ${from.name} already sends all of its output to other containers!`);
+        return;
+    }
+    recordEdit();
+    let node = model.addFlowNode(parseFloat(fraction.toFixed(6)), from.name, target.name);
+    resetContainerStates();
+    selectFlowNode(node, e);
+}
+
+// findNodeAt returns the flow node whose arrow passes through a point
+// @param mx, my: canvas position
+// @return: FlowNode, or null if there is no arrow there
+CanvasState.prototype.findNodeAt = function (mx, my) {
+    for (let i = model.nodeList.length - 1; i >= 0; i--) {
+        let ends = getNodeEnds(model.nodeList[i]);
+        if (ends !== null && distanceToSegment({ x: mx, y: my }, ends.from, ends.to) <= CONNECT_RADIUS / 2 / this.view.scale) {
+            return model.nodeList[i];
+        }
+    }
+    return null;
+}
+
+// toModel turns a position on the canvas into a position in the model, undoing the zoom and pan
+// @param point: { x, y } canvas position
+// @return: { x, y } model position
+CanvasState.prototype.toModel = function (point) {
+    return { x: (point.x - this.view.x) / this.view.scale, y: (point.y - this.view.y) / this.view.scale };
+}
+
+// toScreen turns a position in the model into the position on the canvas it is drawn at
+// @param point: { x, y } model position
+// @return: { x, y } canvas position
+CanvasState.prototype.toScreen = function (point) {
+    return { x: point.x * this.view.scale + this.view.x, y: point.y * this.view.scale + this.view.y };
+}
+
+// panBy moves the view
+// @param dx, dy: canvas pixels to move everything by
+CanvasState.prototype.panBy = function (dx, dy) {
+    this.view.x += dx;
+    this.view.y += dy;
+    this.valid = false;
+}
+
+// zoomAt zooms in or out, keeping the model under one canvas position where it is
+// @param screen: { x, y } canvas position to zoom around
+// @param factor: how many times bigger everything gets
+CanvasState.prototype.zoomAt = function (screen, factor) {
+    let anchor = this.toModel(screen);
+    this.view.scale = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.view.scale * factor));
+    this.view.x = screen.x - anchor.x * this.view.scale;
+    this.view.y = screen.y - anchor.y * this.view.scale;
+    this.valid = false;
+}
+
+// startPinch starts zooming with two fingers, letting go of anything being dragged
+// @param e: touch event with two touches
+CanvasState.prototype.startPinch = function (e) {
+    this.connecting = null;
+    this.dragging = false;
+    this.finishMove();
+    this.panning = null;
+    let a = this.getMouse(e.touches[0]);
+    let b = this.getMouse(e.touches[1]);
+    this.pinch = {
+        distance: Math.hypot(e.touches[0].pageX - e.touches[1].pageX, e.touches[0].pageY - e.touches[1].pageY),
+        scale: this.view.scale,
+        anchor: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+    };
+    this.valid = false;
+}
+
+// movePinch zooms by how far apart the fingers are now, keeping the model point that started
+// between them between them
+// @param e: touch event with two touches
+CanvasState.prototype.movePinch = function (e) {
+    let distance = Math.hypot(e.touches[0].pageX - e.touches[1].pageX, e.touches[0].pageY - e.touches[1].pageY);
+    let a = this.toScreen(this.getMouse(e.touches[0]));
+    let b = this.toScreen(this.getMouse(e.touches[1]));
+    let center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    if (this.pinch.distance > 0) {
+        this.view.scale = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.pinch.scale * distance / this.pinch.distance));
+    }
+    this.view.x = center.x - this.pinch.anchor.x * this.view.scale;
+    this.view.y = center.y - this.pinch.anchor.y * this.view.scale;
+    this.valid = false;
+}
+
+// getContentBounds returns the box around every shape and its name
+// @return: { x, y, w, h } in model coordinates, or null if there are no shapes
+CanvasState.prototype.getContentBounds = function () {
+    if (shapeList.length == 0) return null;
+    let left = Math.min.apply(null, shapeList.map((shape) => shape.x));
+    let top = Math.min.apply(null, shapeList.map((shape) => shape.y - globalNameSize - 10));
+    let right = Math.max.apply(null, shapeList.map((shape) => shape.x + shape.w));
+    let bottom = Math.max.apply(null, shapeList.map((shape) => shape.y + shape.h));
+    return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+// fitToContent zooms and pans so every shape fits in part of the canvas, zooming in no further
+// than the normal size
+// @param area: { x, y, w, h } canvas area to fit everything in
+CanvasState.prototype.fitToContent = function (area) {
+    let content = this.getContentBounds();
+    if (content === null) return;
+    let padding = 20;
+    let scale = Math.min((area.w - 2 * padding) / Math.max(content.w, 1), (area.h - 2 * padding) / Math.max(content.h, 1));
+    this.view.scale = Math.max(MIN_ZOOM, Math.min(1, scale));
+    this.view.x = area.x + area.w / 2 - (content.x + content.w / 2) * this.view.scale;
+    this.view.y = area.y + area.h / 2 - (content.y + content.h / 2) * this.view.scale;
+    this.valid = false;
+}
+
+// getMinimap works out where the minimap is drawn and how the model is shrunk into it. It
+// shows every shape and the part of the model on the canvas.
+// @return: { x, y, w, h, scale, left, top } where a model point is drawn at
+//          (x + (point.x - left) * scale, y + (point.y - top) * scale), or null if there is nothing to show
+CanvasState.prototype.getMinimap = function () {
+    let content = this.getContentBounds();
+    if (content === null) return null;
+    let topLeft = this.toModel({ x: 0, y: 0 });
+    let bottomRight = this.toModel({ x: this.width, y: this.height });
+    let left = Math.min(content.x, topLeft.x);
+    let top = Math.min(content.y, topLeft.y);
+    let width = Math.max(content.x + content.w, bottomRight.x) - left;
+    let height = Math.max(content.y + content.h, bottomRight.y) - top;
+    let scale = Math.min(MINIMAP_WIDTH / width, MINIMAP_HEIGHT / height);
+    return {
+        x: this.width - MINIMAP_WIDTH - 10,
+        y: this.height - MINIMAP_HEIGHT - 10,
+        w: MINIMAP_WIDTH,
+        h: MINIMAP_HEIGHT,
+        scale: scale,
+        left: left - (MINIMAP_WIDTH / scale - width) / 2,
+        top: top - (MINIMAP_HEIGHT / scale - height) / 2
+    };
+}
+
+// minimapContains returns whether a canvas position is on the minimap
+// @param screen: { x, y } canvas position
+// @return: boolean
+CanvasState.prototype.minimapContains = function (screen) {
+    let minimap = this.getMinimap();
+    return minimap !== null && screen.x >= minimap.x && screen.x <= minimap.x + minimap.w &&
+        screen.y >= minimap.y && screen.y <= minimap.y + minimap.h;
+}
+
+// centerOnMinimap moves the view so the model point under a position on the minimap is in
+// the middle of the canvas
+// @param screen: { x, y } canvas position on the minimap
+CanvasState.prototype.centerOnMinimap = function (screen) {
+    let minimap = this.getMinimap();
+    if (minimap === null) return;
+    let target = {
+        x: minimap.left + (screen.x - minimap.x) / minimap.scale,
+        y: minimap.top + (screen.y - minimap.y) / minimap.scale
+    };
+    this.view.x = globalMidpointX - target.x * this.view.scale;
+    this.view.y = globalMidpointY - target.y * this.view.scale;
+    this.valid = false;
+}
+
+// drawMinimap draws the minimap in the bottom right corner of the canvas
+CanvasState.prototype.drawMinimap = function () {
+    let minimap = this.getMinimap();
+    if (minimap === null) return;
+    let ctx = this.ctx;
+    let place = (x, y) => ({ x: minimap.x + (x - minimap.left) * minimap.scale, y: minimap.y + (y - minimap.top) * minimap.scale });
+    ctx.save();
+    ctx.fillStyle = "rgba(255,255,255,0.8)";
+    ctx.fillRect(minimap.x, minimap.y, minimap.w, minimap.h);
+    ctx.strokeStyle = "#555555";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(minimap.x, minimap.y, minimap.w, minimap.h);
+    ctx.fillStyle = "rgba(51, 204, 255, 0.8)";
+    shapeList.forEach((shape) => {
+        let corner = place(shape.x, shape.y);
+        ctx.fillRect(corner.x, corner.y, Math.max(1, shape.w * minimap.scale), Math.max(1, shape.h * minimap.scale));
+    });
+    let topLeft = this.toModel({ x: 0, y: 0 });
+    let corner = place(topLeft.x, topLeft.y);
+    ctx.strokeStyle = this.selectionColor;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(corner.x, corner.y, this.width / this.view.scale * minimap.scale, this.height / this.view.scale * minimap.scale);
+    ctx.restore();
+}
+
 // While draw is called as often as the INTERVAL variable demands,
 // It only ever does something if the canvas gets invalidated by our code
 CanvasState.prototype.draw = function () {
@@ -430,25 +712,82 @@ CanvasState.prototype.draw = function () {
 
         // ** Add stuff you want drawn in the background all the time here **
 
-        // draw all shapes
-        for (let i = 0; i < containerList.length; i++) {
-            let shape = containerList[i].shape;
-            if (shape.x > this.width || shape.y > this.height ||
-                shape.x + shape.w < 0 || shape.y + shape.h < 0) continue;
+        // Everything in the model is drawn zoomed and panned
+        ctx.save();
+        ctx.setTransform(this.view.scale, 0, 0, this.view.scale, this.view.x, this.view.y);
+
+        // draw all shapes that are on the canvas
+        let topLeft = this.toModel({ x: 0, y: 0 });
+        let bottomRight = this.toModel({ x: this.width, y: this.height });
+        for (let i = 0; i < shapeList.length; i++) {
+            let shape = shapeList[i];
+            if (shape.x > bottomRight.x || shape.y - globalNameSize - 10 > bottomRight.y ||
+                shape.x + shape.w < topLeft.x || shape.y + shape.h < topLeft.y) continue;
             shape.draw(ctx);
         }
 
+        // outline the shapes of the diagnostic being pointed at
+        if (diagnosticHighlight !== null) {
+            ctx.save();
+            ctx.strokeStyle = diagnosticHighlight.level == "error" ? "#dc3545" : "#b8860b";
+            ctx.lineWidth = 4;
+            diagnosticHighlight.names.forEach((name) => {
+                let shape = findShape(name);
+                if (shape !== null) ctx.strokeRect(shape.x - 4, shape.y - 4, shape.w + 8, shape.h + 8);
+            });
+            ctx.restore();
+        }
+
+        // draw the selected arrow's highlight under it
+        let selectedEnds = selectedNode === null ? null : getNodeEnds(selectedNode);
+        if (selectedEnds !== null) {
+            ctx.save();
+            ctx.strokeStyle = this.selectionColor;
+            ctx.lineWidth = 8;
+            ctx.beginPath();
+            ctx.moveTo(selectedEnds.from.x, selectedEnds.from.y);
+            ctx.lineTo(selectedEnds.to.x, selectedEnds.to.y);
+            ctx.stroke();
+            ctx.restore();
+        }
+
         // draw all arrows
-        for (let i = 0; i < nodeList.length; i++) {
-            let inContainer = findContainer(nodeList[i].inputFromContainer);
-            let outContainer = findContainer(nodeList[i].outputToContainer);
-            let pointOne = inContainer.shape.outPoint;
-            if (outContainer != null) {
-                let pointTwo = outContainer.shape.inPoint;
-                this.arrowDraw(pointOne, pointTwo, inContainer.currConcentration / inContainer.lethalConcentration);
+        for (let i = 0; i < model.nodeList.length; i++) {
+            let inContainer = getContainerView(model.nodeList[i].inputFromContainer);
+            let ends = getNodeEnds(model.nodeList[i]);
+            if (ends !== null) {
+                this.arrowDraw(ends.from, ends.to, inContainer.concentration / inContainer.lethal);
             }
         }
 
+        // draw the flow being dragged out of a container
+        if (this.connecting !== null) {
+            ctx.save();
+            ctx.setLineDash([6, 4]);
+            this.arrowDraw(this.connecting.from.outPoint, this.connecting.end, 0);
+            ctx.restore();
+        }
+        // draw each infusion into its target, if both are on the canvas
+        model.infusionList.forEach((infusion) => {
+            let fromShape = findShape(infusion.name);
+            let target = model.findContainer(infusion.target);
+            let toShape = target === null ? null : findShape(target.nameIdentifier);
+            if (fromShape === null || toShape === null) return;
+            let given = getSubstanceName(infusion.substance) == viewedSubstance ? infusion.concentration : 0;
+            this.arrowDraw(fromShape.outPoint, toShape.inPoint, given / target.getLethalConcentration(viewedSubstance));
+        });
+
+        // draw where each container spills to as a dotted arrow
+        model.containerList.forEach((container) => {
+            let fromShape = findShape(container.nameIdentifier);
+            let toShape = container.overflow.mode == "spill" ? findShape(container.overflow.target) : null;
+            if (fromShape === null || toShape === null) return;
+            ctx.save();
+            ctx.setLineDash([2, 4]);
+            this.arrowDraw({ x: fromShape.x + fromShape.w, y: fromShape.y }, toShape.inPoint, 0);
+            ctx.restore();
+        });
+
         // draw selection
         // right now this is just a stroke along the edge of the selected Shape
         if (this.selection != null) {
@@ -457,25 +796,69 @@ CanvasState.prototype.draw = function () {
             let mySel = this.selection;
             ctx.strokeRect(mySel.x, mySel.y, mySel.w, mySel.h); ///////////// ADD STUFF UNDER HERE TO DRAW WHEN SELECTED
 
-            // Draw container details
-            let container = findContainer(mySel.name);
+            // Draw infusion or container details
+            let infusion = model.findInfusion(mySel.name);
+            let container = getContainerView(mySel.name);
             ctx.fillStyle = "#000000";
             ctx.font = globalDataSize + "px Myriad Pro";
-            ctx.fillText(`Concentration: ${isNaN(container.currConcentration) ? "N/A" : container.currConcentration.toFixed(globalAccuracy)} ${globalSubstance}/${globalFluidUnits}`, mySel.x + mySel.w + 10, mySel.y + 12);
-            ctx.fillText(`Lethal concentration: ${container.lethalConcentration.toFixed(globalAccuracy)} ${globalFluidUnits}`, mySel.x + mySel.w + 10, mySel.y + 26)
-            ctx.fillText(`Current fluid level: ${container.currLiquidLevel.toFixed(globalAccuracy)} ${globalFluidUnits}`, mySel.x + mySel.w + 10, mySel.y + 38);
-            ctx.fillText(`Input flow: ${container.currInRate.toFixed(globalAccuracy)} ${globalFluidUnits}/${globalTimeUnits}`, mySel.x + mySel.w + 10, mySel.y + 52);
-            ctx.fillText(`Output flow: ${container.currOutRate.toFixed(globalAccuracy)} ${globalFluidUnits}/${globalTimeUnits}`, mySel.x + mySel.w + 10, mySel.y + 66);
+            if (infusion !== null) {
+                ctx.fillText(`Infusing into: ${infusion.target}`, mySel.x + mySel.w + 10, mySel.y + 12);
+                ctx.fillText(`Rate: ${inUnits(infusion.currRate, "flow").toFixed(globalAccuracy)} of ${formatQuantity(infusion.rate, "flow")}`, mySel.x + mySel.w + 10, mySel.y + 26);
+                ctx.fillText(`Concentration: ${formatQuantity(infusion.concentration, "concentration")} of ${getSubstanceName(infusion.substance)}`, mySel.x + mySel.w + 10, mySel.y + 38);
+                ctx.fillText(`Runs from ${formatMetric(inUnits(infusion.startTime, "time"))} to ${formatQuantity(infusion.stopTime, "time")}`, mySel.x + mySel.w + 10, mySel.y + 52);
+            } else if (container !== null) {
+                let concentration = container.concentration;
+                ctx.fillText(`Concentration of ${viewedSubstance}: ${isNaN(concentration) ? "N/A" : inUnits(concentration, "concentration").toFixed(globalAccuracy)} ${unitOf("concentration")}`, mySel.x + mySel.w + 10, mySel.y + 12);
+                ctx.fillText(`Lethal concentration: ${inUnits(container.lethal, "concentration").toFixed(globalAccuracy)} ${unitOf("concentration")}`, mySel.x + mySel.w + 10, mySel.y + 26)
+                ctx.fillText(`Current fluid level: ${inUnits(container.level, "fluid").toFixed(globalAccuracy)} ${unitOf("fluid")}`, mySel.x + mySel.w + 10, mySel.y + 38);
+                ctx.fillText(`Input flow: ${inUnits(container.inRate, "flow").toFixed(globalAccuracy)} ${unitOf("flow")}`, mySel.x + mySel.w + 10, mySel.y + 52);
+                ctx.fillText(`Output flow: ${inUnits(container.outRate, "flow").toFixed(globalAccuracy)} ${unitOf("flow")}`, mySel.x + mySel.w + 10, mySel.y + 66);
+                ctx.fillText(`When full: ${describeOverflow(model.findContainer(mySel.name).overflow)}`, mySel.x + mySel.w + 10, mySel.y + 80);
+            }
         }
 
         // ** Add stuff you want drawn on top all the time here **
 
+        // Draw the solved steady state as a dashed line at each container's steady level
+        if (steadyState !== null) {
+            ctx.save();
+            ctx.strokeStyle = "#ff0000";
+            ctx.fillStyle = "#ff0000";
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 3]);
+            ctx.font = globalDataSize + "px Myriad Pro";
+            steadyState.containers.forEach((solved) => {
+                let shape = findShape(solved.nameIdentifier);
+                let container = model.findContainer(solved.nameIdentifier);
+                if (shape === null || container === null) return;
+                let y = shape.y + shape.h - Math.min(1, solved.level / container.maxLiquidLevel) * shape.h;
+                ctx.beginPath();
+                ctx.moveTo(shape.x, y);
+                ctx.lineTo(shape.x + shape.w, y);
+                ctx.stroke();
+                ctx.fillText(`Steady: ${inUnits(solved.level, "fluid").toFixed(globalAccuracy)} ${unitOf("fluid")}`, shape.x, shape.y + shape.h + globalDataSize + 4);
+                ctx.fillText(`at ${inUnits(solved.concentrations[viewedSubstance], "concentration").toFixed(globalAccuracy)} ${unitOf("concentration")}`, shape.x, shape.y + shape.h + 2 * globalDataSize + 6);
+            });
+            ctx.restore();
+        }
+
+        ctx.restore();
+        this.drawMinimap();
+
+        // Draw simulation clock in the top right corner
+        ctx.fillStyle = "#000000";
+        ctx.font = globalDataSize + "px Myriad Pro";
+        ctx.textAlign = "right";
+        let shownTime = timelineIndex === null ? model.time : modelHistory.samples[timelineIndex].time;
+        ctx.fillText(`t = ${inUnits(shownTime, "time").toFixed(2)} ${unitOf("time")}${timelineIndex === null ? "" : " (looking back)"}`, this.width - 10, globalDataSize + 10);
+        ctx.textAlign = "left";
+
         this.valid = true;
     }
 }
 
 
-// Creates an object with x and y defined, set to the mouse position relative to the state's canvas
+// Creates an object with x and y defined, set to the mouse position in the model under the state's canvas
 // If you wanna be super-correct this can be tricky, we have to worry about padding and borders
 CanvasState.prototype.getMouse = function (e) {
     let element = this.canvas, offsetX = 0, offsetY = 0, mx, my;
@@ -496,8 +879,9 @@ CanvasState.prototype.getMouse = function (e) {
     mx = e.pageX - offsetX;
     my = e.pageY - offsetY;
 
-    // We return a simple javascript object (a hash) with x and y defined
-    return { x: mx, y: my };
+    // We return a simple javascript object (a hash) with x and y defined,
+    // in model coordinates so zooming and panning do not change what is hit
+    return this.toModel({ x: mx, y: my });
 }
 
 CanvasState.prototype.getTouch = function (e) {
@@ -519,12 +903,117 @@ CanvasState.prototype.getTouch = function (e) {
     mx = e.touches[0].pageX - offsetX;
     my = e.touches[0].pageY - offsetY;
 
-    // We return a simple javascript object (a hash) with x and y defined
-    return { x: mx, y: my };
+    // We return a simple javascript object (a hash) with x and y defined,
+    // in model coordinates so zooming and panning do not change what is hit
+    return this.toModel({ x: mx, y: my });
 }
 
 /////////////////////////////////////////END LIBRARY///////////////////////////////
 
+// How close, in pixels, the mouse has to be to an output point, input point or arrow to grab it
+const CONNECT_RADIUS = 12;
+
+// Smallest and largest zoom, and how much each pixel of scrolling zooms by
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 4;
+const WHEEL_ZOOM_SPEED = 0.002;
+
+// Size of the minimap in the bottom right corner of the canvas
+const MINIMAP_WIDTH = 180;
+const MINIMAP_HEIGHT = 120;
+
+// getNodeEnds returns where the arrow of a flow node starts and ends on the canvas
+// @param node: FlowNode
+// @return: { from, to } points, or null if either container is not drawn
+function getNodeEnds(node) {
+    let fromShape = model.findContainer(node.inputFromContainer) === null ? null : findShape(node.inputFromContainer);
+    let toShape = findShape(node.outputToContainer);
+    if (fromShape === null || toShape === null) return null;
+    return { from: fromShape.outPoint, to: toShape.inPoint };
+}
+
+// distanceToSegment returns how far a point is from a line segment
+// @param p: point as { x, y }
+// @param a, b: ends of the segment
+// @return: distance in pixels
+function distanceToSegment(p, a, b) {
+    let dx = b.x - a.x;
+    let dy = b.y - a.y;
+    let lengthSquared = dx * dx + dy * dy;
+    let t = lengthSquared == 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// getOutShare adds up the fractions of a container's output rate its linear flow nodes send on
+// @param containerName: name of the container
+// @param except: FlowNode to leave out of the total, or null
+// @return: total fraction
+function getOutShare(containerName, except) {
+    return model.getMatchingOutNodeArray(containerName).reduce((acc, node) => {
+        return node === except || node.kinetics.law != "linear" ? acc : acc + node.percentOutRate;
+    }, 0);
+}
+
+// Flow node selected by clicking its arrow, or null
+let selectedNode = null;
+
+// selectFlowNode selects a flow node and opens the flow editor next to where it was clicked
+// @param node: FlowNode to select, or null to close the editor
+// @param e: event or touch with the page position to open the editor at
+function selectFlowNode(node, e) {
+    selectedNode = node;
+    s.valid = false;
+    let editor = $("#flow-editor");
+    if (node === null) {
+        editor.addClass("d-none");
+        return;
+    }
+    let linear = node.kinetics.law == "linear";
+    $("#flow-editor-title").text(`${node.inputFromContainer} to ${node.outputToContainer}`);
+    $("#flow-editor-kinetics").text(linear ? "" : `Kinetics: ${describeKinetics(node.percentOutRate, node.kinetics)}`);
+    $("#flow-editor-fraction").val(node.percentOutRate).prop("disabled", !linear);
+    $("#flow-editor-save").prop("disabled", !linear);
+    editor.css({ left: e ? e.pageX + 10 : globalMidpointX, top: e ? e.pageY + 10 : globalMidpointY });
+    editor.removeClass("d-none");
+}
+
+// When the flow editor is saved, the selected flow node gets the new fraction
+$("#flow-editor-save").click(() => {
+    let fraction = parseFloat(getId("flow-editor-fraction").value);
+    if (!(fraction >= 0 && fraction <= 1)) {
+        alert("ERROR: the fraction must be between 0 and 1!");
+    } else if (getOutShare(selectedNode.inputFromContainer, selectedNode) + fraction > 1 + 1e-9) {
+        alert("ERROR: flow outputs sum must not exceed 1");
+    } else {
+        recordEdit();
+        selectedNode.percentOutRate = fraction;
+        resetContainerStates();
+        selectFlowNode(null);
+    }
+})
+
+// When the delete button in the flow editor is clicked, the selected flow node is removed
+$("#flow-editor-delete").click(() => {
+    recordEdit();
+    model.removeFlowNode(selectedNode);
+    resetContainerStates();
+    selectFlowNode(null);
+})
+
+$("#flow-editor-close").click(() => {
+    selectFlowNode(null);
+})
+
+// Pressing delete with an arrow selected removes it, unless something is being typed
+$(document).on("keydown", (e) => {
+    if (selectedNode === null || $(e.target).is("input, select, textarea")) return;
+    if (e.key == "Delete" || e.key == "Backspace") {
+        e.preventDefault();
+        $("#flow-editor-delete").click();
+    }
+})
+
 
 // SETUP FOR PAGE RUN
 // Create canvas variable, get sizes, and create new CanvasState
@@ -534,9 +1023,8 @@ let globalHeight = 50;
 let globalAccuracy = 2; // Decimal point accuracy
 let globalNameSize = 15;
 let globalDataSize = 10;
-let globalSubstance = "substance";
-let globalFluidUnits = "L";
-let globalTimeUnits = "s";
+let globalTimePerTick = 1; // Simulation time that passes on every update tick, in s
+let displayUnits = Object.assign({}, FlowSim.DEFAULT_UNITS); // Units values are shown and typed in, see FlowSim.validateUnits
 let globalMidpointX = ($(document).width() - $("#sidebar").width()) / 2 + $("#sidebar").width();
 if ($(document).width() < 598) {
     globalMidpointX = $(document).width() / 2;
@@ -567,12 +1055,24 @@ x.width = $(document).width();
 x.height = $(document).height();
 let s = new CanvasState(x);
 
+// Every snapshot of the current run, and the plot that draws them
+let modelHistory = new FlowSim.History();
+let plot = new FlowSim.Plot(document.getElementById('plot-canvas'));
+let lastPlotDraw = 0;
+
+// Watches the run for the event rules going off, starting with the rule that pauses once
+// any concentration goes over 1
+let eventMonitor = new FlowSim.EventMonitor(copyEventRules(FlowSim.DEFAULT_EVENT_RULES));
+
+// Halt of the model already put in the event log, so it is logged once
+let loggedHalt = null;
+
 // initialize function is called upon page load and double checks the size of the page
 // to determine what box sizes must be
 function init() {
     checkSize();
-    containerList = [];
-    nodeList = [];
+    model.clear();
+    shapeList = [];
 }
 
 // Resized resets the canvas state to be the same size as the document
@@ -586,41 +1086,185 @@ function resized() {
     } else {
         globalMidpointX = (x.width - $("#sidebar").width()) / 2 + $("#sidebar").width();
     }
-    let globalMidpointY = x.height / 2;
-    let s = new CanvasState(x);
+    globalMidpointY = x.height / 2;
+    s.width = x.width;
+    s.height = x.height;
 }
 
 // On window load run initialize
 window.onload = function () {
     init();
+    refreshUnits();
+    loadModelFromHash();
+    refreshUndoButtons();
     s.valid = false;
 }
 
+// Opening a different share link in the same tab rebuilds the model too. Other hash
+// changes leave the model alone, so they are not edits to undo.
+window.onhashchange = function () {
+    if (location.hash.indexOf(MODEL_HASH_PREFIX) != 0) return;
+    recordEdit();
+    loadModelFromHash();
+}
+
 // On window resize run resized() and set canvas state to false to refresh canvas
 window.onresize = function () {
     resized();
     s.valid = false;
 }
 
-// Toggle the flow
+// Timer that plays the simulation, null while it is paused
 let startUpdating = null;
-$("#toggle-update").click((e) => {
+
+// Ticks run every time the playback timer fires, from 0.25 to 100
+let playbackSpeed = 1;
+
+// Snapshot of modelHistory shown on the canvas while the timeline is dragged back, null to
+// show the run as it is now
+let timelineIndex = null;
+
+// startPlayback runs playbackSpeed ticks every 16 ms until paused
+function startPlayback() {
+    if (startUpdating !== null) return;
+    $("#toggle-update").text("Pause");
+    startUpdating = setInterval(() => {
+        runTicks(playbackSpeed);
+    }, 16);
+}
+
+// stopPlayback pauses the simulation where it is
+function stopPlayback() {
+    if (startUpdating === null) return;
+    $("#toggle-update").text("Start");
+    clearInterval(startUpdating);
+    startUpdating = null;
+}
+
+// Toggle the flow
+$("#toggle-update").click(() => {
     if (startUpdating !== null) {
-        $(e.target).text("Start");
-        clearInterval(startUpdating);
-        startUpdating = null;
+        stopPlayback();
     } else {
-        $(e.target).text("Stop");
-        startUpdating = setInterval(() => {
-            updateStatus();
-        }, 16);
+        startPlayback();
+    }
+});
+
+$("#playback-speed").on("change", (e) => {
+    playbackSpeed = parseFloat(e.target.value);
+});
+
+// Stepping pauses playback and moves the simulation forward one tick, or the number of ticks
+// typed in
+$("#step-button").click(() => {
+    stopPlayback();
+    runTicks(1);
+});
+
+$("#step-ticks-button").click(() => {
+    let value = getId("step-count").value.trim();
+    let ticks = value === "" ? 10 : Number(value);
+    if (!(Number.isInteger(ticks) && ticks >= 1)) {
+        alert("ERROR: the number of ticks to step must be a whole number above 0!");
+        return;
     }
+    stopPlayback();
+    runTicks(ticks);
+});
+
+// Dragging the timeline pauses playback and shows the run as it was at that moment
+$("#timeline").on("input", (e) => {
+    stopPlayback();
+    let index = parseInt(e.target.value);
+    timelineIndex = index >= modelHistory.samples.length - 1 ? null : index;
+    refreshTimeline();
+    drawPlot();
+    s.valid = false;
 });
 
+// showLiveRun goes back to showing the run as it is now, for when it moves on
+function showLiveRun() {
+    if (timelineIndex === null) return;
+    timelineIndex = null;
+    refreshTimeline();
+    drawPlot();
+    s.valid = false;
+}
+
+// refreshTimeline stretches the timeline over every snapshot of the run and says which
+// moment the canvas shows
+function refreshTimeline() {
+    let last = modelHistory.samples.length - 1;
+    let index = timelineIndex === null ? last : timelineIndex;
+    $("#timeline").attr("max", last).val(index);
+    if (timelineIndex === null) {
+        $("#timeline-time").text("Showing the run as it is now");
+    } else {
+        $("#timeline-time").text(`Showing t = ${inUnits(modelHistory.samples[index].time, "time").toFixed(2)} of ${inUnits(model.time, "time").toFixed(2)} ${unitOf("time")}`);
+    }
+}
+
+// getContainerView returns what the canvas shows for a container: the model as it is now or,
+// while the timeline is dragged back, the snapshot picked on it
+// @param name: nameIdentifier of the container
+// @return: { level, maxLevel, concentration, lethal, inRate, outRate } for the viewed substance
+function getContainerView(name) {
+    let sample = timelineIndex === null ? undefined :
+        modelHistory.samples[timelineIndex].containers.find((container) => container.nameIdentifier == name);
+    if (sample !== undefined) {
+        let concentration = sample.concentrations[viewedSubstance];
+        let lethal = sample.lethalConcentrations[viewedSubstance];
+        return {
+            level: sample.currLiquidLevel,
+            maxLevel: sample.maxLiquidLevel,
+            concentration: concentration === undefined ? NaN : concentration,
+            lethal: lethal === undefined ? NaN : lethal,
+            inRate: sample.currInRate,
+            outRate: sample.currOutRate
+        };
+    }
+    let container = model.findContainer(name);
+    return {
+        level: container.currLiquidLevel,
+        maxLevel: container.maxLiquidLevel,
+        concentration: container.getConcentration(viewedSubstance),
+        lethal: container.getLethalConcentration(viewedSubstance),
+        inRate: container.currInRate,
+        outRate: container.currOutRate
+    };
+}
+
 $("#reset-button").click(() => {
     resetContainerStates();
 })
 
+// Steady state shown over the canvas, or null when it is hidden
+let steadyState = null;
+
+// When the steady state button is clicked, the steady state of the model from where it is now
+// is solved and shown on the canvas. Clicking it again hides it.
+$("#steady-state-button").click(() => {
+    if (steadyState !== null) {
+        hideSteadyState();
+        return;
+    }
+    let result = FlowSim.solveSteadyState(model);
+    if (!result.bool) {
+        alert(`ERROR: ${result.errorMsg}`);
+    } else {
+        steadyState = result;
+        $("#steady-state-button").text("Hide steady state");
+        s.valid = false;
+    }
+})
+
+// hideSteadyState removes the steady state from the canvas
+function hideSteadyState() {
+    steadyState = null;
+    $("#steady-state-button").text("Solve steady state");
+    s.valid = false;
+}
+
 // Node queues for flow nodes later
 let flowNodeQueue = [];
 
@@ -633,30 +1277,94 @@ function getId(id) {
     return $(`#${id}`)[0];
 }
 
+// Inputs in the flow editor for each kinetic law parameter
+const KINETIC_PARAM_INPUTS = {
+    vmax: "flow-vmax",
+    km: "flow-km",
+    hillCoefficient: "flow-hill",
+    rate: "flow-zero-rate"
+};
+
+// describeKinetics returns a short description of a flow node's kinetic law
+// @param flow: fraction of output rate used by the linear law
+// @param kinetics: kinetic law object, see FlowSim.FlowNode.setKinetics
+// @return: string like "50%" or "Michaelis-Menten (Vmax 2 L/s, Km 0.1 mg/L)"
+function describeKinetics(flow, kinetics) {
+    if (kinetics.law == "michaelis-menten") {
+        return `Michaelis-Menten (Vmax ${formatQuantity(kinetics.vmax, "flow")}, Km ${formatQuantity(kinetics.km, "concentration")})`;
+    } else if (kinetics.law == "zero-order") {
+        return `zero-order (${formatQuantity(kinetics.rate, "flow")})`;
+    } else if (kinetics.law == "hill") {
+        return `Hill (Vmax ${formatQuantity(kinetics.vmax, "flow")}, Km ${formatQuantity(kinetics.km, "concentration")}, n ${kinetics.hillCoefficient})`;
+    }
+    return `${flow * 100}%`;
+}
+
+// When a kinetic law is picked, only show the inputs that law uses
+$("#flow-kinetics").change(() => {
+    let law = getId("flow-kinetics").value;
+    let params = FlowSim.KINETICS[law];
+    $("#flow-rate").toggleClass("d-none", law != "linear");
+    $("#flow-kinetic-params").toggleClass("d-none", params.length == 0);
+    Object.keys(KINETIC_PARAM_INPUTS).forEach((key) => {
+        $(`#${KINETIC_PARAM_INPUTS[key]}`).toggleClass("d-none", params.indexOf(key) == -1);
+    });
+})
+
 // When the add node button is pressed...
 $("#add-node-btn").click(() => {
-    // Take in the current input of the flow rate and output container inputs
-    let flowRate = parseFloat(getId("flow-rate").value);
+    // Take in the current input of the flow rate, kinetic law and output container inputs
+    let law = getId("flow-kinetics").value;
+    let flowRate = law == "linear" ? parseFloat(getId("flow-rate").value) : 0;
     let outputTo = getId("output-container").value;
+    let kinetics = { law: law };
+    let fields = {};
+    FlowSim.KINETICS[law].forEach((key) => {
+        fields[key] = [getId(KINETIC_PARAM_INPUTS[key]), FlowSim.KINETIC_QUANTITIES[key]];
+    });
+    let typed = readQuantities(fields);
+    if (!typed.bool) {
+        alert(`ERROR: ${typed.errorMsg}`);
+        return;
+    }
+    Object.assign(kinetics, typed.values);
+
+    // The flow rate itself is not validated here, but a non-linear law needs usable parameters
+    let alertCheck = FlowSim.validateKinetics(kinetics);
+    if (!alertCheck.bool) {
+        alert(`ERROR: ${alertCheck.errorMsg}`);
+        return;
+    }
 
-    // Add the data to the flow node queue (no input validation here)
-    flowNodeQueue.push({ flow: flowRate, outTo: outputTo });
+    // Add the data to the flow node queue
+    recordEdit();
+    let queued = { flow: flowRate, outTo: outputTo, kinetics: kinetics };
+    flowNodeQueue.push(queued);
+    $("#flow-outputs").append(createQueueSelect(queued));
+
+    // Clear inputs
+    getId("flow-rate").value = "";
+    getId("output-container").value = "";
+    Object.keys(KINETIC_PARAM_INPUTS).forEach((key) => {
+        getId(KINETIC_PARAM_INPUTS[key]).value = "";
+    });
+})
 
-    // Create new display node that removes itself when you click on it
-    // Also clears out the node queue of the selected node
+// createQueueSelect creates the display node for a queued flow that removes itself
+// when you click on it. Also clears out the node queue of the selected node
+// @param queued: entry of flowNodeQueue
+// @return: jquery object of the new entry
+function createQueueSelect(queued) {
     let addNode = $("<p>", { class: "node-select" });
-    addNode.text(`${flowRate * 100}% output to ${outputTo}`);
+    addNode.text(`${describeKinetics(queued.flow, queued.kinetics)} output to ${queued.outTo}`);
     addNode.click((e) => {
+        recordEdit();
         let index = $(e.target).index();
         flowNodeQueue.splice(index, 1);
         $(e.target).remove();
     })
-    $("#flow-outputs").append(addNode);
-
-    // Clear inputs
-    getId("flow-rate").value = "";
-    getId("output-container").value = "";
-})
+    return addNode;
+}
 
 // checkAlert takes in parameters and returns an error message if an invalid container
 // is trying to be made.
@@ -666,19 +1374,23 @@ $("#add-node-btn").click(() => {
 // @param maxCap: maximum capacity of container
 // @param initConcentration: initial concentration of the container
 // @param lethalConcentration: lethal concentration of container
+// @param outRatePercentage: optional total fraction of output rate sent down the container's
+//                           flows, defaults to the total of the flow node queue
 // @return: an object that contains a boolean true or false if it passes or not as well
 //          as an error message if it failed.
-function checkAlert(containerName, maxOutRate, startLiquidLevel, maxCap, initConcentration, lethalConcentration) {
+function checkAlert(containerName, maxOutRate, startLiquidLevel, maxCap, initConcentration, lethalConcentration, outRatePercentage) {
     let returnVal = { bool: false, errorMsg: "" };
 
     // Calculate total outrate. Does not let it exceed 1
-    let outRatePercentage = flowNodeQueue.reduce((acc, node) => {
-        return acc + node.flow;
-    }, 0);
+    if (outRatePercentage === undefined) {
+        outRatePercentage = flowNodeQueue.reduce((acc, node) => {
+            return acc + node.flow;
+        }, 0);
+    }
     if (maxOutRate > startLiquidLevel) {
         returnVal.errorMsg = "starting liquid level cannot be less than the maximum output rate!";
     } else if (initConcentration > 1.0) {
-        returnVal.errorMsg = "initial concentration cannot be greater than 1!"
+        returnVal.errorMsg = `initial concentration cannot be greater than ${formatQuantity(1, "concentration")}!`
     } else if (startLiquidLevel > maxCap) {
         returnVal.errorMsg = "starting liquid level cannot be greater than the maximum capacity!";
     } else if (outRatePercentage > 1) {
@@ -698,11 +1410,22 @@ let defaultContainerStates = [];
 $("#add-container-btn").click(() => {
     // Take in current input arguments
     let containerName = getId("container-name").value;
-    let maxOutRate = parseFloat(getId("max-out-rate").value);
-    let startLiquidLevel = parseFloat(getId("start-liquid-lvl").value);
-    let maxCap = parseFloat(getId("max-capacity").value);
-    let initConcentration = parseFloat(getId("init-concentration").value);
-    let lethalConcentrationIn = parseFloat(getId("lethal-concentration").value);
+    let typed = readQuantities({
+        maxOutRate: [getId("max-out-rate"), "flow"],
+        startLiquidLevel: [getId("start-liquid-lvl"), "fluid"],
+        maxCap: [getId("max-capacity"), "fluid"],
+        initConcentration: [getId("init-concentration"), "concentration"],
+        lethalConcentrationIn: [getId("lethal-concentration"), "concentration"]
+    });
+    if (!typed.bool) {
+        alert(`ERROR: ${typed.errorMsg}`);
+        return;
+    }
+    let maxOutRate = typed.values.maxOutRate;
+    let startLiquidLevel = typed.values.startLiquidLevel;
+    let maxCap = typed.values.maxCap;
+    let initConcentration = typed.values.initConcentration;
+    let lethalConcentrationIn = typed.values.lethalConcentrationIn;
 
     // Check if container is valid
     let alertCheck = checkAlert(containerName, maxOutRate, startLiquidLevel, maxCap, initConcentration, lethalConcentrationIn);
@@ -712,32 +1435,23 @@ $("#add-container-btn").click(() => {
         alert(`ERROR: ${alertCheck.errorMsg}`);
     } else {
         // Otherwise, add it to the defaultContainerStates
+        recordEdit();
         defaultContainerStates.push({
             name: containerName,
             maxOut: maxOutRate,
             startLevel: startLiquidLevel,
             maxCapacity: maxCap,
             startConcentration: initConcentration,
-            lethalConcentration: lethalConcentrationIn
+            lethalConcentration: lethalConcentrationIn,
+            startSubstances: {}
         })
 
         // Create a place for it in the sidebar box
         // When clicked, it removes itself from the defaultContainerStates
-        // along with the containerList
-        let addNode = $("<p>", { class: "container-select" });
-        addNode.text(`${containerName}`);
-        addNode.click((e) => {
-            let index = $(e.target).index();
-            let name = $(e.target).text();
-            defaultContainerStates.splice(index, 1);
-            $(e.target).remove();
-            containerList.splice(index, 1);
-            removeNodesComingOutFrom(name);
-            resetContainerStates();
-        });
+        // along with the model
+        $("#container-nodes").append(createContainerSelect(containerName));
 
-        // Add the node and then clear all the values in the inputs
-        $("#container-nodes").append(addNode);
+        // Clear all the values in the inputs
         getId("container-name").value = "";
         getId("max-out-rate").value = "";
         getId("start-liquid-lvl").value = "";
@@ -749,32 +1463,310 @@ $("#add-container-btn").click(() => {
         // create the flownodes that were in the queue, then clear the queue
         // and input boxes
         flowNodeQueue.forEach((node) => {
-            new FlowNode(node.flow, containerName, node.outTo);
+            model.addFlowNode(node.flow, containerName, node.outTo, node.kinetics);
         })
         flowNodeQueue = [];
         getId("output-container").value = "";
         getId("flow-outputs").innerHTML = "";
 
-        // Add the new container to display and containerList
+        // Add the new container to display and the model
         addContainers(containerName, maxOutRate, startLiquidLevel, maxCap, initConcentration, lethalConcentrationIn);
     }
 })
 
-// removeNodesComingOutFrom removes the flow nodes coming out from the specified container
-// @param name: name of container to remove nodes from
-function removeNodesComingOutFrom(name) {
-    nodeList = nodeList.filter((node) => { node.inputFromContainer == name });
+// Diagnostic whose shapes are outlined on the canvas, or null
+let diagnosticHighlight = null;
+
+// refreshDiagnostics checks the model again and lists every problem in the sidebar.
+// Pointing at a problem outlines the shapes it is about, clicking it selects the first one.
+function refreshDiagnostics() {
+    let problems = FlowSim.diagnoseModel(model, {
+        initialStates: defaultContainerStates,
+        checkContainer: (state, outShare) => checkAlert(state.name, state.maxOut, state.startLevel, state.maxCapacity,
+            state.startConcentration, state.lethalConcentration, Math.min(outShare, 1))
+    });
+    let list = $("#diagnostics-list");
+    list.empty();
+    diagnosticHighlight = null;
+    if (problems.length == 0) {
+        list.append($("<p>").text("No problems found"));
+    }
+    problems.forEach((problem) => {
+        let entry = $("<p>", { class: `diagnostic diagnostic-${problem.level}` });
+        entry.text(`${problem.level == "error" ? "Error" : "Warning"}: ${problem.message}`);
+        entry.on("mouseenter", () => {
+            diagnosticHighlight = problem;
+            s.valid = false;
+        });
+        entry.on("mouseleave", () => {
+            diagnosticHighlight = null;
+            s.valid = false;
+        });
+        entry.click(() => {
+            let shape = problem.names.length > 0 ? findShape(problem.names[0]) : null;
+            if (shape !== null) {
+                s.selection = shape;
+                inspectShape(shape);
+                s.valid = false;
+            }
+        });
+        list.append(entry);
+    });
+    s.valid = false;
+}
+
+// Container shown in the inspector, or null when it is closed
+let inspectedName = null;
+
+// inspectShape opens the inspector for the container a shape draws, filled in with the
+// container's settings and the flows in and out of it
+// @param shape: selected shape, or null to close the inspector
+function inspectShape(shape) {
+    let index = shape === null ? -1 : defaultContainerStates.findIndex((state) => state.name == shape.name);
+    if (index == -1) {
+        inspectedName = null;
+        $("#inspector").addClass("d-none");
+        return;
+    }
+    let defaults = defaultContainerStates[index];
+    inspectedName = defaults.name;
+    getId("inspector-name").value = defaults.name;
+    getId("inspector-max-out").value = inputValue(defaults.maxOut, "flow");
+    getId("inspector-start-level").value = inputValue(defaults.startLevel, "fluid");
+    getId("inspector-max-capacity").value = inputValue(defaults.maxCapacity, "fluid");
+    getId("inspector-start-concentration").value = inputValue(defaults.startConcentration, "concentration");
+    getId("inspector-lethal").value = inputValue(defaults.lethalConcentration, "concentration");
+    let overflow = model.findContainer(inspectedName).overflow;
+    getId("inspector-overflow").value = overflow.mode;
+    getId("inspector-overflow-target").value = overflow.target || "";
+    $("#inspector-overflow-target").toggleClass("d-none", overflow.mode != "spill");
+
+    // One row per substance other than the first, with where it starts and its lethal concentration
+    let container = model.findContainer(inspectedName);
+    let substances = $("#inspector-substances");
+    substances.empty();
+    model.substanceList.slice(1).forEach((substance) => {
+        let row = $("<div>", { class: "input-group input-group-sm mb-1" });
+        row.append($("<div>", { class: "input-group-prepend" }).append(
+            $("<span>", { class: "input-group-text" }).text(substance)));
+        row.append($("<input>", { type: "text", class: "form-control inspector-substance-start", placeholder: `Initial (${unitOf("concentration")})`, "aria-label": `Initial concentration of ${substance}` })
+            .val(inputValue(defaults.startSubstances[substance] || 0, "concentration")).data("substance", substance));
+        row.append($("<input>", { type: "text", class: "form-control inspector-substance-lethal", placeholder: `Lethal (${unitOf("concentration")})`, "aria-label": `Lethal concentration of ${substance}` })
+            .val(inputValue(container.getLethalConcentration(substance), "concentration")).data("substance", substance));
+        substances.append(row);
+    });
+
+    // One row per flow in or out of the container, linear flows get an editable fraction
+    let flows = $("#inspector-flows");
+    flows.empty();
+    model.nodeList.forEach((node, nodeIndex) => {
+        if (node.inputFromContainer != inspectedName && node.outputToContainer != inspectedName) return;
+        let row = $("<div>", { class: "input-group input-group-sm mb-1" });
+        let label = $("<div>", { class: "input-group-prepend" }).append(
+            $("<span>", { class: "input-group-text" }).text(`${node.inputFromContainer} to ${node.outputToContainer}`));
+        row.append(label);
+        if (node.kinetics.law == "linear") {
+            row.append($("<input>", { type: "text", class: "form-control inspector-fraction", "aria-label": "Fraction of output rate" })
+                .val(node.percentOutRate).data("node", nodeIndex));
+        } else {
+            row.append($("<span>", { class: "form-control" }).text(describeKinetics(node.percentOutRate, node.kinetics)));
+        }
+        flows.append(row);
+    });
+    if (flows.children().length == 0) {
+        flows.append($("<p>").text("No flows in or out"));
+    }
+    $("#inspector").removeClass("d-none");
+}
+
+// When the inspector is applied, the container and its flows are changed in the model and
+// in defaultContainerStates. A new name starts the run again, anything else changes the
+// running simulation straight away.
+$("#inspector-apply").click(() => {
+    let index = defaultContainerStates.findIndex((state) => state.name == inspectedName);
+    if (index == -1) return;
+    let name = getId("inspector-name").value;
+    let fields = {
+        maxOutRate: [getId("inspector-max-out"), "flow"],
+        startLiquidLevel: [getId("inspector-start-level"), "fluid"],
+        maxCap: [getId("inspector-max-capacity"), "fluid"],
+        initConcentration: [getId("inspector-start-concentration"), "concentration"],
+        lethalConcentrationIn: [getId("inspector-lethal"), "concentration"]
+    };
+    $("#inspector-substances .inspector-substance-start").each((i, input) => {
+        fields[`start/${$(input).data("substance")}`] = [input, "concentration"];
+    });
+    $("#inspector-substances .inspector-substance-lethal").each((i, input) => {
+        fields[`lethal/${$(input).data("substance")}`] = [input, "concentration"];
+    });
+    let typed = readQuantities(fields);
+    if (!typed.bool) {
+        alert(`ERROR: ${typed.errorMsg}`);
+        return;
+    }
+    let maxOutRate = typed.values.maxOutRate;
+    let startLiquidLevel = typed.values.startLiquidLevel;
+    let maxCap = typed.values.maxCap;
+    let initConcentration = typed.values.initConcentration;
+    let lethalConcentrationIn = typed.values.lethalConcentrationIn;
+    let overflowMode = getId("inspector-overflow").value;
+    let overflowTarget = overflowMode == "spill" ? getId("inspector-overflow-target").value : "";
+
+    // Read the new fractions and work out what each container would send on with them
+    let fractions = [];
+    $("#inspector-flows .inspector-fraction").each((i, input) => {
+        fractions.push({ node: model.nodeList[$(input).data("node")], value: parseFloat(input.value) });
+    });
+    let outShare = (containerName) => {
+        return model.getMatchingOutNodeArray(containerName).reduce((acc, node) => {
+            if (node.kinetics.law != "linear") return acc;
+            let edited = fractions.find((fraction) => fraction.node === node);
+            return acc + (edited ? edited.value : node.percentOutRate);
+        }, 0);
+    };
+
+    // Read where every other substance starts and its lethal concentration
+    let substances = {};
+    $("#inspector-substances .inspector-substance-start").each((i, input) => {
+        substances[$(input).data("substance")] = { start: typed.values[`start/${$(input).data("substance")}`] };
+    });
+    $("#inspector-substances .inspector-substance-lethal").each((i, input) => {
+        substances[$(input).data("substance")].lethal = typed.values[`lethal/${$(input).data("substance")}`];
+    });
+    let substanceNames = Object.keys(substances);
+
+    let alertCheck = checkAlert(name, maxOutRate, startLiquidLevel, maxCap, initConcentration, lethalConcentrationIn, outShare(inspectedName));
+    let values = [maxOutRate, startLiquidLevel, maxCap, initConcentration, lethalConcentrationIn];
+    substanceNames.forEach((substance) => values.push(substances[substance].start, substances[substance].lethal));
+    if (alertCheck.bool && (name === "" || values.some((value) => isNaN(value)))) {
+        alertCheck = { bool: false, errorMsg: "every field needs a value!" };
+    } else if (alertCheck.bool && substanceNames.some((substance) => !(substances[substance].start >= 0) || substances[substance].start > 1.0)) {
+        alertCheck = { bool: false, errorMsg: `initial concentrations must be between 0 and ${formatQuantity(1, "concentration")}!` };
+    } else if (alertCheck.bool && name != inspectedName && findShape(name) !== null) {
+        alertCheck = { bool: false, errorMsg: `the name ${name} is already used by a container or infusion!` };
+    } else if (alertCheck.bool && overflowTarget !== "" && (overflowTarget == inspectedName || overflowTarget == name)) {
+        alertCheck = { bool: false, errorMsg: "a container cannot spill into itself!" };
+    } else if (alertCheck.bool && overflowTarget !== "" && model.findContainer(overflowTarget) === null) {
+        alertCheck = { bool: false, errorMsg: `there is no container called ${overflowTarget} to spill into!` };
+    } else if (alertCheck.bool && fractions.some((fraction) => !(fraction.value >= 0 && fraction.value <= 1))) {
+        alertCheck = { bool: false, errorMsg: "flow fractions must be between 0 and 1!" };
+    } else if (alertCheck.bool && fractions.some((fraction) => outShare(fraction.node.inputFromContainer) > 1 + 1e-9)) {
+        alertCheck = { bool: false, errorMsg: "flow outputs sum must not exceed 1" };
+    }
+    if (!alertCheck.bool) {
+        alert(`ERROR: ${alertCheck.errorMsg}`);
+        return;
+    }
+
+    // Update the live objects
+    recordEdit();
+    let container = model.findContainer(inspectedName);
+    container.maxOutRate = maxOutRate;
+    container.maxLiquidLevel = maxCap;
+    container.lethalConcentration = lethalConcentrationIn;
+    container.setOverflow(overflowMode, overflowTarget || null);
+    if (model.halted !== null && model.halted.container == inspectedName && overflowMode != "stop") model.halted = null;
+    substanceNames.forEach((substance) => {
+        container.substances[substance].lethalConcentration = substances[substance].lethal;
+    });
+    fractions.forEach((fraction) => {
+        fraction.node.percentOutRate = fraction.value;
+    });
+
+    // and the state the container starts from
+    let defaults = defaultContainerStates[index];
+    defaults.maxOut = maxOutRate;
+    defaults.startLevel = startLiquidLevel;
+    defaults.maxCapacity = maxCap;
+    defaults.startConcentration = initConcentration;
+    defaults.lethalConcentration = lethalConcentrationIn;
+    substanceNames.forEach((substance) => {
+        defaults.startSubstances[substance] = substances[substance].start;
+    });
+
+    if (name != inspectedName) {
+        model.renameContainer(inspectedName, name);
+        findShape(inspectedName).name = name;
+        if (plotHiddenContainers[inspectedName]) plotHiddenContainers[name] = true;
+        eventMonitor.rules.forEach((rule) => {
+            if (rule.container == inspectedName) rule.container = name;
+        });
+        defaults.name = name;
+        $("#container-nodes p").eq(index).replaceWith(createContainerSelect(name));
+        refreshScheduleLists();
+        resetContainerStates();
+    } else {
+        if (model.time == 0) model.restart(defaultContainerStates);
+        model.updateRates();
+        inspectShape(s.selection);
+        refreshDiagnostics();
+        s.valid = false;
+    }
+})
+
+// Only ask for a container to spill into when spilling is picked
+$("#inspector-overflow").on("change", (e) => {
+    $("#inspector-overflow-target").toggleClass("d-none", e.target.value != "spill");
+});
+
+// describeOverflow describes what a container does when it fills up
+// @param overflow: the container's overflow policy
+// @return: string like "spills into out"
+function describeOverflow(overflow) {
+    if (overflow.mode == "spill") return overflow.target === null ? "spills out" : `spills into ${overflow.target}`;
+    return overflow.mode == "stop" ? "stops the simulation" : "holds back inflow";
+}
+
+$("#inspector-close").click(() => {
+    s.selection = null;
+    s.valid = false;
+    inspectShape(null);
+})
+
+// createContainerSelect creates the sidebar entry for a container.
+// When clicked, it removes itself from the defaultContainerStates along with
+// the container, its shape and the flow nodes coming out from it
+// @param name: name of container
+// @return: jquery object of the new entry
+function createContainerSelect(name) {
+    let addNode = $("<p>", { class: "container-select" });
+    addNode.text(`${name}`);
+    addNode.click((e) => {
+        recordEdit();
+        let index = $(e.target).index();
+        defaultContainerStates.splice(index, 1);
+        $(e.target).remove();
+        model.removeContainer(name);
+        shapeList = shapeList.filter((shape) => shape.name != name);
+        resetContainerStates();
+    });
+    return addNode;
 }
 
 // resetContainerStates resets all containers back to their default state
 function resetContainerStates() {
-    defaultContainerStates.forEach((container, index) => {
-        containerList[index].currLiquidLevel = container.startLevel;
-        containerList[index].currConcentration = container.startConcentration;
-    })
-    nodeList.forEach((node) => {
-        node.currRate = findContainer(node.inputFromContainer).currOutRate * node.percentOutRate;
-    })
+    hideSteadyState();
+    selectFlowNode(null);
+    inspectShape(s.selection);
+    model.restart(defaultContainerStates);
+    modelHistory.clear();
+    let state = model.getState();
+    modelHistory.record(state);
+    timelineIndex = null;
+    refreshTimeline();
+    eventMonitor.reset();
+    loggedHalt = null;
+    eventMonitor.check(state);
+    refreshSubstances();
+    refreshEventRules();
+    refreshSweepControls();
+    refreshPopulationControls();
+    refreshFitControls();
+    drawEventLog();
+    refreshPlotToggles();
+    drawPlot();
+    drawMetrics();
+    refreshDiagnostics();
     s.valid = false;
 }
 
@@ -785,103 +1777,959 @@ function resetContainerStates() {
 // @param maxCap: maximum capacity of container
 // @param initConcentration: initial concentration of container
 // @param lethalConcentration: lethal concentration of container
-//      Author note: This function is similar to resetContainerStates, but
-//              a duplication of it is necessary to function correctly
 function addContainers(containerName, maxOutRate, startLiquidLevel, maxCap, initConcentration, lethalConcentration) {
-    defaultContainerStates.forEach((container, index) => {
-        if (index < defaultContainerStates.length - 1) {
-            containerList[index].currLiquidLevel = container.startLevel;
-            containerList[index].currConcentration = container.startConcentration;
-        } else {
-            let r = new Container(maxOutRate, startLiquidLevel, maxCap, containerName, globalMidpointX, globalMidpointY, initConcentration, lethalConcentration);
-        }
-    })
-    nodeList.forEach((node) => {
-        node.currRate = findContainer(node.inputFromContainer).currOutRate * node.percentOutRate;
-    })
-    s.valid = false;
+    let spot = findFreePosition(globalWidth, globalHeight);
+    createContainer(maxOutRate, startLiquidLevel, maxCap, containerName, spot.x, spot.y, initConcentration, lethalConcentration);
+    resetContainerStates();
 }
 
-// Whenever volume units input box is changed, the global units for volume changes
-$("#vol-units").on("input", (e) => {
-    globalFluidUnits = e.target.value;
-    s.valid = false;
-});
+// createContainer adds a container to the model along with the shape that draws it
+// @param maxOutRate: maximum output rate of container
+// @param currLiquidLevel: starting liquid level of container
+// @param maxLiquidLevel: maximum capacity of container
+// @param nameIdentifier: container name
+// @param xPos, yPos: position of the container's shape on the canvas
+// @param concentration: initial concentration of container
+// @param lethalConcentration: lethal concentration of container
+// @return: the new container
+function createContainer(maxOutRate, currLiquidLevel, maxLiquidLevel, nameIdentifier, xPos, yPos, concentration, lethalConcentration) {
+    let container = model.addContainer(maxOutRate, currLiquidLevel, maxLiquidLevel, nameIdentifier, concentration, lethalConcentration);
+    shapeList.push(new Shape(xPos, yPos, nameIdentifier, currLiquidLevel, maxLiquidLevel));
+    return container;
+}
 
-// Whenever the time units input box is changed, the global units of time changes
-$("#time-units").on("input", (e) => {
-    globalTimeUnits = e.target.value;
-    s.valid = false;
-});
+// checkDose takes in the dose inputs and returns an error message if an invalid dose
+// is trying to be scheduled.
+// @param target: name of container the dose goes into
+// @param amount: liquid amount of each dose
+// @param concentration: concentration of each dose
+// @param startTime: time of the first dose
+// @param interval: time between doses
+// @param count: number of doses
+// @return: an object that contains a boolean true or false if it passes or not as well
+//          as an error message if it failed.
+function checkDose(target, amount, concentration, startTime, interval, count) {
+    let returnVal = { bool: false, errorMsg: "" };
+    if (target === "") {
+        returnVal.errorMsg = "a dose needs a container to go into!";
+    } else if (!(amount > 0)) {
+        returnVal.errorMsg = "dose amount must be greater than 0!";
+    } else if (!(concentration >= 0) || concentration > 1.0) {
+        returnVal.errorMsg = `dose concentration must be between 0 and ${formatQuantity(1, "concentration")}!`;
+    } else if (!(startTime >= 0)) {
+        returnVal.errorMsg = "dose start time cannot be negative!";
+    } else if (!(Number.isInteger(count) && count >= 1)) {
+        returnVal.errorMsg = "dose count must be a whole number of at least 1!";
+    } else if (count > 1 && !(interval > 0)) {
+        returnVal.errorMsg = "repeated doses need an interval greater than 0!";
+    } else {
+        returnVal.bool = true;
+    }
+    return returnVal;
+}
+
+// createDoseSelect creates the sidebar entry for a dose schedule.
+// When clicked, it removes itself along with the doses from the model
+// @param dose: FlowSim.Dose the entry is for
+// @return: jquery object of the new entry
+function createDoseSelect(dose) {
+    let addNode = $("<p>", { class: "dose-select" });
+    let repeat = dose.count > 1 ? `${dose.count} x ` : "";
+    let every = dose.count > 1 ? `, every ${formatQuantity(dose.interval, "time")}` : "";
+    addNode.text(`${repeat}${formatQuantity(dose.amount, "fluid")} at ${formatQuantity(dose.concentration, "concentration")} ${getSubstanceName(dose.substance)} into ${dose.target} from ${formatQuantity(dose.startTime, "time")}${every}`);
+    addNode.click((e) => {
+        recordEdit();
+        model.removeDose(dose);
+        $(e.target).remove();
+        resetContainerStates();
+    });
+    return addNode;
+}
+
+// When the add dose button is clicked, the dose schedule is added to the model
+$("#add-dose-btn").click(() => {
+    let target = getId("dose-target").value;
+    let typed = readQuantities({
+        amount: [getId("dose-amount"), "fluid"],
+        concentration: [getId("dose-concentration"), "concentration"],
+        startTime: [getId("dose-start"), "time"],
+        interval: [getId("dose-interval"), "time"]
+    });
+    if (!typed.bool) {
+        alert(`ERROR: ${typed.errorMsg}`);
+        return;
+    }
+    let amount = typed.values.amount;
+    let concentration = typed.values.concentration;
+    let startTime = getId("dose-start").value === "" ? 0 : typed.values.startTime;
+    let interval = getId("dose-interval").value === "" ? 0 : typed.values.interval;
+    let count = getId("dose-count").value === "" ? 1 : Number(getId("dose-count").value);
+
+    let alertCheck = checkDose(target, amount, concentration, startTime, interval, count);
+    if (!alertCheck.bool) {
+        alert(`ERROR: ${alertCheck.errorMsg}`);
+    } else {
+        recordEdit();
+        let dose = model.addDose(target, amount, concentration, startTime, interval, count, getPickedSubstance("dose-substance"));
+        $("#dose-list").append(createDoseSelect(dose));
+        ["dose-target", "dose-amount", "dose-concentration", "dose-start", "dose-interval", "dose-count"].forEach((id) => {
+            getId(id).value = "";
+        });
+        resetContainerStates();
+    }
+})
+
+// checkInfusion takes in the infusion inputs and returns an error message if an invalid
+// infusion is trying to be made.
+// @param name: name of infusion
+// @param target: name of container the infusion feeds
+// @param rate: infusion rate
+// @param concentration: concentration of infused liquid
+// @param startTime: time the infusion starts
+// @param stopTime: time the infusion stops
+// @return: an object that contains a boolean true or false if it passes or not as well
+//          as an error message if it failed.
+function checkInfusion(name, target, rate, concentration, startTime, stopTime) {
+    let returnVal = { bool: false, errorMsg: "" };
+    if (name === "" || target === "") {
+        returnVal.errorMsg = "an infusion needs a name and a container to go into!";
+    } else if (findShape(name) !== null) {
+        returnVal.errorMsg = `the name ${name} is already used by a container or infusion!`;
+    } else if (!(rate > 0)) {
+        returnVal.errorMsg = "infusion rate must be greater than 0!";
+    } else if (!(concentration >= 0) || concentration > 1.0) {
+        returnVal.errorMsg = `infusion concentration must be between 0 and ${formatQuantity(1, "concentration")}!`;
+    } else if (!(startTime >= 0)) {
+        returnVal.errorMsg = "infusion start time cannot be negative!";
+    } else if (!(stopTime > startTime)) {
+        returnVal.errorMsg = "infusion stop time must be after its start time!";
+    } else {
+        returnVal.bool = true;
+    }
+    return returnVal;
+}
+
+// createInfusionSelect creates the sidebar entry for an infusion.
+// When clicked, it removes itself along with the infusion and its shape
+// @param name: name of infusion
+// @return: jquery object of the new entry
+function createInfusionSelect(name) {
+    let infusion = model.findInfusion(name);
+    let addNode = $("<p>", { class: "infusion-select" });
+    addNode.text(`${name}: ${formatQuantity(infusion.rate, "flow")} of ${getSubstanceName(infusion.substance)} into ${infusion.target} from ${formatMetric(inUnits(infusion.startTime, "time"))} to ${formatQuantity(infusion.stopTime, "time")}`);
+    addNode.click((e) => {
+        recordEdit();
+        model.removeInfusion(name);
+        shapeList = shapeList.filter((shape) => shape.name != name);
+        $(e.target).remove();
+        resetContainerStates();
+    });
+    return addNode;
+}
+
+// When the add infusion button is clicked, the infusion is added to the model and canvas
+$("#add-infusion-btn").click(() => {
+    let name = getId("infusion-name").value;
+    let target = getId("infusion-target").value;
+    let typed = readQuantities({
+        rate: [getId("infusion-rate"), "flow"],
+        concentration: [getId("infusion-concentration"), "concentration"],
+        startTime: [getId("infusion-start"), "time"],
+        stopTime: [getId("infusion-stop"), "time"]
+    });
+    if (!typed.bool) {
+        alert(`ERROR: ${typed.errorMsg}`);
+        return;
+    }
+    let rate = typed.values.rate;
+    let concentration = typed.values.concentration;
+    let startTime = getId("infusion-start").value === "" ? 0 : typed.values.startTime;
+    let stopTime = typed.values.stopTime;
+
+    let alertCheck = checkInfusion(name, target, rate, concentration, startTime, stopTime);
+    if (!alertCheck.bool) {
+        alert(`ERROR: ${alertCheck.errorMsg}`);
+    } else {
+        recordEdit();
+        model.addInfusion(name, target, rate, concentration, startTime, stopTime, getPickedSubstance("infusion-substance"));
+        let spot = findFreePosition(globalWidth / 2, globalHeight);
+        shapeList.push(new InfusionShape(spot.x, spot.y, name));
+        $("#infusion-list").append(createInfusionSelect(name));
+        ["infusion-name", "infusion-target", "infusion-rate", "infusion-concentration", "infusion-start", "infusion-stop"].forEach((id) => {
+            getId(id).value = "";
+        });
+        resetContainerStates();
+    }
+})
+
+// Substance shown on the canvas, plotted and summed up in the metrics
+let viewedSubstance = FlowSim.DEFAULT_SUBSTANCE;
+
+// getSubstanceName returns the name of a substance doses and infusions refer to
+// @param substance: name of the substance, null for the first substance
+// @return: name
+function getSubstanceName(substance) {
+    return substance === null || substance === undefined ? model.substanceList[0] : substance;
+}
+
+// getPickedSubstance returns the substance picked in a select, as doses and infusions refer to it
+// @param id: id of the select (no hash)
+// @return: name of the substance, null for the first substance
+function getPickedSubstance(id) {
+    let picked = getId(id).value;
+    return model.getSubstanceIndex(picked) > 0 ? picked : null;
+}
+
+// refreshSubstances rebuilds the substance and reaction lists and every substance picker from
+// the model. The first substance is viewed again if the viewed one is gone.
+function refreshSubstances() {
+    if (model.getSubstanceIndex(viewedSubstance) == -1) viewedSubstance = model.substanceList[0];
+    let list = $("#substance-list");
+    list.empty();
+    model.substanceList.forEach((substance) => {
+        list.append(createSubstanceSelect(substance));
+    });
+    ["view-substance", "dose-substance", "infusion-substance", "reaction-from", "reaction-to"].forEach((id) => {
+        let select = $(`#${id}`);
+        let picked = select.val();
+        select.empty();
+        model.substanceList.forEach((substance) => {
+            select.append($("<option>", { value: substance }).text(substance));
+        });
+        if (model.getSubstanceIndex(picked) != -1) select.val(picked);
+    });
+    $("#view-substance").val(viewedSubstance);
+    let reactions = $("#reaction-list");
+    reactions.empty();
+    model.reactionList.forEach((reaction) => {
+        reactions.append(createReactionSelect(reaction));
+    });
+}
+
+// createSubstanceSelect creates the sidebar entry for a substance.
+// When clicked, it removes the substance along with the doses, infusions and reactions
+// that use it. The first substance cannot be removed.
+// @param substance: name of the substance
+// @return: jquery object of the new entry
+function createSubstanceSelect(substance) {
+    let addNode = $("<p>", { class: "substance-select" });
+    addNode.text(substance);
+    addNode.click(() => {
+        if (model.getSubstanceIndex(substance) == 0) {
+            alert("ERROR: the first substance cannot be removed!");
+            return;
+        }
+        recordEdit();
+        model.removeSubstance(substance);
+        defaultContainerStates.forEach((state) => {
+            delete state.startSubstances[substance];
+        });
+        eventMonitor.rules = eventMonitor.rules.filter((rule) => rule.substance != substance);
+
+        // Its doses and infusions are gone from the model, so rebuild their entries
+        shapeList = shapeList.filter((shape) => shape instanceof InfusionShape ? model.findInfusion(shape.name) !== null : true);
+        refreshScheduleLists();
+        resetContainerStates();
+    });
+    return addNode;
+}
+
+// refreshScheduleLists rebuilds the dose and infusion entries from the model
+function refreshScheduleLists() {
+    getId("dose-list").innerHTML = "";
+    model.doseList.forEach((dose) => {
+        $("#dose-list").append(createDoseSelect(dose));
+    });
+    getId("infusion-list").innerHTML = "";
+    model.infusionList.forEach((infusion) => {
+        $("#infusion-list").append(createInfusionSelect(infusion.name));
+    });
+}
+
+// When the add substance button is clicked, every container gets the new substance, starting
+// with none of it
+$("#add-substance-btn").click(() => {
+    let name = getId("substance-name").value;
+    if (name === "") {
+        alert("ERROR: a substance needs a name!");
+    } else if (model.getSubstanceIndex(name) != -1) {
+        alert(`ERROR: there is already a substance called ${name}!`);
+    } else {
+        recordEdit();
+        model.addSubstance(name);
+        getId("substance-name").value = "";
+        resetContainerStates();
+    }
+})
+
+// checkReaction takes in the reaction inputs and returns an error message if an invalid
+// reaction is trying to be made.
+// @param container: name of the container the reaction happens in
+// @param from: substance converted
+// @param to: substance it turns into
+// @param rate: fraction of the substance converted per unit of time
+// @return: an object that contains a boolean true or false if it passes or not as well
+//          as an error message if it failed.
+function checkReaction(container, from, to, rate) {
+    let returnVal = { bool: false, errorMsg: "" };
+    if (model.findContainer(container) === null) {
+        returnVal.errorMsg = "a reaction needs a container to happen in!";
+    } else if (from == to) {
+        returnVal.errorMsg = "a reaction has to turn a substance into a different one!";
+    } else if (!(rate > 0)) {
+        returnVal.errorMsg = "reaction rate must be greater than 0!";
+    } else {
+        returnVal.bool = true;
+    }
+    return returnVal;
+}
+
+// createReactionSelect creates the sidebar entry for a reaction.
+// When clicked, it removes itself along with the reaction from the model
+// @param reaction: FlowSim.Reaction the entry is for
+// @return: jquery object of the new entry
+function createReactionSelect(reaction) {
+    let addNode = $("<p>", { class: "reaction-select" });
+    addNode.text(`${reaction.from} to ${reaction.to} in ${reaction.container} at ${formatMetric(inUnits(reaction.rate, "rate"))} per ${displayUnits.time}`);
+    addNode.click(() => {
+        recordEdit();
+        model.removeReaction(reaction);
+        resetContainerStates();
+    });
+    return addNode;
+}
+
+// When the add reaction button is clicked, the reaction is added to the model
+$("#add-reaction-btn").click(() => {
+    let container = getId("reaction-container").value;
+    let from = getId("reaction-from").value;
+    let to = getId("reaction-to").value;
+    let typed = readQuantities({ rate: [getId("reaction-rate"), "rate"] });
+    if (!typed.bool) {
+        alert(`ERROR: ${typed.errorMsg}`);
+        return;
+    }
+    let rate = typed.values.rate;
+
+    let alertCheck = checkReaction(container, from, to, rate);
+    if (!alertCheck.bool) {
+        alert(`ERROR: ${alertCheck.errorMsg}`);
+    } else {
+        recordEdit();
+        model.addReaction(container, from, to, rate);
+        getId("reaction-container").value = "";
+        getId("reaction-rate").value = "";
+        resetContainerStates();
+    }
+})
+
+// Whenever a substance is picked to view, the canvas, plot and metrics show it
+$("#view-substance").on("change", (e) => {
+    viewedSubstance = e.target.value;
+    drawPlot();
+    drawMetrics();
+    s.valid = false;
+});
+
+// copyEventRules copies a list of event rules, so editing them leaves the originals alone
+// @param rules: array of event rules
+// @return: new array of new rules
+function copyEventRules(rules) {
+    return rules.map((rule) => Object.assign({}, rule));
+}
+
+// refreshEventRules rebuilds the event rule list and the substance picker for new rules
+function refreshEventRules() {
+    let select = $("#event-substance");
+    let picked = select.val();
+    select.empty();
+    select.append($("<option>", { value: "" }).text("Any substance"));
+    model.substanceList.forEach((substance) => {
+        select.append($("<option>", { value: substance }).text(substance));
+    });
+    select.val(model.getSubstanceIndex(picked) != -1 ? picked : "");
+    let list = $("#event-rule-list");
+    list.empty();
+    eventMonitor.rules.forEach((rule) => {
+        list.append(createEventRuleSelect(rule));
+    });
+}
+
+// checkEventRule takes in a rule made from the event rule inputs and returns an error message
+// if it cannot be added
+// @param rule: event rule
+// @return: an object that contains a boolean true or false if it passes or not as well
+//          as an error message if it failed.
+function checkEventRule(rule) {
+    let returnVal = FlowSim.validateEventRule(rule);
+    if (returnVal.bool && rule.container !== null && model.findContainer(rule.container) === null) {
+        returnVal = { bool: false, errorMsg: `there is no container called ${rule.container} to watch` };
+    }
+    return returnVal;
+}
+
+// createEventRuleSelect creates the sidebar entry for an event rule.
+// When clicked, it removes itself along with the rule
+// @param rule: event rule the entry is for
+// @return: jquery object of the new entry
+function createEventRuleSelect(rule) {
+    let addNode = $("<p>", { class: "event-rule-select" });
+    addNode.text(FlowSim.describeEventRule(rule, formatThreshold));
+    addNode.click(() => {
+        recordEdit();
+        eventMonitor.rules = eventMonitor.rules.filter((other) => other !== rule);
+        resetContainerStates();
+    });
+    return addNode;
+}
+
+// When the add rule button is clicked, the rule is watched from the start of the run
+$("#add-event-rule-btn").click(() => {
+    let container = getId("event-container").value.trim();
+    let quantity = getId("event-quantity").value;
+    let threshold = getId("event-threshold").value.trim();
+    let typed = readQuantities({ threshold: [getId("event-threshold"), quantity == "level" ? "fluid" : "concentration"] });
+    if (threshold.toLowerCase() != "lethal" && !typed.bool) {
+        alert(`ERROR: ${typed.errorMsg}!`);
+        return;
+    }
+    let rule = {
+        container: container === "" ? null : container,
+        quantity: quantity,
+        substance: quantity == "concentration" && getId("event-substance").value !== "" ? getId("event-substance").value : null,
+        direction: getId("event-direction").value,
+        threshold: threshold.toLowerCase() == "lethal" ? "lethal" : typed.values.threshold,
+        action: getId("event-action").value
+    };
+
+    let alertCheck = checkEventRule(rule);
+    if (!alertCheck.bool) {
+        alert(`ERROR: ${alertCheck.errorMsg}!`);
+    } else {
+        recordEdit();
+        eventMonitor.rules.push(rule);
+        getId("event-container").value = "";
+        getId("event-threshold").value = "";
+        resetContainerStates();
+    }
+})
+
+// inUnits converts a value from the base units the model runs in to the units picked
+// @param value: number in base units
+// @param quantity: kind of value, see FlowSim.QUANTITIES
+// @return: number in the units picked
+function inUnits(value, quantity) {
+    return FlowSim.fromBaseUnits(value, quantity, displayUnits);
+}
+
+// unitOf names the unit a kind of value is shown in
+// @param quantity: kind of value, see FlowSim.QUANTITIES
+// @return: string like "mg/L", "" for values without units
+function unitOf(quantity) {
+    return FlowSim.describeUnit(quantity, displayUnits);
+}
+
+// formatQuantity shortens a value for the page and adds its unit
+// @param value: number in base units
+// @param quantity: kind of value, see FlowSim.QUANTITIES
+// @return: string like "0.5 mL/min"
+function formatQuantity(value, quantity) {
+    let unit = unitOf(quantity);
+    return unit === "" ? formatMetric(inUnits(value, quantity)) : `${formatMetric(inUnits(value, quantity))} ${unit}`;
+}
+
+// formatThreshold shortens an event rule threshold for the page, see FlowSim.describeEventRule
+// @param threshold: number in base units
+// @param quantity: level or concentration, what the rule watches
+// @return: string like "1.5 mg/L"
+function formatThreshold(threshold, quantity) {
+    return formatQuantity(threshold, quantity == "level" ? "fluid" : "concentration");
+}
+
+// inputValue gives the value an input is filled with, in the units picked but without
+// the rounding of formatQuantity so nothing is lost when it is read back
+// @param value: number in base units
+// @param quantity: kind of value, see FlowSim.QUANTITIES
+// @return: number
+function inputValue(value, quantity) {
+    return parseFloat(inUnits(value, quantity).toPrecision(10));
+}
+
+// readQuantities reads numbers typed into inputs. Each is in the units picked, unless it is
+// typed with its own like "30 mL/min".
+// @param fields: object from a name to [input element, kind of value from FlowSim.QUANTITIES]
+// @return: { bool, errorMsg, values } where values is an object from each name to its number
+//          in base units, NaN for inputs left empty
+function readQuantities(fields) {
+    let values = {};
+    let names = Object.keys(fields);
+    for (let i = 0; i < names.length; i++) {
+        let input = fields[names[i]][0];
+        if (input.value.trim() === "") {
+            values[names[i]] = NaN;
+            continue;
+        }
+        let parsed = FlowSim.parseQuantity(input.value, fields[names[i]][1], displayUnits);
+        if (!parsed.bool) {
+            let label = input.getAttribute("aria-label");
+            return { bool: false, errorMsg: `${label.charAt(0).toLowerCase()}${label.slice(1)}: ${parsed.errorMsg}`, values: {} };
+        }
+        values[names[i]] = parsed.value;
+    }
+    return { bool: true, errorMsg: "", values: values };
+}
+
+// refreshUnitLabels puts the units picked in the placeholders of inputs and in the labels
+// next to them, from the kind of value in their data-quantity
+function refreshUnitLabels() {
+    $("input[data-quantity]").each((i, input) => {
+        if ($(input).data("label") === undefined) $(input).data("label", input.placeholder);
+        let unit = unitOf($(input).attr("data-quantity"));
+        input.placeholder = unit === "" ? $(input).data("label") : `${$(input).data("label")} (${unit})`;
+    });
+    $(".unit-label").each((i, label) => {
+        $(label).text(unitOf($(label).attr("data-quantity")));
+    });
+}
+
+// refreshUnits shows everything in the units picked: the unit pickers themselves, the units
+// of inputs, the settings, every list in the sidebar and every plot and table. The model
+// itself always runs in base units, so it is left alone.
+function refreshUnits() {
+    getId("vol-units").value = displayUnits.fluid;
+    getId("time-units").value = displayUnits.time;
+    getId("amount-units").value = displayUnits.amount;
+    getId("molar-mass").value = displayUnits.molarMass === null ? "" : displayUnits.molarMass;
+    refreshUnitLabels();
+    getId("step-size").value = inputValue(model.settings.stepSize, "time");
+    getId("time-per-tick").value = inputValue(globalTimePerTick, "time");
+
+    getId("flow-outputs").innerHTML = "";
+    flowNodeQueue.forEach((queued) => {
+        $("#flow-outputs").append(createQueueSelect(queued));
+    });
+    refreshScheduleLists();
+    refreshSubstances();
+    refreshEventRules();
+    refreshPopulationControls();
+    refreshObservedSummary();
+    inspectShape(s.selection);
+    refreshTimeline();
+    drawEventLog();
+    drawPlot();
+    drawMetrics();
+    drawSweep();
+    drawPopulation();
+    drawFit();
+    s.valid = false;
+}
+
+// Whenever a unit or the molar mass is changed, values are shown and typed in the new units.
+// Units that do not work together, like mmol without a molar mass, are put back.
+$("#vol-units, #time-units, #amount-units, #molar-mass").on("change", () => {
+    let molarMass = getId("molar-mass").value.trim();
+    let picked = {
+        fluid: getId("vol-units").value,
+        time: getId("time-units").value,
+        amount: getId("amount-units").value,
+        molarMass: molarMass === "" ? null : Number(molarMass)
+    };
+    let alertCheck = FlowSim.validateUnits(picked);
+    if (!alertCheck.bool) {
+        alert(`ERROR: ${alertCheck.errorMsg}!`);
+    } else {
+        displayUnits = picked;
+    }
+    refreshUnits();
+});
+
+// The threshold of a new event rule is a liquid level or a concentration, depending on what
+// the rule watches
+$("#event-quantity").on("change", (e) => {
+    $("#event-threshold").attr("data-quantity", e.target.value == "level" ? "fluid" : "concentration");
+    refreshUnitLabels();
+});
+
+// Whenever the step size input box is changed, the model's integration step changes
+$("#step-size").on("input", (e) => {
+    let stepSize = FlowSim.parseQuantity(e.target.value, "time", displayUnits);
+    if (stepSize.bool && stepSize.value > 0) {
+        model.setStepSize(stepSize.value);
+    }
+});
+
+// Whenever the time per tick input box is changed, the simulation speed changes
+$("#time-per-tick").on("input", (e) => {
+    let timePerTick = FlowSim.parseQuantity(e.target.value, "time", displayUnits);
+    if (timePerTick.bool && timePerTick.value > 0) {
+        globalTimePerTick = timePerTick.value;
+    }
+});
+
+// Whenever a solver is picked, the model's integration method changes
+$("#solver-method").on("change", (e) => {
+    model.setMethod(e.target.value);
+});
 
 // Clears everything when the clear button is pressed
 $("#clear-all").click(() => {
+    recordEdit();
     clearEverything();
 })
 
 // Function for clearing everything
 function clearEverything() {
     defaultContainerStates = [];
-    containerList = [];
-    nodeList = [];
+    model.clear();
+    eventMonitor.rules = copyEventRules(FlowSim.DEFAULT_EVENT_RULES);
+    shapeList = [];
     getId("container-nodes").innerHTML = "";
+    getId("dose-list").innerHTML = "";
+    getId("infusion-list").innerHTML = "";
+    resetContainerStates();
+}
+
+// Snapshots of the model from before each edit, for undo and redo
+let editHistory = new FlowSim.UndoHistory();
+
+// captureEdit returns a snapshot of everything an edit can change: the model document,
+// which includes where every shape is drawn, and the queue of flows for the next container
+// @return: JSON string
+function captureEdit() {
+    return JSON.stringify({ doc: createModelDocument(), queue: flowNodeQueue });
+}
+
+// recordEdit is called just before the model is edited, so the edit can be undone
+function recordEdit() {
+    editHistory.record(captureEdit());
+    refreshUndoButtons();
+}
+
+// restoreEdit puts the model back the way a snapshot has it. Units and solver settings are
+// not model edits, so they stay as they are.
+// @param snapshot: JSON string from captureEdit
+function restoreEdit(snapshot) {
+    let saved = JSON.parse(snapshot);
+    let current = createModelDocument();
+    saved.doc.units = current.units;
+    saved.doc.settings = current.settings;
+    s.selection = null;
+    loadModelDocument(saved.doc);
+    flowNodeQueue = saved.queue;
+    getId("flow-outputs").innerHTML = "";
+    flowNodeQueue.forEach((queued) => {
+        $("#flow-outputs").append(createQueueSelect(queued));
+    });
+}
+
+// undoEdit steps back one edit
+function undoEdit() {
+    let snapshot = editHistory.undo(captureEdit());
+    if (snapshot !== null) restoreEdit(snapshot);
+    refreshUndoButtons();
+}
+
+// redoEdit steps forward again over an edit that was undone
+function redoEdit() {
+    let snapshot = editHistory.redo(captureEdit());
+    if (snapshot !== null) restoreEdit(snapshot);
+    refreshUndoButtons();
+}
+
+// refreshUndoButtons only lets the undo and redo buttons be pressed when there is something to do
+function refreshUndoButtons() {
+    $("#undo-button").prop("disabled", !editHistory.canUndo());
+    $("#redo-button").prop("disabled", !editHistory.canRedo());
+}
+
+$("#undo-button").click(() => {
+    undoEdit();
+})
+
+$("#redo-button").click(() => {
+    redoEdit();
+})
+
+// Ctrl+Z undoes and Ctrl+Shift+Z or Ctrl+Y redoes, unless something is being typed
+$(document).on("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || $(e.target).is("input, select, textarea")) return;
+    let key = e.key.toLowerCase();
+    if (key == "z" && !e.shiftKey) {
+        e.preventDefault();
+        undoEdit();
+    } else if ((key == "z" && e.shiftKey) || key == "y") {
+        e.preventDefault();
+        redoEdit();
+    }
+})
+
+// getViewArea returns the part of the canvas that is not behind the sidebar
+// @return: { x, y, w, h } in canvas pixels
+function getViewArea() {
+    let left = Math.max(0, 2 * globalMidpointX - x.width);
+    return { x: left, y: 0, w: x.width - left, h: x.height };
+}
+
+// getLayoutBounds returns the part of the model that can be seen, leaving room for names
+// at the top
+// @return: { x, y, w, h } in model coordinates
+function getLayoutBounds() {
+    let area = getViewArea();
+    let topLeft = s.toModel({ x: area.x, y: area.y });
+    let top = (globalNameSize + 10) / s.view.scale;
+    return { x: topLeft.x, y: topLeft.y + top, w: area.w / s.view.scale, h: area.h / s.view.scale - top };
+}
+
+// findFreePosition finds where a new shape can go near the middle of the canvas without
+// covering any shape already there, or its name
+// @param w, h: size of the new shape
+// @return: { x, y } of the top left corner
+function findFreePosition(w, h) {
+    let boxes = shapeList.map((shape) => ({ x: shape.x, y: shape.y, w: shape.w, h: shape.h }));
+    let center = s.toModel({ x: globalMidpointX, y: globalMidpointY });
+    let box = { x: center.x - w / 2, y: center.y - h / 2, w: w, h: h };
+    return FlowSim.findFreeSpot(boxes, box, { margin: globalNameSize + 10, bounds: getLayoutBounds() });
+}
+
+// autoLayout arranges every container and infusion as a layered graph following the flows,
+// with where liquid starts at the top and where it ends up at the bottom
+function autoLayout() {
+    let edges = model.nodeList.map((node) => ({ from: node.inputFromContainer, to: node.outputToContainer }))
+        .concat(model.infusionList.map((infusion) => ({ from: infusion.name, to: infusion.target })));
+    let layers = FlowSim.layerGraph(shapeList.map((shape) => shape.name), edges);
+
+    // Spread the layers over the height of the canvas, keeping room for the names
+    let bounds = getLayoutBounds();
+    let minGap = globalNameSize + 20;
+    let gapY = layers.length > 1 ? (bounds.h - minGap - layers.length * globalHeight) / (layers.length - 1) : 0;
+    gapY = Math.max(minGap, Math.min(globalHeight, gapY));
+    let positions = FlowSim.placeLayers(layers, {
+        nodeWidth: globalWidth,
+        nodeHeight: globalHeight,
+        gapX: globalWidth / 4,
+        gapY: gapY,
+        centerX: bounds.x + bounds.w / 2,
+        top: bounds.y
+    });
+    shapeList.forEach((shape) => {
+        let position = positions[shape.name];
+        if (position !== undefined) shape.moveTo(position.x + (globalWidth - shape.w) / 2, position.y);
+    });
     s.valid = false;
 }
 
+// When fit button is clicked, the canvas zooms and pans to show every shape
+$("#fit-button").click(() => {
+    s.fitToContent(getViewArea());
+})
+
+// When auto layout button is clicked, every shape is arranged along the flows
+$("#auto-layout-button").click(() => {
+    recordEdit();
+    autoLayout();
+})
+
 // When demo button is clicked, a demo is set up
 $("#demo").click(() => {
+    recordEdit();
     clearEverything();
     // Set up some test FlowNodes, Containers, and set Rates
-    new FlowNode(1, "drugsIn", "stomach");
-    new FlowNode(1, "stomach", "small intestine");
-    new FlowNode(0.5, "small intestine", "large intestine");
-    new FlowNode(0.5, "small intestine", "bloodstream");
-    new FlowNode(0.5, "large intestine", "bloodstream");
-    new FlowNode(0.5, "large intestine", "out");
-    new FlowNode(0.25, "bloodstream", "liver");
-    new FlowNode(0.5, "liver", "bloodstream");
-    new FlowNode(0.5, "liver", "out");
-    new FlowNode(0.25, "bloodstream", "brain");
-    new FlowNode(1, "brain", "bloodstream");
-
-    // new Container(maxOutRate, currLiquidLevel, maxLiquidLevel, nameIdentifier, xpos,ypos, concentration)
-    new Container(0.5, 500, 500, "drugsIn", globalMidpointX - 10, globalMidpointY - 200, 1, 1);
-    new Container(0.1, 300, 800, "stomach", globalMidpointX, globalMidpointY - 150, 0, 0.9);
-    new Container(0.1, 300, 500, "small intestine", globalMidpointX + 10, globalMidpointY - 100, 0, 0.4);
-    new Container(0.1, 300, 500, "large intestine", globalMidpointX, globalMidpointY - 50, 0, 0.5);
-    new Container(0.2, 300, 2000, "bloodstream", globalMidpointX - 10, globalMidpointY, 0, 0.015);
-    new Container(0.1, 0, 4000, "out", globalMidpointX, globalMidpointY + 50, 0, 0.5);
-    new Container(0.1, 300, 500, "liver", globalMidpointX + 10, globalMidpointY + 100, 0, 0.007);
-    new Container(0.1, 300, 500, "brain", globalMidpointX, globalMidpointY + 100, 0, 0.5);
-
-    nodeList.forEach((node) => {
-        node.currRate = findContainer(node.inputFromContainer).currOutRate * node.percentOutRate;
-    })
-
-    containerList.forEach((container) => {
+    model.addFlowNode(1, "drugsIn", "stomach");
+    model.addFlowNode(1, "stomach", "small intestine");
+    model.addFlowNode(0.5, "small intestine", "large intestine");
+    model.addFlowNode(0.5, "small intestine", "bloodstream");
+    model.addFlowNode(0.5, "large intestine", "bloodstream");
+    model.addFlowNode(0.5, "large intestine", "out");
+    model.addFlowNode(0.25, "bloodstream", "liver");
+    model.addFlowNode(0.5, "liver", "bloodstream");
+    model.addFlowNode(0.5, "liver", "out");
+    model.addFlowNode(0.25, "bloodstream", "brain");
+    model.addFlowNode(1, "brain", "bloodstream");
+
+    // createContainer(maxOutRate, currLiquidLevel, maxLiquidLevel, nameIdentifier, xpos,ypos, concentration)
+    createContainer(0.5, 500, 500, "drugsIn", globalMidpointX, globalMidpointY, 1, 1);
+    createContainer(0.1, 300, 800, "stomach", globalMidpointX, globalMidpointY, 0, 0.9);
+    createContainer(0.1, 300, 500, "small intestine", globalMidpointX, globalMidpointY, 0, 0.4);
+    createContainer(0.1, 300, 500, "large intestine", globalMidpointX, globalMidpointY, 0, 0.5);
+    createContainer(0.2, 300, 2000, "bloodstream", globalMidpointX, globalMidpointY, 0, 0.015);
+    createContainer(0.1, 0, 4000, "out", globalMidpointX, globalMidpointY, 0, 0.5);
+    createContainer(0.1, 300, 500, "liver", globalMidpointX, globalMidpointY, 0, 0.007);
+    createContainer(0.1, 300, 500, "brain", globalMidpointX, globalMidpointY, 0, 0.5);
+    autoLayout();
+
+    model.containerList.forEach((container) => {
         defaultContainerStates.push({
             name: container.nameIdentifier,
             maxOut: container.maxOutRate,
             startLevel: container.currLiquidLevel,
             maxCapacity: container.maxLiquidLevel,
             startConcentration: container.currConcentration,
-            lethalConcentration: container.lethalConcentration
+            lethalConcentration: container.lethalConcentration,
+            startSubstances: {}
         })
-        let addNode = $("<p>", { class: "container-select" });
-        addNode.text(`${container.nameIdentifier}`);
-        addNode.click((e) => {
-            let index = $(e.target).index();
-            let name = $(e.target).text();
-            defaultContainerStates.splice(index, 1);
-            $(e.target).remove();
-            containerList.splice(index, 1);
-            removeNodesComingOutFrom(name);
-            resetContainerStates();
-        });
+        $("#container-nodes").append(createContainerSelect(container.nameIdentifier));
+    })
+    resetContainerStates();
+})
+
+// createModelDocument describes the whole model, including where each container is
+// drawn and the units and settings in use, as a document that can be saved
+// @return: model document from FlowSim.serializeModel
+function createModelDocument() {
+    let positions = {};
+    shapeList.forEach((shape) => {
+        positions[shape.name] = { x: shape.x, y: shape.y };
+    });
+    return FlowSim.serializeModel(model, {
+        initialStates: defaultContainerStates,
+        positions: positions,
+        units: displayUnits,
+        timePerTick: globalTimePerTick,
+        eventRules: eventMonitor.rules
+    });
+}
+
+// getStartSubstances returns where every substance but the first starts in a container
+// of a model document
+// @param container: container of the document
+// @return: object from substance name to starting concentration
+function getStartSubstances(container) {
+    let start = {};
+    Object.keys(container.substances || {}).forEach((substance) => {
+        start[substance] = container.substances[substance].startConcentration;
+    });
+    return start;
+}
 
-        // Add the node and then clear all the values in the inputs
-        $("#container-nodes").append(addNode);
+// loadModelDocument replaces everything with the model described by a document
+// @param doc: model document that passed FlowSim.validateModelDocument
+function loadModelDocument(doc) {
+    let viewed = viewedSubstance;
+    clearEverything();
+    if (doc.units) displayUnits = Object.assign({}, FlowSim.DEFAULT_UNITS, doc.units);
+    model = FlowSim.buildModel(doc);
+    if (model.getSubstanceIndex(viewed) != -1) viewedSubstance = viewed;
+    if (doc.eventRules !== undefined) eventMonitor.rules = copyEventRules(doc.eventRules);
+
+    doc.containers.forEach((container) => {
+        defaultContainerStates.push({
+            name: container.name,
+            maxOut: container.maxOutRate,
+            startLevel: container.startLevel,
+            maxCapacity: container.maxCapacity,
+            startConcentration: container.startConcentration,
+            lethalConcentration: container.lethalConcentration,
+            startSubstances: getStartSubstances(container)
+        })
+        let spot = container.x !== undefined && container.y !== undefined ?
+            { x: container.x, y: container.y } : findFreePosition(globalWidth, globalHeight);
+        shapeList.push(new Shape(spot.x, spot.y, container.name, container.startLevel, container.maxCapacity));
+        $("#container-nodes").append(createContainerSelect(container.name));
+    })
+    model.doseList.forEach((dose) => {
+        $("#dose-list").append(createDoseSelect(dose));
     })
+    doc.infusions.forEach((saved) => {
+        let spot = saved.x !== undefined && saved.y !== undefined ?
+            { x: saved.x, y: saved.y } : findFreePosition(globalWidth / 2, globalHeight);
+        shapeList.push(new InfusionShape(spot.x, spot.y, saved.name));
+        $("#infusion-list").append(createInfusionSelect(saved.name));
+    })
+
+    // Bring the units and settings inputs in line with the document
+    if (doc.settings && doc.settings.timePerTick !== undefined) {
+        globalTimePerTick = doc.settings.timePerTick;
+    }
+    getId("solver-method").value = model.settings.method;
+    refreshUnits();
+
+    resetContainerStates();
+}
+
+// downloadFile makes the browser download some text as a file
+// @param fileName: name the file is saved as
+// @param text: contents of the file
+// @param type: MIME type of the file
+function downloadFile(fileName, text, type) {
+    let url = URL.createObjectURL(new Blob([text], { type: type }));
+    let link = $("<a>", { href: url, download: fileName });
+    $("body").append(link);
+    link[0].click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// When the export button is clicked, the model is downloaded as a JSON file
+$("#export-model").click(() => {
+    downloadFile("model.json", JSON.stringify(createModelDocument(), null, 4), "application/json");
+})
+
+// When the import button is clicked, ask for a model file to load
+$("#import-model").click(() => {
+    getId("import-file").click();
+})
+
+// Once a file is picked, validate it and rebuild the model from it
+$("#import-file").on("change", (e) => {
+    let file = e.target.files[0];
+    if (!file) return;
+    let reader = new FileReader();
+    reader.onload = () => {
+        let result = FlowSim.parseModelDocument(reader.result);
+        if (!result.bool) {
+            alert(`ERROR: could not import ${file.name}:\n${result.errorMsg}`);
+        } else {
+            recordEdit();
+            loadModelDocument(result.doc);
+        }
+    };
+    reader.readAsText(file);
+
+    // Clear the input so the same file can be picked again
+    e.target.value = "";
+})
+
+// Share links keep the whole model document, compressed, in the URL hash after this prefix
+const MODEL_HASH_PREFIX = "#model=";
+
+// createShareLink returns a URL that rebuilds the current model when opened
+// @return: URL string
+function createShareLink() {
+    let compressed = LZString.compressToEncodedURIComponent(JSON.stringify(createModelDocument()));
+    return location.href.split("#")[0] + MODEL_HASH_PREFIX + compressed;
+}
+
+// loadModelFromHash rebuilds the model from a share link in the URL hash, if there is one
+function loadModelFromHash() {
+    if (location.hash.indexOf(MODEL_HASH_PREFIX) != 0) return;
+    let json = LZString.decompressFromEncodedURIComponent(location.hash.substring(MODEL_HASH_PREFIX.length));
+    if (!json) {
+        alert("ERROR: could not open shared model: the link is incomplete or damaged");
+        return;
+    }
+    let result = FlowSim.parseModelDocument(json);
+    if (!result.bool) {
+        alert(`ERROR: could not open shared model:\n${result.errorMsg}`);
+    } else {
+        loadModelDocument(result.doc);
+    }
+}
+
+// When the copy link button is clicked, the share link is put in the address bar
+// and copied to the clipboard
+$("#copy-link").click(() => {
+    let link = createShareLink();
+    history.replaceState(null, "", link);
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link).then(() => {
+            $("#copy-link").text("Link copied!");
+            setTimeout(() => $("#copy-link").text("Copy link"), 2000);
+        }, () => {
+            prompt("Copy this link:", link);
+        });
+    } else {
+        prompt("Copy this link:", link);
+    }
 })
 
 // These buttons toggle the sidebar when they're pressed
@@ -891,4 +2739,831 @@ $("#sidebar-button").click(() => {
 
 $("#close-sidebar").click(() => {
     $("#sidebar").css("display", "none");
-})
\ No newline at end of file
+})
+
+// These buttons toggle the analysis panel when they're pressed
+$("#analysis-button").click(() => {
+    $("#analysis-panel").css("display", "block");
+    drawPlot();
+    drawMetrics();
+});
+
+$("#close-analysis").click(() => {
+    $("#analysis-panel").css("display", "none");
+})
+
+// Colors given to containers on the plot, in containerList order
+const PLOT_COLORS = ["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd",
+    "#8c564b", "#e377c2", "#7f7f7f", "#bcbd22", "#17becf"];
+
+// Names of containers that have been switched off on the plot
+let plotHiddenContainers = {};
+
+// getPlotColor returns the color of a container on the plot
+// @param containerName: nameIdentifier of the container
+// @return: color string
+function getPlotColor(containerName) {
+    let index = model.containerList.findIndex((container) => container.nameIdentifier == containerName);
+    return PLOT_COLORS[Math.max(index, 0) % PLOT_COLORS.length];
+}
+
+// refreshPlotToggles rebuilds the checkboxes that switch each container on or off on the plot
+function refreshPlotToggles() {
+    let toggles = $("#plot-containers");
+    toggles.empty();
+    model.containerList.forEach((container) => {
+        let name = container.nameIdentifier;
+        let checkbox = $("<input>", { type: "checkbox" });
+        checkbox.prop("checked", !plotHiddenContainers[name]);
+        checkbox.on("change", (e) => {
+            plotHiddenContainers[name] = !e.target.checked;
+            drawPlot();
+        });
+        let label = $("<label>", { class: "plot-toggle" });
+        label.css("color", getPlotColor(name));
+        label.append(checkbox, document.createTextNode(name));
+        toggles.append(label);
+    });
+}
+
+// drawPlot draws the recorded history of the chosen value for every container that is
+// switched on. Concentration plots show the viewed substance and also get each container's
+// lethal concentration of it as a dashed line.
+function drawPlot() {
+    if ($("#analysis-panel").css("display") == "none") return;
+    let canvas = plot.canvas;
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+
+    let field = getId("plot-quantity").value;
+    let quantities = {
+        currConcentration: "concentration",
+        currLiquidLevel: "fluid",
+        currInRate: "flow",
+        currOutRate: "flow"
+    };
+    let shown = model.containerList.filter((container) => !plotHiddenContainers[container.nameIdentifier]);
+    let series = shown.map((container) => {
+        return {
+            label: container.nameIdentifier,
+            color: getPlotColor(container.nameIdentifier),
+            points: modelHistory.getSeries(container.nameIdentifier, field, viewedSubstance).map((point) => {
+                return { x: inUnits(point.x, "time"), y: inUnits(point.y, quantities[field]) };
+            })
+        };
+    });
+    let referenceLines = [];
+    if (field == "currConcentration") {
+        referenceLines = shown.map((container) => {
+            return { y: inUnits(container.getLethalConcentration(viewedSubstance), "concentration"), color: getPlotColor(container.nameIdentifier) };
+        });
+    }
+    let markers = eventMonitor.log.filter((event) => event.action == "mark").map((event) => {
+        return { x: inUnits(event.time, "time"), color: getPlotColor(event.container), label: event.container };
+    });
+    if (timelineIndex !== null) {
+        markers.push({ x: inUnits(modelHistory.samples[timelineIndex].time, "time"), color: "#000000", label: "shown" });
+    }
+    let scatter = field == "currConcentration" ? getObservedScatter(shown.map((container) => container.nameIdentifier)) : [];
+
+    let yLabels = {
+        currConcentration: `Concentration of ${viewedSubstance}`,
+        currLiquidLevel: "Liquid level",
+        currInRate: "Input flow",
+        currOutRate: "Output flow"
+    };
+    plot.draw({
+        series: series,
+        referenceLines: referenceLines,
+        markers: markers,
+        scatter: scatter,
+        xLabel: `Time (${unitOf("time")})`,
+        yLabel: `${yLabels[field]} (${unitOf(quantities[field])})`,
+        emptyMessage: "Add containers and press Start to record a run"
+    });
+}
+
+// When the export CSV button is clicked, the recorded run is downloaded as a CSV file
+$("#export-csv").click(() => {
+    let csv = modelHistory.toCSV({ fluid: displayUnits.fluid, time: displayUnits.time, substance: displayUnits.amount }, inUnits);
+    downloadFile("simulation.csv", csv, "text/csv");
+})
+
+// getAdministeredSubstance adds up the viewed substance put into the model so far: what the
+// containers started with, every dose given and everything the infusions have delivered
+// @return: substance amount
+function getAdministeredSubstance() {
+    let first = model.getSubstanceIndex(viewedSubstance) == 0;
+    let total = defaultContainerStates.reduce((acc, state) => {
+        let start = first ? state.startConcentration : state.startSubstances[viewedSubstance] || 0;
+        return acc + state.startLevel * start;
+    }, 0);
+    model.doseList.forEach((dose) => {
+        if (getSubstanceName(dose.substance) != viewedSubstance) return;
+        total += dose.given * dose.amount * dose.concentration;
+    });
+    model.infusionList.forEach((infusion) => {
+        if (getSubstanceName(infusion.substance) != viewedSubstance) return;
+        total += infusion.delivered * infusion.concentration;
+    });
+    return total;
+}
+
+// formatMetric shortens a metric for the metrics table
+// @param value: number
+// @return: string, with a dash for values that could not be worked out
+function formatMetric(value) {
+    if (!isFinite(value)) return "-";
+    if (value !== 0 && (Math.abs(value) >= 1e5 || Math.abs(value) < 1e-3)) return value.toExponential(2);
+    return String(parseFloat(value.toPrecision(4)));
+}
+
+// drawEventLog fills the event log with every event of the run so far, and shows how many
+// there are on its tab
+function drawEventLog() {
+    $("#event-count").text(eventMonitor.log.length);
+    if ($("#analysis-panel").css("display") == "none" || !$("#events-tab").hasClass("active")) return;
+    let head = $("<tr>");
+    [`Time (${unitOf("time")})`, "Event", "Action"].forEach((text) => head.append($("<th>").text(text)));
+    $("#event-log thead").empty().append(head);
+
+    let body = $("#event-log tbody");
+    body.empty();
+    if (eventMonitor.log.length == 0) {
+        body.append($("<tr>").append($("<td>", { colspan: 3 }).text("Nothing has happened yet")));
+    }
+    eventMonitor.log.forEach((event) => {
+        let row = $("<tr>");
+        row.append($("<td>").text(formatMetric(inUnits(event.time, "time"))));
+        row.append($("<td>").text(event.rule === null ? event.message : FlowSim.describeEvent(event, formatThreshold)));
+        row.append($("<td>").text(event.action));
+        body.append(row);
+    });
+}
+
+// drawMetrics fills the metrics table with the pharmacokinetic summary of every container's
+// recorded concentration curve of the viewed substance
+function drawMetrics() {
+    if ($("#analysis-panel").css("display") == "none" || !$("#metrics-tab").hasClass("active")) return;
+    let headers = ["Container", `Cmax (${unitOf("concentration")})`, `Tmax (${unitOf("time")})`,
+        `AUC 0-t (${unitOf("exposure")})`, `AUC 0-∞ (${unitOf("exposure")})`,
+        `t½ (${unitOf("time")})`, `MRT (${unitOf("time")})`, `Whole-model CL (${unitOf("flow")})`,
+        `Time above lethal (${unitOf("time")})`];
+    let head = $("<tr>");
+    headers.forEach((text) => head.append($("<th>").text(text)));
+    $("#metrics-table thead").empty().append(head);
+
+    // Clearance is of the whole model, everything given anywhere over each container's exposure
+    let dose = getAdministeredSubstance();
+    let body = $("#metrics-table tbody");
+    body.empty();
+    model.containerList.forEach((container) => {
+        let metrics = FlowSim.computeMetrics(modelHistory.getSeries(container.nameIdentifier, "currConcentration", viewedSubstance), {
+            dose: dose,
+            lethalConcentration: container.getLethalConcentration(viewedSubstance)
+        });
+        let row = $("<tr>");
+        row.append($("<td>").text(container.nameIdentifier));
+        [[metrics.cmax, "concentration"], [metrics.tmax, "time"], [metrics.aucLast, "exposure"], [metrics.aucInf, "exposure"],
+            [metrics.halfLife, "time"], [metrics.mrt, "time"], [metrics.clearance, "flow"], [metrics.timeAboveLethal, "time"]].forEach((metric) => {
+            row.append($("<td>").text(formatMetric(inUnits(metric[0], metric[1]))));
+        });
+        body.append(row);
+    });
+}
+
+// Buttons that start a long run of the model, only one of which runs at a time
+const ANALYSIS_BUTTONS = "#run-sweep, #run-tornado, #run-population, #run-fit";
+
+// Longest time, in ms, a long run works for before letting the page draw again
+const ANALYSIS_CHUNK_TIME = 50;
+
+// runInChunks runs a job split into steps a chunk at a time, so the page does not freeze, and
+// shows how far it has got on the button that started it. The other analysis buttons are
+// disabled until it is done.
+// @param button: jQuery button that started the job
+// @param steps: generator from FlowSim, like FlowSim.sweepSteps, that yields the fraction of
+//               the job done and returns the result
+// @param done: function called with the result of the job
+function runInChunks(button, steps, done) {
+    let label = button.text();
+    let finish = () => {
+        button.text(label);
+        $(ANALYSIS_BUTTONS).prop("disabled", false);
+    };
+    let chunk = () => {
+        let start = Date.now();
+        let next;
+        try {
+            do {
+                next = steps.next();
+            } while (!next.done && Date.now() - start < ANALYSIS_CHUNK_TIME);
+        } catch (e) {
+            finish();
+            alert(`ERROR: ${e.message}`);
+            return;
+        }
+        if (!next.done) {
+            button.text(`${label} ${Math.floor(next.value * 100)}%`);
+            setTimeout(chunk, 0);
+            return;
+        }
+        finish();
+        done(next.value);
+    };
+    $(ANALYSIS_BUTTONS).prop("disabled", true);
+    button.text(`${label} 0%`);
+    setTimeout(chunk, 0);
+}
+
+// Plot of the last sweep or tornado chart, and what it showed, null before the first one
+let sweepPlot = new FlowSim.Plot(document.getElementById('sweep-canvas'));
+let sweepResult = null;
+
+// Most parameters shown on a tornado chart, the ones that change the output the most
+const TORNADO_BARS = 10;
+
+// Quantity of each sweep output, see FlowSim.QUANTITIES
+const SWEEP_OUTPUT_QUANTITIES = {
+    peakConcentration: "concentration",
+    timeToLethal: "time",
+    finalAmount: "amount"
+};
+
+// refreshSweepControls fills the container and parameter pickers of the sweep tab from the
+// model, keeping what was picked where it is still there
+function refreshSweepControls() {
+    let containers = $("#sweep-container");
+    let pickedContainer = containers.val();
+    containers.empty();
+    model.containerList.forEach((container) => {
+        containers.append($("<option>", { value: container.nameIdentifier }).text(container.nameIdentifier));
+    });
+    if (model.findContainer(pickedContainer) !== null) {
+        containers.val(pickedContainer);
+    } else if (model.findContainer("bloodstream") !== null) {
+        containers.val("bloodstream");
+    }
+
+    let parameters = FlowSim.listSweepParameters(createModelDocument());
+    ["sweep-parameter-1", "sweep-parameter-2"].forEach((id, index) => {
+        let select = $(`#${id}`);
+        let picked = select.val();
+        select.empty();
+        if (index == 1) select.append($("<option>", { value: "" }).text("No second parameter"));
+        parameters.forEach((parameter) => {
+            select.append($("<option>", { value: parameter.id }).text(parameter.label));
+        });
+        if (parameters.some((parameter) => parameter.id == picked)) select.val(picked);
+    });
+}
+
+// Picking a parameter to sweep fills in a range around the value it has now
+$("#sweep-parameter-1, #sweep-parameter-2").on("change", (e) => {
+    let axis = e.target.id.slice(-1);
+    let parameter = FlowSim.listSweepParameters(createModelDocument()).find((entry) => entry.id == e.target.value);
+    if (parameter === undefined) return;
+    let min = parameter.value > 0 ? parameter.value / 2 : 0;
+    let max = parameter.value > 0 ? Math.min(parameter.max, parameter.value * 1.5) : 1;
+    getId(`sweep-min-${axis}`).value = parseFloat(inUnits(min, parameter.quantity).toPrecision(4));
+    getId(`sweep-max-${axis}`).value = parseFloat(inUnits(max, parameter.quantity).toPrecision(4));
+});
+
+// getSweepOptions reads the output of the sweep tab
+// @return: { bool, errorMsg, options } where options are for FlowSim.sweepParameters and
+//          FlowSim.computeSensitivities
+function getSweepOptions() {
+    let typed = readQuantities({ duration: [getId("sweep-duration"), "time"] });
+    return {
+        bool: typed.bool,
+        errorMsg: typed.errorMsg,
+        options: {
+            output: getId("sweep-output").value,
+            container: getId("sweep-container").value,
+            substance: viewedSubstance,
+            duration: typed.values.duration
+        }
+    };
+}
+
+// getSweepOutputLabel describes the output of a sweep with its units
+// @param options: options from getSweepOptions
+// @return: string
+function getSweepOutputLabel(options) {
+    let labels = {
+        peakConcentration: `Peak concentration of ${options.substance}`,
+        timeToLethal: `Time to lethal concentration of ${options.substance}`,
+        finalAmount: `Final amount of ${options.substance}`
+    };
+    return `${labels[options.output]} (${unitOf(SWEEP_OUTPUT_QUANTITIES[options.output])}) in ${options.container}`;
+}
+
+// getSweepAxisLabel describes a swept parameter with its units
+// @param axis: axis from FlowSim.sweepParameters
+// @return: string
+function getSweepAxisLabel(axis) {
+    let unit = unitOf(axis.quantity);
+    return unit === "" ? axis.label : `${axis.label} (${unit})`;
+}
+
+// When the run sweep button is clicked, the model is run from its starting state for every
+// value of the parameters picked, a chunk of runs at a time, and the output is drawn as a
+// line, or a heatmap for two
+$("#run-sweep").click(() => {
+    let doc = createModelDocument();
+    let parameters = FlowSim.listSweepParameters(doc);
+    let picked = ["1", "2"].filter((axis) => axis == "1" || getId(`sweep-parameter-${axis}`).value !== "");
+    let axes = [];
+    for (let i = 0; i < picked.length; i++) {
+        let id = getId(`sweep-parameter-${picked[i]}`).value;
+        let parameter = parameters.find((entry) => entry.id == id);
+        let quantity = parameter === undefined ? "none" : parameter.quantity;
+        let typed = readQuantities({
+            min: [getId(`sweep-min-${picked[i]}`), quantity],
+            max: [getId(`sweep-max-${picked[i]}`), quantity]
+        });
+        if (!typed.bool) {
+            alert(`ERROR: ${typed.errorMsg}`);
+            return;
+        }
+        axes.push({ id: id, min: typed.values.min, max: typed.values.max, steps: parseFloat(getId(`sweep-steps-${picked[i]}`).value) });
+    }
+    let read = getSweepOptions();
+    if (!read.bool) {
+        alert(`ERROR: ${read.errorMsg}`);
+        return;
+    }
+    let options = read.options;
+    runInChunks($("#run-sweep"), FlowSim.sweepSteps(doc, axes, options), (result) => {
+        if (!result.bool) {
+            alert(`ERROR: ${result.errorMsg}`);
+            return;
+        }
+        sweepResult = { kind: axes.length == 1 ? "line" : "heatmap", result: result, options: options };
+        drawSweep();
+    });
+})
+
+// When the tornado chart button is clicked, every parameter is nudged up and down in turn
+// and the ones that change the output the most are drawn
+$("#run-tornado").click(() => {
+    let read = getSweepOptions();
+    if (!read.bool) {
+        alert(`ERROR: ${read.errorMsg}`);
+        return;
+    }
+    let options = read.options;
+    runInChunks($("#run-tornado"), FlowSim.sensitivitySteps(createModelDocument(), options), (result) => {
+        if (!result.bool) {
+            alert(`ERROR: ${result.errorMsg}`);
+            return;
+        }
+        sweepResult = { kind: "tornado", result: result, options: options };
+        drawSweep();
+    });
+})
+
+// drawSweep draws the last sweep or tornado chart
+function drawSweep() {
+    if ($("#analysis-panel").css("display") == "none" || !$("#sweep-tab").hasClass("active")) return;
+    let canvas = sweepPlot.canvas;
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    if (sweepResult === null) {
+        sweepPlot.draw({ series: [], emptyMessage: "Pick parameters and run a sweep, or draw a tornado chart" });
+        return;
+    }
+
+    let result = sweepResult.result;
+    let outputLabel = getSweepOutputLabel(sweepResult.options);
+    let output = (value) => inUnits(value, SWEEP_OUTPUT_QUANTITIES[sweepResult.options.output]);
+    let axisValues = (axis) => axis.values.map((value) => inUnits(value, axis.quantity));
+    if (sweepResult.kind == "line") {
+        let xValues = axisValues(result.axes[0]);
+        sweepPlot.draw({
+            series: [{
+                label: sweepResult.options.container,
+                color: PLOT_COLORS[0],
+                points: xValues.map((value, i) => ({ x: value, y: output(result.results[i]) }))
+            }],
+            xLabel: getSweepAxisLabel(result.axes[0]),
+            yLabel: outputLabel
+        });
+    } else if (sweepResult.kind == "heatmap") {
+        sweepPlot.drawHeatmap({
+            xValues: axisValues(result.axes[0]),
+            yValues: axisValues(result.axes[1]),
+            values: result.results.map((row) => row.map(output)),
+            xLabel: getSweepAxisLabel(result.axes[0]),
+            yLabel: getSweepAxisLabel(result.axes[1]),
+            valueLabel: outputLabel
+        });
+    } else {
+        let changed = result.parameters.filter((parameter) => isFinite(parameter.low) && isFinite(parameter.high) &&
+            parameter.low != parameter.high).map((parameter) => {
+            return Object.assign({}, parameter, { low: output(parameter.low), high: output(parameter.high) });
+        });
+        sweepPlot.drawTornado({
+            bars: isFinite(result.base) ? changed.slice(0, TORNADO_BARS) : [],
+            base: output(result.base),
+            lowLabel: "10% lower",
+            highLabel: "10% higher",
+            xLabel: outputLabel,
+            emptyMessage: "No parameter changes the output, or it could not be measured"
+        });
+    }
+}
+
+// Parameters that vary between the virtual subjects of a population, each a distribution
+// for FlowSim.simulatePopulation along with the label of its parameter
+let variabilities = [];
+
+// Plot of the last population, and what it showed, null before the first one
+let populationPlot = new FlowSim.Plot(document.getElementById('population-canvas'));
+let populationResult = null;
+
+// Names of the two values of each distribution, for the inputs on the population tab
+const DISTRIBUTION_INPUTS = {
+    "normal": ["mean", "sd"],
+    "log-normal": ["median", "sdLog"],
+    "uniform": ["min", "max"]
+};
+const DISTRIBUTION_PLACEHOLDERS = {
+    "normal": ["Mean", "Standard deviation"],
+    "log-normal": ["Median", "Log standard deviation"],
+    "uniform": ["From", "To"]
+};
+
+// refreshPopulationControls fills the parameter picker of the population tab from the model
+// and rebuilds the list of varied parameters. Parameters that are gone from the model, or
+// whose place in it is now taken by another one, stop varying.
+function refreshPopulationControls() {
+    let parameters = FlowSim.listSweepParameters(createModelDocument());
+    variabilities = variabilities.filter((variability) => {
+        return parameters.some((parameter) => parameter.id == variability.id && parameter.label == variability.label);
+    });
+
+    let select = $("#variability-parameter");
+    let picked = select.val();
+    select.empty();
+    parameters.forEach((parameter) => {
+        select.append($("<option>", { value: parameter.id }).text(parameter.label));
+    });
+    if (parameters.some((parameter) => parameter.id == picked)) select.val(picked);
+
+    let list = $("#variability-list");
+    list.empty();
+    variabilities.forEach((variability) => {
+        let entry = $("<span>", { class: "variability-select" });
+        entry.text(`${variability.label}: ${describeShownVariability(variability)}`);
+        entry.click(() => {
+            variabilities = variabilities.filter((other) => other !== variability);
+            refreshPopulationControls();
+        });
+        list.append(entry);
+    });
+}
+
+// describeShownVariability describes a parameter's distribution in the shown units
+// @param variability: distribution from variabilities
+// @return: string like "normal, mean 1 L/s, sd 0.2 L/s"
+function describeShownVariability(variability) {
+    let shown = Object.assign({}, variability);
+    DISTRIBUTION_INPUTS[variability.distribution].filter((key) => key != "sdLog").forEach((key) => {
+        shown[key] = formatQuantity(variability[key], variability.quantity);
+    });
+    return FlowSim.describeVariability(shown);
+}
+
+// Picking a parameter or a distribution fills in a spread around the value the parameter has now
+$("#variability-parameter, #variability-distribution").on("change", () => {
+    let distribution = getId("variability-distribution").value;
+    getId("variability-a").placeholder = DISTRIBUTION_PLACEHOLDERS[distribution][0];
+    getId("variability-b").placeholder = DISTRIBUTION_PLACEHOLDERS[distribution][1];
+    let parameter = FlowSim.listSweepParameters(createModelDocument()).find((entry) => {
+        return entry.id == getId("variability-parameter").value;
+    });
+    if (parameter === undefined) return;
+    let value = parameter.value;
+    let defaults = {
+        "normal": [value, value * 0.2],
+        "log-normal": [value, 0.2],
+        "uniform": [value * 0.8, Math.min(parameter.max, value * 1.2)]
+    };
+    let quantities = DISTRIBUTION_INPUTS[distribution].map((key) => key == "sdLog" ? "none" : parameter.quantity);
+    getId("variability-a").value = parseFloat(inUnits(defaults[distribution][0], quantities[0]).toPrecision(4));
+    getId("variability-b").value = parseFloat(inUnits(defaults[distribution][1], quantities[1]).toPrecision(4));
+});
+
+// When the vary button is clicked, the parameter picked gets the distribution, replacing any
+// it had before
+$("#add-variability-btn").click(() => {
+    let parameters = FlowSim.listSweepParameters(createModelDocument());
+    let parameter = parameters.find((entry) => entry.id == getId("variability-parameter").value);
+    if (parameter === undefined) {
+        alert("ERROR: there is no parameter to vary!");
+        return;
+    }
+    let distribution = getId("variability-distribution").value;
+    let keys = DISTRIBUTION_INPUTS[distribution];
+    let typed = readQuantities({
+        a: [getId("variability-a"), keys[0] == "sdLog" ? "none" : parameter.quantity],
+        b: [getId("variability-b"), keys[1] == "sdLog" ? "none" : parameter.quantity]
+    });
+    if (!typed.bool) {
+        alert(`ERROR: ${typed.errorMsg}!`);
+        return;
+    }
+    let variability = { id: parameter.id, label: parameter.label, quantity: parameter.quantity, distribution: distribution };
+    variability[keys[0]] = typed.values.a;
+    variability[keys[1]] = typed.values.b;
+
+    let alertCheck = FlowSim.validateVariability(variability, parameters);
+    if (!alertCheck.bool) {
+        alert(`ERROR: ${alertCheck.errorMsg}!`);
+    } else {
+        variabilities = variabilities.filter((other) => other.id != variability.id).concat([variability]);
+        refreshPopulationControls();
+    }
+})
+
+// When the simulate population button is clicked, the model is run from its starting state
+// for every virtual subject, a chunk of subjects at a time, and the spread of their
+// concentration curves is drawn
+$("#run-population").click(() => {
+    let typed = readQuantities({ duration: [getId("population-duration"), "time"] });
+    if (!typed.bool) {
+        alert(`ERROR: ${typed.errorMsg}`);
+        return;
+    }
+    let options = {
+        subjects: parseFloat(getId("population-subjects").value),
+        seed: parseFloat(getId("population-seed").value),
+        duration: typed.values.duration,
+        substance: viewedSubstance
+    };
+    // The varied parameters are copied so changing them mid-run does not change this run
+    let steps = FlowSim.populationSteps(createModelDocument(), variabilities.slice(), options);
+    runInChunks($("#run-population"), steps, (result) => {
+        if (!result.bool) {
+            alert(`ERROR: ${result.errorMsg}`);
+            return;
+        }
+        populationResult = { result: result, substance: options.substance };
+        drawPopulation();
+    });
+})
+
+// drawPopulation draws the median concentration curve of every container switched on in the
+// last population, with the band 90% of subjects fell in, and labels each container with the
+// share of subjects that went above its lethal concentration
+function drawPopulation() {
+    if ($("#analysis-panel").css("display") == "none" || !$("#population-tab").hasClass("active")) return;
+    let canvas = populationPlot.canvas;
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    if (populationResult === null) {
+        populationPlot.draw({ series: [], emptyMessage: "Vary some parameters and simulate a population" });
+        return;
+    }
+
+    let result = populationResult.result;
+    let shown = result.containers.filter((container) => !plotHiddenContainers[container.name]);
+    let series = shown.map((container) => {
+        return {
+            label: `${container.name}, ${Math.round(container.aboveLethal * 100)}% above lethal`,
+            color: getPlotColor(container.name),
+            points: result.times.map((time, i) => ({ x: inUnits(time, "time"), y: inUnits(container.median[i], "concentration") }))
+        };
+    });
+    let bands = shown.map((container) => {
+        return {
+            color: getPlotColor(container.name),
+            points: result.times.map((time, i) => {
+                return { x: inUnits(time, "time"), low: inUnits(container.low[i], "concentration"), high: inUnits(container.high[i], "concentration") };
+            })
+        };
+    });
+    populationPlot.draw({
+        series: series,
+        bands: bands,
+        scatter: getObservedScatter(shown.map((container) => container.name)),
+        xLabel: `Time (${unitOf("time")})`,
+        yLabel: `Concentration of ${populationResult.substance} (${unitOf("concentration")}), median and 5-95%`
+    });
+}
+
+// Concentrations measured in experiments, each { time, container, concentration }, shown over
+// the plots and fitted to
+let observations = [];
+
+// Parameters picked to fit, each { id, label }, and the last fit, null before the first one
+let fitPicks = [];
+let fitResult = null;
+
+// getObservedScatter groups the observed concentrations by container for a plot
+// @param names: names of the containers shown on the plot
+// @return: array of { color, points } for Plot.draw
+function getObservedScatter(names) {
+    return names.map((name) => {
+        return {
+            color: getPlotColor(name),
+            points: observations.filter((observation) => observation.container == name).map((observation) => {
+                return { x: inUnits(observation.time, "time"), y: inUnits(observation.concentration, "concentration") };
+            })
+        };
+    }).filter((group) => group.points.length > 0);
+}
+
+// refreshObservedSummary says how much observed data there is, and flags containers in it
+// that are not in the model
+function refreshObservedSummary() {
+    if (observations.length == 0) {
+        $("#observed-summary").text("No observed data. Import a CSV file with time, container and concentration columns, in the units picked.");
+        return;
+    }
+    let names = observations.map((observation) => observation.container).filter((name, i, all) => all.indexOf(name) == i);
+    let missing = names.filter((name) => model.findContainer(name) === null);
+    let text = `${observations.length} observed points in ${names.join(", ")}.`;
+    if (missing.length > 0) text += ` Not in the model: ${missing.join(", ")}.`;
+    $("#observed-summary").text(text);
+}
+
+// refreshFitControls fills the parameter picker of the fit tab from the model and rebuilds the
+// list of parameters picked to fit. Parameters that are gone from the model, or whose place
+// in it is now taken by another one, are dropped.
+function refreshFitControls() {
+    let parameters = FlowSim.listSweepParameters(createModelDocument());
+    fitPicks = fitPicks.filter((pick) => parameters.some((parameter) => parameter.id == pick.id && parameter.label == pick.label));
+
+    let select = $("#fit-parameter");
+    let picked = select.val();
+    select.empty();
+    parameters.forEach((parameter) => {
+        select.append($("<option>", { value: parameter.id }).text(parameter.label));
+    });
+    if (parameters.some((parameter) => parameter.id == picked)) select.val(picked);
+
+    let list = $("#fit-parameter-list");
+    list.empty();
+    fitPicks.forEach((pick) => {
+        let entry = $("<span>", { class: "fit-parameter-select" });
+        entry.text(pick.label);
+        entry.click(() => {
+            fitPicks = fitPicks.filter((other) => other !== pick);
+            refreshFitControls();
+        });
+        list.append(entry);
+    });
+    refreshObservedSummary();
+}
+
+// Clicking the import observed data button opens the file picker
+$("#import-observed").click(() => {
+    $("#observed-file").click();
+})
+
+// When a CSV file is picked it replaces the observed data
+$("#observed-file").on("change", (e) => {
+    let file = e.target.files[0];
+    if (!file) return;
+    let reader = new FileReader();
+    reader.onload = () => {
+        let result = FlowSim.parseObservations(reader.result);
+        if (!result.bool) {
+            alert(`ERROR: could not import ${file.name}:\n${result.errorMsg}`);
+        } else {
+            observations = result.observations.map((observation) => {
+                return Object.assign({}, observation, {
+                    time: FlowSim.toBaseUnits(observation.time, "time", displayUnits),
+                    concentration: FlowSim.toBaseUnits(observation.concentration, "concentration", displayUnits)
+                });
+            });
+            refreshObservedSummary();
+            drawPlot();
+            drawPopulation();
+        }
+    };
+    reader.readAsText(file);
+
+    // Clear the input so the same file can be picked again
+    e.target.value = "";
+})
+
+$("#clear-observed").click(() => {
+    observations = [];
+    refreshObservedSummary();
+    drawPlot();
+    drawPopulation();
+})
+
+// When the fit this button is clicked, the parameter picked is added to the ones fitted
+$("#add-fit-parameter").click(() => {
+    let parameter = FlowSim.listSweepParameters(createModelDocument()).find((entry) => entry.id == getId("fit-parameter").value);
+    if (parameter === undefined) {
+        alert("ERROR: there is no parameter to fit!");
+    } else if (fitPicks.some((pick) => pick.id == parameter.id)) {
+        alert(`ERROR: ${parameter.label} is already being fitted!`);
+    } else {
+        fitPicks.push({ id: parameter.id, label: parameter.label });
+        refreshFitControls();
+    }
+})
+
+// When the fit button is clicked, the picked parameters are tuned, starting from the values
+// they have now, a few runs of the model at a time, until the model matches the observed
+// data as closely as it can
+$("#run-fit").click(() => {
+    if (observations.length == 0) {
+        alert("ERROR: import some observed data to fit to first!");
+        return;
+    }
+    // The observed data is copied so importing more mid-fit does not change this fit
+    let steps = FlowSim.fitSteps(createModelDocument(), fitPicks.map((pick) => pick.id), observations.slice(), {
+        substance: viewedSubstance
+    });
+    runInChunks($("#run-fit"), steps, (result) => {
+        if (!result.bool) {
+            alert(`ERROR: ${result.errorMsg}`);
+            return;
+        }
+        fitResult = result;
+        $("#apply-fit").prop("disabled", false);
+        drawFit();
+    });
+})
+
+// When the apply button is clicked, the fitted values replace the ones in the model
+$("#apply-fit").click(() => {
+    let parameters = FlowSim.listSweepParameters(createModelDocument());
+    let stale = fitResult.parameters.some((fitted) => {
+        return !parameters.some((parameter) => parameter.id == fitted.id && parameter.label == fitted.label);
+    });
+    if (stale) {
+        alert("ERROR: the model has changed since the fit, fit it again!");
+        return;
+    }
+    let values = {};
+    fitResult.parameters.forEach((fitted) => {
+        values[fitted.id] = fitted.value;
+    });
+    recordEdit();
+    loadModelDocument(FlowSim.withParameters(createModelDocument(), values));
+    $("#apply-fit").prop("disabled", true);
+})
+
+// drawFit fills the fit tables with the fitted values and the residual of every observed point
+function drawFit() {
+    if (fitResult === null) return;
+    // The sum of squares is in squared concentration units
+    let conc = unitOf("concentration");
+    let sse = inUnits(inUnits(fitResult.sse, "concentration"), "concentration");
+    $("#fit-summary").text(`SSE ${formatMetric(sse)}, RMSE ${formatQuantity(fitResult.rmse, "concentration")}, ` +
+        `R² ${formatMetric(fitResult.rSquared)} from ${fitResult.residuals.length} points after ${fitResult.iterations} rounds`);
+
+    let fillTable = (id, headers, rows) => {
+        let head = $("<tr>");
+        headers.forEach((text) => head.append($("<th>").text(text)));
+        $(`#${id} thead`).empty().append(head);
+        let body = $(`#${id} tbody`);
+        body.empty();
+        rows.forEach((cells) => {
+            let row = $("<tr>");
+            cells.forEach((cell) => row.append($("<td>").text(typeof cell === "number" ? formatMetric(cell) : cell)));
+            body.append(row);
+        });
+    };
+    fillTable("fit-table", ["Parameter", "Started at", "Fitted", "Standard error", "95% confidence interval"],
+        fitResult.parameters.map((fitted) => {
+            let shown = (value) => inUnits(value, fitted.quantity);
+            let unit = unitOf(fitted.quantity);
+            let interval = isFinite(fitted.standardError) ? `${formatMetric(shown(fitted.low))} to ${formatMetric(shown(fitted.high))}` : "-";
+            return [unit === "" ? fitted.label : `${fitted.label} (${unit})`, shown(fitted.start), shown(fitted.value),
+                shown(fitted.standardError), interval];
+        }));
+    fillTable("fit-residuals", [`Time (${unitOf("time")})`, "Container", `Observed (${conc})`, `Fitted (${conc})`, `Residual (${conc})`],
+        fitResult.residuals.map((point) => {
+            return [inUnits(point.time, "time"), point.container, inUnits(point.observed, "concentration"),
+                inUnits(point.predicted, "concentration"), inUnits(point.residual, "concentration")];
+        }));
+}
+
+// Fill in the metrics table whenever its tab is opened
+$('#analysis-panel a[data-toggle="tab"]').on("shown.bs.tab", () => {
+    drawMetrics();
+    drawPlot();
+    drawEventLog();
+    drawSweep();
+    drawPopulation();
+});
+
+// Redraw the plot when a different value is picked or the page is resized
+$("#plot-quantity").on("change", () => {
+    drawPlot();
+});
+
+$(window).on("resize", () => {
+    drawPlot();
+    drawSweep();
+    drawPopulation();
+});
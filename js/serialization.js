@@ -0,0 +1,512 @@
+// Model files for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Turns a model into a versioned JSON document and back. A document holds the
+// substances in the model, the starting state of every container, every flow node and
+// its kinetic law, the dosing schedule, every infusion and reaction, where each container
+// and infusion is drawn, the units in use and the simulation settings, so a whole setup
+// can be saved to a file and rebuilt later. Version 2 added substances and reactions,
+// version 3 what each container does when it fills up, version 4 the event rules and
+// version 5 real units: every value is in the base units L, s and mg, and the units
+// saved are the ones the page shows them in.
+'use strict';
+
+(function (FlowSim) {
+    // In Node the engine is its own module, in the browser js/engine.js has
+    // already put it on FlowSim
+    const engine = typeof require === "function" ? require("./engine.js") : FlowSim;
+    const events = typeof require === "function" ? require("./events.js") : FlowSim;
+    const units = typeof require === "function" ? require("./units.js") : FlowSim;
+
+    // Identifies a model document, and the newest document version this code understands
+    const FORMAT_NAME = "flow-rate-simulator";
+    const FORMAT_VERSION = 5;
+
+    // serializeModel creates a document describing the model
+    // @param model: FlowSim.Model to describe
+    // @param options: object with any of
+    //      initialStates: array of { name, startLevel, startConcentration, startSubstances } to
+    //                     save instead of the containers' current values (the defaultContainerStates)
+    //      positions: object mapping container and infusion names to { x, y } canvas positions
+    //      units: { fluid, time, amount, molarMass } units values are shown in, see
+    //             FlowSim.validateUnits, FlowSim.DEFAULT_UNITS for any left out
+    //      timePerTick: simulation time that passes on every update tick
+    //      eventRules: array of event rules to save, see FlowSim.validateEventRule
+    // @return: plain object ready for JSON.stringify
+    function serializeModel(model, options) {
+        options = options || {};
+        let initialStates = options.initialStates || [];
+        let positions = options.positions || {};
+        let shownUnits = Object.assign({}, units.DEFAULT_UNITS, options.units);
+
+        let containers = model.containerList.map((container) => {
+            let initial = initialStates.find((state) => state.name == container.nameIdentifier);
+            let saved = {
+                name: container.nameIdentifier,
+                maxOutRate: container.maxOutRate,
+                startLevel: initial ? initial.startLevel : container.currLiquidLevel,
+                maxCapacity: container.maxLiquidLevel,
+                startConcentration: initial ? initial.startConcentration : container.currConcentration,
+                lethalConcentration: container.lethalConcentration,
+                overflow: Object.assign({}, container.overflow)
+            };
+            let substances = Object.keys(container.substances);
+            if (substances.length > 0) {
+                saved.substances = {};
+                substances.forEach((substance) => {
+                    let start = initial ? (initial.startSubstances || {})[substance] : container.substances[substance].concentration;
+                    saved.substances[substance] = {
+                        startConcentration: start !== undefined ? start : 0,
+                        lethalConcentration: container.substances[substance].lethalConcentration
+                    };
+                });
+            }
+            if (positions[container.nameIdentifier]) {
+                saved.x = positions[container.nameIdentifier].x;
+                saved.y = positions[container.nameIdentifier].y;
+            }
+            return saved;
+        });
+
+        let flowNodes = model.nodeList.map((node) => {
+            return {
+                percentOutRate: node.percentOutRate,
+                from: node.inputFromContainer,
+                to: node.outputToContainer,
+                kinetics: Object.assign({}, node.kinetics)
+            };
+        });
+
+        let doses = model.doseList.map((dose) => {
+            let saved = {
+                target: dose.target,
+                amount: dose.amount,
+                concentration: dose.concentration,
+                startTime: dose.startTime,
+                interval: dose.interval,
+                count: dose.count
+            };
+            if (dose.substance !== null) saved.substance = dose.substance;
+            return saved;
+        });
+
+        let infusions = model.infusionList.map((infusion) => {
+            let saved = {
+                name: infusion.name,
+                target: infusion.target,
+                rate: infusion.rate,
+                concentration: infusion.concentration,
+                startTime: infusion.startTime,
+                stopTime: infusion.stopTime
+            };
+            if (infusion.substance !== null) saved.substance = infusion.substance;
+            if (positions[infusion.name]) {
+                saved.x = positions[infusion.name].x;
+                saved.y = positions[infusion.name].y;
+            }
+            return saved;
+        });
+
+        let reactions = model.reactionList.map((reaction) => {
+            return {
+                container: reaction.container,
+                from: reaction.from,
+                to: reaction.to,
+                rate: reaction.rate
+            };
+        });
+
+        let settings = {
+            stepSize: model.settings.stepSize,
+            method: model.settings.method,
+            tolerance: model.settings.tolerance
+        };
+        if (options.timePerTick !== undefined) {
+            settings.timePerTick = options.timePerTick;
+        }
+
+        let doc = {
+            format: FORMAT_NAME,
+            version: FORMAT_VERSION,
+            units: shownUnits,
+            settings: settings,
+            substances: model.substanceList.slice(),
+            containers: containers,
+            flowNodes: flowNodes,
+            doses: doses,
+            infusions: infusions,
+            reactions: reactions
+        };
+        if (options.eventRules !== undefined) {
+            doc.eventRules = options.eventRules.map((rule) => Object.assign({}, rule));
+        }
+        return doc;
+    }
+
+    // validateModelDocument checks that a document can be turned back into a model
+    // @param doc: parsed JSON document
+    // @return: an object that contains a boolean true or false if it passes or not as well
+    //          as an error message listing every problem found if it failed.
+    function validateModelDocument(doc) {
+        let errors = [];
+        let isNumber = (value) => typeof value === "number" && isFinite(value);
+
+        if (doc === null || typeof doc !== "object" || Array.isArray(doc)) {
+            return { bool: false, errorMsg: "model file must contain a JSON object" };
+        }
+        if (doc.format !== FORMAT_NAME) {
+            return { bool: false, errorMsg: `not a model file (expected format "${FORMAT_NAME}")` };
+        }
+        if (!Number.isInteger(doc.version) || doc.version < 1) {
+            errors.push("version must be a positive whole number");
+        } else if (doc.version > FORMAT_VERSION) {
+            errors.push(`version ${doc.version} is newer than this simulator supports (${FORMAT_VERSION})`);
+        }
+
+        // Before version 5 units were only labels
+        if (doc.units !== undefined) {
+            if (doc.units === null || typeof doc.units !== "object") {
+                errors.push("units must be an object");
+            } else if (doc.version >= 5) {
+                let check = units.validateUnits(Object.assign({}, units.DEFAULT_UNITS, doc.units));
+                if (!check.bool) errors.push(`units: ${check.errorMsg}`);
+            } else {
+                ["fluid", "time"].forEach((key) => {
+                    if (doc.units[key] !== undefined && typeof doc.units[key] !== "string") {
+                        errors.push(`units.${key} must be a string`);
+                    }
+                });
+            }
+        }
+
+        if (doc.settings !== undefined) {
+            let settings = doc.settings;
+            if (settings === null || typeof settings !== "object") {
+                errors.push("settings must be an object");
+            } else {
+                ["stepSize", "tolerance", "timePerTick"].forEach((key) => {
+                    if (settings[key] !== undefined && !(isNumber(settings[key]) && settings[key] > 0)) {
+                        errors.push(`settings.${key} must be a positive number`);
+                    }
+                });
+                if (settings.method !== undefined && engine.METHODS.indexOf(settings.method) == -1) {
+                    errors.push(`settings.method must be one of ${engine.METHODS.join(", ")}`);
+                }
+            }
+        }
+
+        // Substances, the first one is the substance every container's startConcentration is for
+        let substances = [engine.DEFAULT_SUBSTANCE];
+        if (doc.substances !== undefined) {
+            if (!Array.isArray(doc.substances) || doc.substances.length == 0) {
+                errors.push("substances must be an array with at least one name");
+            } else {
+                substances = [];
+                doc.substances.forEach((substance, index) => {
+                    if (typeof substance !== "string" || substance === "") {
+                        errors.push(`substances[${index}] must be a non-empty string`);
+                    } else if (substances.indexOf(substance) != -1) {
+                        errors.push(`substances[${index}] "${substance}" is listed more than once`);
+                    } else {
+                        substances.push(substance);
+                    }
+                });
+            }
+        }
+        let checkSubstance = (where, substance) => {
+            if (substance !== undefined && substances.indexOf(substance) == -1) {
+                errors.push(`${where}: substance "${substance}" is not one of the substances`);
+            }
+        };
+
+        let names = [];
+        if (!Array.isArray(doc.containers)) {
+            errors.push("containers must be an array");
+        } else {
+            doc.containers.forEach((container, index) => {
+                let where = `containers[${index}]`;
+                if (container === null || typeof container !== "object") {
+                    errors.push(`${where} must be an object`);
+                    return;
+                }
+                if (typeof container.name !== "string" || container.name === "") {
+                    errors.push(`${where}.name must be a non-empty string`);
+                } else if (names.indexOf(container.name) != -1) {
+                    errors.push(`${where}.name "${container.name}" is used by more than one container`);
+                } else {
+                    names.push(container.name);
+                    where = `container "${container.name}"`;
+                }
+                ["maxOutRate", "startLevel", "maxCapacity", "startConcentration", "lethalConcentration"].forEach((key) => {
+                    if (!isNumber(container[key])) {
+                        errors.push(`${where}: ${key} must be a number`);
+                    }
+                });
+                ["x", "y"].forEach((key) => {
+                    if (container[key] !== undefined && !isNumber(container[key])) {
+                        errors.push(`${where}: ${key} must be a number`);
+                    }
+                });
+                if (container.overflow !== undefined) {
+                    let overflow = container.overflow;
+                    if (overflow === null || typeof overflow !== "object") {
+                        errors.push(`${where}: overflow must be an object`);
+                    } else if (engine.OVERFLOW_MODES.indexOf(overflow.mode) == -1) {
+                        errors.push(`${where}: overflow mode must be one of ${engine.OVERFLOW_MODES.join(", ")}`);
+                    } else if (overflow.target !== undefined && overflow.target !== null && typeof overflow.target !== "string") {
+                        errors.push(`${where}: overflow target must be a container name`);
+                    } else if (overflow.target && overflow.target === container.name) {
+                        errors.push(`${where}: a container cannot overflow into itself`);
+                    }
+                }
+                if (container.substances !== undefined) {
+                    if (container.substances === null || typeof container.substances !== "object") {
+                        errors.push(`${where}: substances must be an object`);
+                        return;
+                    }
+                    Object.keys(container.substances).forEach((substance) => {
+                        let held = container.substances[substance];
+                        if (substances.indexOf(substance) < 1) {
+                            errors.push(`${where}: substance "${substance}" is not one of the other substances`);
+                        } else if (held === null || typeof held !== "object" ||
+                            !isNumber(held.startConcentration) || !isNumber(held.lethalConcentration)) {
+                            errors.push(`${where}: substance "${substance}" needs a startConcentration and lethalConcentration number`);
+                        }
+                    });
+                }
+            });
+        }
+
+        if (!Array.isArray(doc.flowNodes)) {
+            errors.push("flowNodes must be an array");
+        } else {
+            doc.flowNodes.forEach((node, index) => {
+                let where = `flowNodes[${index}]`;
+                if (node === null || typeof node !== "object") {
+                    errors.push(`${where} must be an object`);
+                    return;
+                }
+                if (!isNumber(node.percentOutRate)) {
+                    errors.push(`${where}: percentOutRate must be a number`);
+                }
+                if (typeof node.from !== "string") {
+                    errors.push(`${where}: from must be a container name`);
+                } else if (Array.isArray(doc.containers) && names.indexOf(node.from) == -1) {
+                    errors.push(`${where}: from container "${node.from}" does not exist`);
+                }
+                if (typeof node.to !== "string") {
+                    errors.push(`${where}: to must be a container name`);
+                }
+                if (node.kinetics !== undefined) {
+                    let kinetics = engine.validateKinetics(node.kinetics);
+                    if (!kinetics.bool) {
+                        errors.push(`${where}: ${kinetics.errorMsg}`);
+                    }
+                }
+            });
+        }
+
+        if (doc.doses !== undefined) {
+            if (!Array.isArray(doc.doses)) {
+                errors.push("doses must be an array");
+            } else {
+                doc.doses.forEach((dose, index) => {
+                    let where = `doses[${index}]`;
+                    if (dose === null || typeof dose !== "object") {
+                        errors.push(`${where} must be an object`);
+                        return;
+                    }
+                    if (typeof dose.target !== "string") {
+                        errors.push(`${where}: target must be a container name`);
+                    }
+                    ["amount", "concentration", "startTime", "interval"].forEach((key) => {
+                        if (!(isNumber(dose[key]) && dose[key] >= 0)) {
+                            errors.push(`${where}: ${key} must be a number that is not negative`);
+                        }
+                    });
+                    if (!(Number.isInteger(dose.count) && dose.count >= 1)) {
+                        errors.push(`${where}: count must be a whole number of at least 1`);
+                    } else if (dose.count > 1 && !(dose.interval > 0)) {
+                        errors.push(`${where}: interval must be above 0 when there is more than one dose`);
+                    }
+                    checkSubstance(where, dose.substance);
+                });
+            }
+        }
+
+        if (doc.infusions !== undefined) {
+            if (!Array.isArray(doc.infusions)) {
+                errors.push("infusions must be an array");
+            } else {
+                doc.infusions.forEach((infusion, index) => {
+                    let where = `infusions[${index}]`;
+                    if (infusion === null || typeof infusion !== "object") {
+                        errors.push(`${where} must be an object`);
+                        return;
+                    }
+                    if (typeof infusion.name !== "string" || infusion.name === "") {
+                        errors.push(`${where}.name must be a non-empty string`);
+                    } else if (names.indexOf(infusion.name) != -1) {
+                        errors.push(`${where}.name "${infusion.name}" is already used by a container or infusion`);
+                    } else {
+                        names.push(infusion.name);
+                        where = `infusion "${infusion.name}"`;
+                    }
+                    if (typeof infusion.target !== "string") {
+                        errors.push(`${where}: target must be a container name`);
+                    }
+                    ["rate", "concentration", "startTime", "stopTime"].forEach((key) => {
+                        if (!(isNumber(infusion[key]) && infusion[key] >= 0)) {
+                            errors.push(`${where}: ${key} must be a number that is not negative`);
+                        }
+                    });
+                    if (isNumber(infusion.startTime) && isNumber(infusion.stopTime) && infusion.stopTime < infusion.startTime) {
+                        errors.push(`${where}: stopTime cannot be before startTime`);
+                    }
+                    checkSubstance(where, infusion.substance);
+                    ["x", "y"].forEach((key) => {
+                        if (infusion[key] !== undefined && !isNumber(infusion[key])) {
+                            errors.push(`${where}: ${key} must be a number`);
+                        }
+                    });
+                });
+            }
+        }
+
+        if (doc.reactions !== undefined) {
+            if (!Array.isArray(doc.reactions)) {
+                errors.push("reactions must be an array");
+            } else {
+                doc.reactions.forEach((reaction, index) => {
+                    let where = `reactions[${index}]`;
+                    if (reaction === null || typeof reaction !== "object") {
+                        errors.push(`${where} must be an object`);
+                        return;
+                    }
+                    if (typeof reaction.container !== "string") {
+                        errors.push(`${where}: container must be a container name`);
+                    }
+                    ["from", "to"].forEach((key) => {
+                        if (typeof reaction[key] !== "string") {
+                            errors.push(`${where}: ${key} must be a substance name`);
+                        } else {
+                            checkSubstance(where, reaction[key]);
+                        }
+                    });
+                    if (reaction.from === reaction.to) {
+                        errors.push(`${where}: from and to must be different substances`);
+                    }
+                    if (!(isNumber(reaction.rate) && reaction.rate >= 0)) {
+                        errors.push(`${where}: rate must be a number that is not negative`);
+                    }
+                });
+            }
+        }
+
+        if (doc.eventRules !== undefined) {
+            if (!Array.isArray(doc.eventRules)) {
+                errors.push("eventRules must be an array");
+            } else {
+                doc.eventRules.forEach((rule, index) => {
+                    let check = events.validateEventRule(rule);
+                    if (!check.bool) {
+                        errors.push(`eventRules[${index}]: ${check.errorMsg}`);
+                    } else if (rule.quantity == "concentration" && rule.substance !== null) {
+                        checkSubstance(`eventRules[${index}]`, rule.substance);
+                    }
+                });
+            }
+        }
+
+        if (errors.length > 0) {
+            return { bool: false, errorMsg: errors.join("\n") };
+        }
+        return { bool: true, errorMsg: "" };
+    }
+
+    // upgradeModelDocument brings a document saved before version 5 up to date. Its units were
+    // only labels, so its values are taken to be in the units its labels name and converted
+    // into base units. Labels that are not units this simulator knows are taken as base units.
+    // @param doc: document that passed validateModelDocument, left as it is
+    // @return: document of the current version
+    function upgradeModelDocument(doc) {
+        if (doc.version >= 5) return doc;
+        let labels = doc.units || {};
+        let from = Object.assign({}, units.DEFAULT_UNITS);
+        ["fluid", "time"].forEach((key) => {
+            if (Object.prototype.hasOwnProperty.call(units.UNITS[key], labels[key])) from[key] = labels[key];
+        });
+        let upgraded = units.convertDocument(doc, from, units.DEFAULT_UNITS);
+        upgraded.version = FORMAT_VERSION;
+        upgraded.units = from;
+        return upgraded;
+    }
+
+    // parseModelDocument parses and validates the text of a model file
+    // @param text: JSON string
+    // @return: { bool, errorMsg, doc } where doc is the parsed document, brought up to the
+    //          current version, when bool is true
+    function parseModelDocument(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (e) {
+            return { bool: false, errorMsg: `file is not valid JSON (${e.message})`, doc: null };
+        }
+        let result = validateModelDocument(doc);
+        result.doc = result.bool ? upgradeModelDocument(doc) : null;
+        return result;
+    }
+
+    // buildModel creates a new model from a validated document, with every container
+    // at its starting state
+    // @param doc: document that passed validateModelDocument
+    // @return: new FlowSim.Model
+    function buildModel(doc) {
+        let model = new engine.Model();
+        let settings = doc.settings || {};
+        if (settings.stepSize !== undefined) model.setStepSize(settings.stepSize);
+        if (settings.method !== undefined) model.setMethod(settings.method);
+        if (settings.tolerance !== undefined) model.settings.tolerance = settings.tolerance;
+
+        let substances = doc.substances || [engine.DEFAULT_SUBSTANCE];
+        model.renameSubstance(engine.DEFAULT_SUBSTANCE, substances[0]);
+        substances.slice(1).forEach((substance) => model.addSubstance(substance));
+
+        doc.flowNodes.forEach((node) => {
+            model.addFlowNode(node.percentOutRate, node.from, node.to, node.kinetics);
+        });
+        doc.containers.forEach((container) => {
+            let held = {};
+            Object.keys(container.substances || {}).forEach((substance) => {
+                held[substance] = {
+                    concentration: container.substances[substance].startConcentration,
+                    lethalConcentration: container.substances[substance].lethalConcentration
+                };
+            });
+            let added = model.addContainer(container.maxOutRate, container.startLevel, container.maxCapacity,
+                container.name, container.startConcentration, container.lethalConcentration, held);
+            if (container.overflow !== undefined) added.setOverflow(container.overflow.mode, container.overflow.target);
+        });
+        (doc.doses || []).forEach((dose) => {
+            model.addDose(dose.target, dose.amount, dose.concentration, dose.startTime, dose.interval, dose.count,
+                dose.substance);
+        });
+        (doc.infusions || []).forEach((infusion) => {
+            model.addInfusion(infusion.name, infusion.target, infusion.rate, infusion.concentration,
+                infusion.startTime, infusion.stopTime, infusion.substance);
+        });
+        (doc.reactions || []).forEach((reaction) => {
+            model.addReaction(reaction.container, reaction.from, reaction.to, reaction.rate);
+        });
+        model.restart([]);
+        return model;
+    }
+
+    FlowSim.FORMAT_VERSION = FORMAT_VERSION;
+    FlowSim.serializeModel = serializeModel;
+    FlowSim.validateModelDocument = validateModelDocument;
+    FlowSim.upgradeModelDocument = upgradeModelDocument;
+    FlowSim.parseModelDocument = parseModelDocument;
+    FlowSim.buildModel = buildModel;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
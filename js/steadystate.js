@@ -0,0 +1,315 @@
+// Steady state solver for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Works out where a network of linear flow nodes settles without stepping it
+// through time. Liquid flows are solved first, then the concentration of each
+// substance they carry.
+// Infusions are treated as running forever and scheduled doses are left out, since
+// neither can be part of a state that never changes.
+'use strict';
+
+(function (FlowSim) {
+    // Relative tolerance used when comparing rates against a container's maximum output rate
+    const TOLERANCE = 1e-9;
+
+    // solveLinearSystem solves A x = b by Gaussian elimination with partial pivoting
+    // @param A: square matrix as an array of rows, not changed
+    // @param b: right hand side, not changed
+    // @return: solution array, or null if the matrix is singular
+    function solveLinearSystem(A, b) {
+        let n = b.length;
+        let m = A.map((row, i) => row.slice().concat([b[i]]));
+        let scale = A.reduce((acc, row) => row.reduce((max, value) => Math.max(max, Math.abs(value)), acc), 0);
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+            }
+            if (!(Math.abs(m[pivot][col]) > scale * 1e-12)) return null;
+            let swap = m[col];
+            m[col] = m[pivot];
+            m[pivot] = swap;
+            for (let row = col + 1; row < n; row++) {
+                let factor = m[row][col] / m[col][col];
+                for (let k = col; k <= n; k++) {
+                    m[row][k] -= factor * m[col][k];
+                }
+            }
+        }
+        let x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = m[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= m[row][k] * x[k];
+            }
+            x[row] = sum / m[row][row];
+        }
+        return x;
+    }
+
+    // solveSteadyState finds the levels and concentrations a model settles at, starting
+    // from the current state of its containers.
+    //
+    // Containers that liquid keeps circulating between with no way out form a closed loop.
+    // A loop keeps the liquid it starts with plus whatever drains into it, so its levels
+    // are fixed by that total. Every other container settles where what flows in equals
+    // what flows out. A network has no steady state when a container with no way out keeps
+    // filling up, or when a container would need to let out more than its maximum output rate.
+    // Reactions and containers that would go over their maximum liquid level are not solved
+    // for, models with them have to be run instead.
+    // @param model: FlowSim.Model to solve, not changed
+    // @return: an object with
+    //      bool, errorMsg: whether a steady state was found, and why not if it was not
+    //      containers: array of { nameIdentifier, level, concentration, concentrations } in
+    //                  containerList order, where concentration is the first substance's and
+    //                  concentrations maps every substance to its concentration
+    //      nodes: array of { inputFromContainer, outputToContainer, rate } in nodeList order
+    function solveSteadyState(model) {
+        let failed = (errorMsg) => ({ bool: false, errorMsg: errorMsg, containers: [], nodes: [] });
+        let containers = model.containerList;
+        let n = containers.length;
+        let indexOf = {};
+        containers.forEach((container, index) => {
+            indexOf[container.nameIdentifier] = index;
+        });
+
+        let nonLinear = model.nodeList.find((node) => node.kinetics.law != "linear");
+        if (nonLinear !== undefined) {
+            return failed(`the flow from ${nonLinear.inputFromContainer} to ${nonLinear.outputToContainer} is not linear, ` +
+                "so the steady state can only be found by running the simulation");
+        }
+        if (model.reactionList.length > 0) {
+            let reaction = model.reactionList[0];
+            return failed(`${reaction.container} turns ${reaction.from} into ${reaction.to}, ` +
+                "so the steady state can only be found by running the simulation");
+        }
+        let substances = model.substanceList;
+
+        // fraction[i][j] is the share of container i's output rate sent to container j,
+        // leaving[i] the share sent somewhere outside the model and outShare[i] their total
+        let fraction = containers.map(() => new Array(n).fill(0));
+        let leaving = new Array(n).fill(0);
+        let outShare = new Array(n).fill(0);
+        model.nodeList.forEach((node) => {
+            let from = indexOf[node.inputFromContainer];
+            if (from === undefined || !(node.percentOutRate > 0)) return;
+            let to = indexOf[node.outputToContainer];
+            if (to === undefined) {
+                leaving[from] += node.percentOutRate;
+            } else {
+                fraction[from][to] += node.percentOutRate;
+            }
+            outShare[from] += node.percentOutRate;
+        });
+
+        // Liquid and each substance fed in by infusions
+        let sourceRate = new Array(n).fill(0);
+        let sourceSubstance = substances.map(() => new Array(n).fill(0));
+        let sourceName = new Array(n).fill(null);
+        model.infusionList.forEach((infusion) => {
+            let to = indexOf[infusion.target];
+            if (to === undefined) return;
+            let s = model.getSubstanceIndex(infusion.substance);
+            sourceRate[to] += infusion.rate;
+            if (s != -1) sourceSubstance[s][to] += infusion.rate * infusion.concentration;
+            sourceName[to] = sourceName[to] || infusion.name;
+        });
+
+        // Containers each container can send liquid to, itself included
+        let reach = containers.map((container, start) => {
+            let seen = new Array(n).fill(false);
+            let stack = [start];
+            seen[start] = true;
+            while (stack.length > 0) {
+                let i = stack.pop();
+                fraction[i].forEach((share, j) => {
+                    if (share > 0 && !seen[j]) {
+                        seen[j] = true;
+                        stack.push(j);
+                    }
+                });
+            }
+            return seen;
+        });
+
+        // A container is in a closed group when nothing it sends liquid to can get rid of it,
+        // either out of the model or anywhere it cannot come back from
+        let closed = containers.map((container, i) => {
+            return reach[i].every((reachable, j) => !reachable || (leaving[j] == 0 && reach[j][i]));
+        });
+        let groups = [];
+        let groupOf = new Array(n).fill(-1);
+        containers.forEach((container, i) => {
+            if (!closed[i] || groupOf[i] != -1) return;
+            let members = [];
+            reach[i].forEach((reachable, j) => {
+                if (reachable) {
+                    members.push(j);
+                    groupOf[j] = groups.length;
+                }
+            });
+            groups.push(members);
+        });
+        let open = [];
+        containers.forEach((container, i) => {
+            if (!closed[i]) open.push(i);
+        });
+        let names = (members) => members.map((i) => containers[i].nameIdentifier).join(", ");
+
+        // A closed group keeps filling up if an infusion feeds anything upstream of it.
+        // A single container that never lets anything out does too if any liquid is still
+        // on its way there.
+        for (let g = 0; g < groups.length; g++) {
+            let members = groups[g];
+            let fedBy = sourceRate.findIndex((rate, i) => rate > 0 && members.some((j) => reach[i][j]));
+            if (fedBy != -1) {
+                return failed(`no steady state: infusion ${sourceName[fedBy]} keeps filling ${names(members)}`);
+            }
+            let isSink = members.length == 1 && outShare[members[0]] == 0;
+            let drained = open.some((i) => containers[i].currLiquidLevel > 0 && reach[i][members[0]]);
+            if (isSink && drained) {
+                return failed(`no steady state: liquid only collects in ${names(members)} until everything else is empty`);
+            }
+        }
+
+        let levels = new Array(n).fill(0);
+        let concentrations = substances.map(() => new Array(n).fill(0));
+        let outRates = new Array(n).fill(0);
+
+        // Open containers let out what they take in, so their output rates r solve
+        //      outShare[i] r[i] - sum over j of fraction[j][i] r[j] = sourceRate[i]
+        if (open.length > 0) {
+            let matrix = open.map((i) => open.map((j) => (i == j ? outShare[i] : 0) - fraction[j][i]));
+            let rates = solveLinearSystem(matrix, open.map((i) => sourceRate[i]));
+            if (rates === null) return failed("the steady state could not be solved");
+            for (let k = 0; k < open.length; k++) {
+                let i = open[k];
+                let rate = Math.max(0, rates[k]);
+                if (rate > containers[i].maxOutRate * (1 + TOLERANCE) + TOLERANCE) {
+                    return failed(`no steady state: ${containers[i].nameIdentifier} cannot let liquid out as fast as it comes in`);
+                }
+                outRates[i] = rate;
+                levels[i] = rate;
+            }
+
+            // Balance of each substance for the open containers liquid flows through
+            let flowing = open.filter((i) => outRates[i] > 0);
+            if (flowing.length > 0) {
+                let substanceMatrix = flowing.map((i) => flowing.map((j) => {
+                    return ((i == j ? outShare[i] : 0) - fraction[j][i]) * outRates[j];
+                }));
+                for (let s = 0; s < substances.length; s++) {
+                    let solved = solveLinearSystem(substanceMatrix, flowing.map((i) => sourceSubstance[s][i]));
+                    if (solved === null) return failed("the steady state could not be solved");
+                    flowing.forEach((i, k) => {
+                        concentrations[s][i] = solved[k];
+                    });
+                }
+            }
+        }
+
+        // Closed groups share out the liquid and substances they start with plus whatever the
+        // open containers drain into them
+        let amountOf = (i) => substances.map((name) => containers[i].currLiquidLevel * containers[i].getConcentration(name));
+        for (let g = 0; g < groups.length; g++) {
+            let members = groups[g];
+            let volume = 0;
+            let amounts = substances.map(() => 0);
+            members.forEach((i) => {
+                volume += containers[i].currLiquidLevel;
+                amountOf(i).forEach((amount, s) => {
+                    amounts[s] += amount;
+                });
+            });
+            if (open.length > 0) {
+                // Share of each open container's liquid that ends up in this group
+                let matrix = open.map((i) => open.map((j) => (i == j ? outShare[i] : 0) - fraction[i][j]));
+                let share = solveLinearSystem(matrix, open.map((i) => {
+                    return members.reduce((acc, j) => acc + fraction[i][j], 0);
+                }));
+                if (share === null) return failed("the steady state could not be solved");
+                open.forEach((i, k) => {
+                    volume += containers[i].currLiquidLevel * share[k];
+                    amountOf(i).forEach((amount, s) => {
+                        amounts[s] += amount * share[k];
+                    });
+                });
+            }
+            let groupConcentrations = amounts.map((amount) => volume > 0 ? amount / volume : 0);
+
+            if (members.length == 1 && outShare[members[0]] == 0) {
+                levels[members[0]] = volume;
+                groupConcentrations.forEach((concentration, s) => {
+                    concentrations[s][members[0]] = concentration;
+                });
+                continue;
+            }
+
+            // Output rates around a loop are proportional to its circulation pattern, which
+            // solves the balance equations with one of them swapped for "the shares add up to 1"
+            let matrix = members.map((i) => members.map((j) => (i == j ? outShare[i] : 0) - fraction[j][i]));
+            matrix[matrix.length - 1] = members.map(() => 1);
+            let right = members.map(() => 0);
+            right[right.length - 1] = 1;
+            let pattern = solveLinearSystem(matrix, right);
+            if (pattern === null) return failed("the steady state could not be solved");
+
+            // Every level matches its output rate, unless that would push a container past its
+            // maximum output rate. Then the tightest container holds back whatever is left over.
+            let scale = volume;
+            let bottleneck = -1;
+            members.forEach((i, k) => {
+                if (pattern[k] > 0 && containers[i].maxOutRate / pattern[k] < scale) {
+                    scale = containers[i].maxOutRate / pattern[k];
+                    bottleneck = i;
+                }
+            });
+            let held = 0;
+            members.forEach((i, k) => {
+                outRates[i] = Math.max(0, scale * pattern[k]);
+                levels[i] = outRates[i];
+                if (i != bottleneck) held += levels[i];
+                groupConcentrations.forEach((concentration, s) => {
+                    concentrations[s][i] = concentration;
+                });
+            });
+            if (bottleneck != -1) levels[bottleneck] = volume - held;
+        }
+
+        // A container that would have to hold more than it can spills or holds liquid back,
+        // which the solution above knows nothing about
+        let overfull = containers.findIndex((container, i) => levels[i] > container.maxLiquidLevel * (1 + 1e-9));
+        if (overfull != -1) {
+            return failed(`${containers[overfull].nameIdentifier} would have to hold ${parseFloat(levels[overfull].toPrecision(4))}, ` +
+                "more than its maximum liquid level, so the steady state can only be found by running the simulation");
+        }
+
+        return {
+            bool: true,
+            errorMsg: "",
+            containers: containers.map((container, i) => {
+                let held = {};
+                substances.forEach((name, s) => {
+                    held[name] = levels[i] > 0 ? concentrations[s][i] : 0;
+                });
+                return {
+                    nameIdentifier: container.nameIdentifier,
+                    level: levels[i],
+                    concentration: held[substances[0]],
+                    concentrations: held
+                };
+            }),
+            nodes: model.nodeList.map((node) => {
+                let from = indexOf[node.inputFromContainer];
+                return {
+                    inputFromContainer: node.inputFromContainer,
+                    outputToContainer: node.outputToContainer,
+                    rate: from === undefined ? 0 : node.percentOutRate * outRates[from]
+                };
+            })
+        };
+    }
+
+    FlowSim.solveLinearSystem = solveLinearSystem;
+    FlowSim.solveSteadyState = solveSteadyState;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
@@ -0,0 +1,271 @@
+// Parameter sweeps for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Reruns a model document again and again without drawing anything, each time with
+// different values for one or two of its parameters, and measures one output of every
+// run, like the peak concentration in the bloodstream. Also works out how much the
+// output changes when each parameter is nudged a little, for a tornado chart.
+'use strict';
+
+(function (FlowSim) {
+    // In Node the other modules are their own files, in the browser they have already
+    // been put on FlowSim
+    const serialization = typeof require === "function" ? require("./serialization.js") : FlowSim;
+    const events = typeof require === "function" ? require("./events.js") : FlowSim;
+    const units = typeof require === "function" ? require("./units.js") : FlowSim;
+
+    // Outputs a sweep can measure in a container
+    //      peakConcentration: highest concentration of the substance during the run
+    //      timeToLethal: first time the concentration goes above its lethal concentration,
+    //                    NaN if it never does
+    //      finalAmount: amount of the substance in the container at the end of the run
+    const SWEEP_OUTPUTS = ["peakConcentration", "timeToLethal", "finalAmount"];
+
+    // Number of times each run is sampled for its output
+    const DEFAULT_SAMPLES = 200;
+
+    // Most runs one sweep can make
+    const MAX_SWEEP_RUNS = 2500;
+
+    // Fraction each parameter is nudged up and down by for its sensitivity
+    const DEFAULT_CHANGE = 0.1;
+
+    // listSweepParameters lists every number in a model document a sweep can change: the
+    // output rate and starting state of each container, the rate or kinetic parameters of
+    // each flow node, dose amounts, infusion rates and reaction rates
+    // @param doc: model document from FlowSim.serializeModel
+    // @return: array of { id, label, value, quantity, max, positive } where id names the
+    //          parameter for the other functions, value is what the document has, quantity is
+    //          its kind of value from FlowSim.QUANTITIES, max is the largest value it can take
+    //          (Infinity if there is no limit) and positive is true if it has to stay above 0.
+    //          None can go below 0.
+    function listSweepParameters(doc) {
+        let parameters = [];
+        let add = (path, label, quantity, max, positive) => {
+            let value = path.reduce((acc, key) => acc[key], doc);
+            parameters.push({ id: path.join("/"), label: label, value: value, quantity: quantity, max: max, positive: positive });
+        };
+        doc.containers.forEach((container, i) => {
+            add(["containers", i, "maxOutRate"], `${container.name} max output rate`, "flow", Infinity, false);
+            add(["containers", i, "startLevel"], `${container.name} starting liquid level`, "fluid", Infinity, false);
+            add(["containers", i, "startConcentration"], `${container.name} starting concentration`, "concentration", Infinity, false);
+        });
+        doc.flowNodes.forEach((node, i) => {
+            let law = node.kinetics ? node.kinetics.law : "linear";
+            if (law == "linear") {
+                add(["flowNodes", i, "percentOutRate"], `${node.from} to ${node.to} share of output rate`, "none", 1, false);
+            } else {
+                Object.keys(node.kinetics).filter((key) => key != "law").forEach((key) => {
+                    add(["flowNodes", i, "kinetics", key], `${node.from} to ${node.to} ${key}`, units.KINETIC_QUANTITIES[key], Infinity, key != "rate");
+                });
+            }
+        });
+        (doc.doses || []).forEach((dose, i) => {
+            add(["doses", i, "amount"], `dose ${i + 1} into ${dose.target} amount`, "fluid", Infinity, false);
+        });
+        (doc.infusions || []).forEach((infusion, i) => {
+            add(["infusions", i, "rate"], `${infusion.name} rate`, "flow", Infinity, false);
+        });
+        (doc.reactions || []).forEach((reaction, i) => {
+            add(["reactions", i, "rate"], `${reaction.from} to ${reaction.to} in ${reaction.container} rate`, "rate", Infinity, false);
+        });
+        return parameters;
+    }
+
+    // withParameters copies a document with some of its parameters changed
+    // @param doc: model document
+    // @param values: object from parameter id to its new value
+    // @return: new document
+    function withParameters(doc, values) {
+        let copy = JSON.parse(JSON.stringify(doc));
+        Object.keys(values).forEach((id) => {
+            let path = id.split("/");
+            let last = path.pop();
+            path.reduce((acc, key) => acc[key], copy)[last] = values[id];
+        });
+        return copy;
+    }
+
+    // runOutput runs a document from its starting state and measures one output
+    // @param doc: model document
+    // @param options: object with
+    //      output: one of SWEEP_OUTPUTS
+    //      container: name of the container measured
+    //      substance: substance measured, the first substance if left out
+    //      duration: simulation time each run lasts
+    //      samples: optional number of times the run is sampled, DEFAULT_SAMPLES if left out
+    // @return: the output, NaN if it could not be measured
+    function runOutput(doc, options) {
+        let model = serialization.buildModel(doc);
+        let container = model.findContainer(options.container);
+        if (container === null) return NaN;
+        let substance = options.substance || model.substanceList[0];
+        let samples = options.samples || DEFAULT_SAMPLES;
+        let lethal = new events.EventMonitor([{ container: options.container, quantity: "concentration", substance: substance,
+            direction: "above", threshold: "lethal", action: "log" }]);
+        let peak = NaN;
+
+        // Only the measured container is looked at, so the snapshot checked for the lethal
+        // concentration holds just that container
+        let measure = () => {
+            let concentration = container.getConcentration(substance);
+            if (!(concentration <= peak)) peak = concentration;
+            lethal.check({
+                time: model.time,
+                containers: [{
+                    nameIdentifier: options.container,
+                    currLiquidLevel: container.currLiquidLevel,
+                    concentrations: { [substance]: concentration },
+                    lethalConcentrations: { [substance]: container.getLethalConcentration(substance) }
+                }]
+            });
+        };
+        measure();
+        for (let i = 1; i <= samples && model.halted === null; i++) {
+            if (options.output == "timeToLethal" && lethal.log.length > 0) break;
+            model.runUntil(options.duration * i / samples);
+            measure();
+        }
+
+        if (options.output == "peakConcentration") return peak;
+        if (options.output == "timeToLethal") return lethal.log.length > 0 ? lethal.log[0].time : NaN;
+        return container.currLiquidLevel * container.getConcentration(substance);
+    }
+
+    // checkOptions checks the output options shared by sweeps and sensitivities
+    // @param doc: model document
+    // @param options: same as in runOutput
+    // @return: error message, or "" if there is none
+    function checkOptions(doc, options) {
+        if (SWEEP_OUTPUTS.indexOf(options.output) == -1) return `output must be one of ${SWEEP_OUTPUTS.join(", ")}`;
+        if (!doc.containers.some((container) => container.name == options.container)) {
+            return `there is no container called ${options.container} to measure`;
+        }
+        if (!(options.duration > 0)) return "runs must last longer than 0";
+        return "";
+    }
+
+    // runSteps runs a job split into steps, like sweepSteps, from start to end without stopping
+    // @param steps: generator that yields the fraction of the job done after each step and
+    //               returns the result
+    // @return: the result of the job
+    function runSteps(steps) {
+        let next = steps.next();
+        while (!next.done) next = steps.next();
+        return next.value;
+    }
+
+    // sweepParameters runs a document for every combination of values of one or two parameters
+    // @param doc: model document, usually saved with the starting states of the containers
+    // @param axes: array of one or two { id, min, max, steps }, each swept from min to max in
+    //              steps evenly spaced values
+    // @param options: same as in runOutput
+    // @return: { bool, errorMsg, axes, results } where axes is an array of { id, label, quantity, values }
+    //          and results is an array of outputs for one parameter, or an array of rows, one for
+    //          each value of the second parameter, for two
+    function sweepParameters(doc, axes, options) {
+        return runSteps(sweepSteps(doc, axes, options));
+    }
+
+    // sweepSteps is sweepParameters one run at a time, so the page can keep drawing between runs
+    // @param doc, axes, options: same as in sweepParameters
+    // @return: generator that yields the fraction of the runs done after each run and returns
+    //          the same result as sweepParameters
+    function* sweepSteps(doc, axes, options) {
+        let fail = (errorMsg) => ({ bool: false, errorMsg: errorMsg, axes: [], results: [] });
+        let problem = checkOptions(doc, options);
+        if (problem !== "") return fail(problem);
+        if (axes.length < 1 || axes.length > 2) return fail("a sweep changes one or two parameters");
+        if (axes.length == 2 && axes[0].id == axes[1].id) return fail("a sweep cannot change the same parameter twice");
+
+        let parameters = listSweepParameters(doc);
+        let swept = [];
+        for (let i = 0; i < axes.length; i++) {
+            let axis = axes[i];
+            let parameter = parameters.find((entry) => entry.id == axis.id);
+            if (parameter === undefined) return fail(`there is no parameter ${axis.id} to sweep`);
+            if (!(Number.isInteger(axis.steps) && axis.steps >= 2)) return fail("a sweep needs at least 2 steps");
+            if (!(axis.min >= 0 && axis.max > axis.min)) return fail(`${parameter.label} must go from 0 or more up to a larger value`);
+            if (parameter.positive && axis.min == 0) return fail(`${parameter.label} has to stay above 0`);
+            if (axis.max > parameter.max) return fail(`${parameter.label} cannot go above ${parameter.max}`);
+            let values = [];
+            for (let step = 0; step < axis.steps; step++) {
+                values.push(axis.min + (axis.max - axis.min) * step / (axis.steps - 1));
+            }
+            swept.push({ id: axis.id, label: parameter.label, quantity: parameter.quantity, values: values });
+        }
+        let runs = swept.reduce((acc, axis) => acc * axis.values.length, 1);
+        if (runs > MAX_SWEEP_RUNS) return fail(`a sweep can make at most ${MAX_SWEEP_RUNS} runs, this one needs ${runs}`);
+
+        // With one parameter the second axis is a single row that changes nothing
+        let rows = swept.length == 1 ? [null] : swept[1].values;
+        let results = [];
+        let done = 0;
+        for (let row = 0; row < rows.length; row++) {
+            let outputs = [];
+            for (let column = 0; column < swept[0].values.length; column++) {
+                let values = { [swept[0].id]: swept[0].values[column] };
+                if (rows[row] !== null) values[swept[1].id] = rows[row];
+                outputs.push(runOutput(withParameters(doc, values), options));
+                done++;
+                yield done / runs;
+            }
+            results.push(outputs);
+        }
+        return { bool: true, errorMsg: "", axes: swept, results: swept.length == 1 ? results[0] : results };
+    }
+
+    // computeSensitivities nudges every parameter above 0 up and down in turn and measures how
+    // the output changes, for a tornado chart
+    // @param doc: model document
+    // @param options: same as in runOutput, along with
+    //      change: optional fraction each parameter is nudged by, DEFAULT_CHANGE if left out
+    // @return: { bool, errorMsg, base, parameters } where base is the output with nothing
+    //          changed and parameters is an array of { id, label, value, low, high, sensitivity },
+    //          low and high being the output with the parameter nudged down and up and sensitivity
+    //          the relative change in output over the relative change in the parameter. The
+    //          parameters that change the output the most come first.
+    function computeSensitivities(doc, options) {
+        return runSteps(sensitivitySteps(doc, options));
+    }
+
+    // sensitivitySteps is computeSensitivities one parameter at a time
+    // @param doc, options: same as in computeSensitivities
+    // @return: generator that yields the fraction of the parameters done after each one and
+    //          returns the same result as computeSensitivities
+    function* sensitivitySteps(doc, options) {
+        let problem = checkOptions(doc, options);
+        if (problem !== "") return { bool: false, errorMsg: problem, base: NaN, parameters: [] };
+        let change = options.change || DEFAULT_CHANGE;
+        let base = runOutput(doc, options);
+
+        let nudged = listSweepParameters(doc).filter((parameter) => parameter.value > 0);
+        let parameters = [];
+        for (let i = 0; i < nudged.length; i++) {
+            let parameter = nudged[i];
+            let down = parameter.value * (1 - change);
+            let up = Math.min(parameter.max, parameter.value * (1 + change));
+            let low = runOutput(withParameters(doc, { [parameter.id]: down }), options);
+            let high = runOutput(withParameters(doc, { [parameter.id]: up }), options);
+            let sensitivity = (high - low) / base / ((up - down) / parameter.value);
+            parameters.push({ id: parameter.id, label: parameter.label, value: parameter.value, low: low, high: high, sensitivity: sensitivity });
+            yield (i + 1) / nudged.length;
+        }
+        let spread = (parameter) => {
+            let size = Math.abs(parameter.high - parameter.low);
+            return isFinite(size) ? size : -1;
+        };
+        parameters.sort((a, b) => spread(b) - spread(a));
+        return { bool: true, errorMsg: "", base: base, parameters: parameters };
+    }
+
+    FlowSim.SWEEP_OUTPUTS = SWEEP_OUTPUTS;
+    FlowSim.listSweepParameters = listSweepParameters;
+    FlowSim.withParameters = withParameters;
+    FlowSim.runOutput = runOutput;
+    FlowSim.runSteps = runSteps;
+    FlowSim.sweepParameters = sweepParameters;
+    FlowSim.sweepSteps = sweepSteps;
+    FlowSim.computeSensitivities = computeSensitivities;
+    FlowSim.sensitivitySteps = sensitivitySteps;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
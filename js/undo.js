@@ -0,0 +1,81 @@
+// Undo history for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// Keeps snapshots of the model from before each edit so edits can be undone and
+// redone. A snapshot can be anything that can be compared with ===, the page uses
+// the JSON text of its model document.
+'use strict';
+
+(function (FlowSim) {
+    // Default number of edits that can be undone
+    const DEFAULT_LIMIT = 100;
+
+    // UndoHistory class constructor
+    // @param limit: most edits to remember, the oldest ones are forgotten first
+    let UndoHistory = function (limit) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = limit || DEFAULT_LIMIT;
+    }
+
+    // record remembers the state from just before an edit. Anything that could have been
+    // redone is forgotten, since it came from before this edit.
+    // @param snapshot: state before the edit
+    UndoHistory.prototype.record = function (snapshot) {
+        if (this.undoStack[this.undoStack.length - 1] !== snapshot) {
+            this.undoStack.push(snapshot);
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    // undo steps back one edit. Snapshots that match the current state, left by edits
+    // that ended up not changing anything, are skipped.
+    // @param current: snapshot of the state now, so it can be redone
+    // @return: snapshot to go back to, or null if there is nothing to undo
+    UndoHistory.prototype.undo = function (current) {
+        return move(this.undoStack, this.redoStack, current);
+    }
+
+    // redo steps forward again over an edit that was undone
+    // @param current: snapshot of the state now, so it can be undone again
+    // @return: snapshot to go forward to, or null if there is nothing to redo
+    UndoHistory.prototype.redo = function (current) {
+        return move(this.redoStack, this.undoStack, current);
+    }
+
+    // canUndo returns whether there is an edit to undo
+    // @return: boolean
+    UndoHistory.prototype.canUndo = function () {
+        return this.undoStack.length > 0;
+    }
+
+    // canRedo returns whether there is an edit to redo
+    // @return: boolean
+    UndoHistory.prototype.canRedo = function () {
+        return this.redoStack.length > 0;
+    }
+
+    // clear forgets every edit
+    UndoHistory.prototype.clear = function () {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // move takes the newest snapshot that differs from the current state off one stack and
+    // puts the current state on the other
+    // @param from: stack to take from
+    // @param to: stack to put the current state on
+    // @param current: snapshot of the state now
+    // @return: snapshot taken, or null if there was none
+    function move(from, to, current) {
+        while (from.length > 0 && from[from.length - 1] === current) {
+            from.pop();
+        }
+        if (from.length == 0) return null;
+        to.push(current);
+        return from.pop();
+    }
+
+    FlowSim.UndoHistory = UndoHistory;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
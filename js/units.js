@@ -0,0 +1,234 @@
+// Units for the Pharmacokinetics/Flow Rate simulator
+// Created by William Kwok
+//
+// The model always runs in the base units L, s and mg, and every value in a model
+// document is in them. Values are only converted on their way to and from the page,
+// to the fluid, time and substance amount units picked there. Each parameter has a
+// quantity, like a flow rate being fluid over time, that says how it converts. Typed
+// values can carry their own units, like "30 mL/min", instead of the ones picked.
+//
+// Parameters do not keep the unit they were typed in. A half-life typed in hours is
+// stored as a rate in base units and shown again in whatever time unit is picked, so
+// the units picked for the page are the only units anything is shown in.
+'use strict';
+
+(function (FlowSim) {
+    // Units that can be picked for each dimension, with how many base units each one is.
+    // A mmol of substance is as many mg as the molar mass in g/mol, so it has no fixed size.
+    const UNITS = {
+        fluid: { mL: 0.001, dL: 0.1, L: 1 },
+        time: { s: 1, min: 60, h: 3600, day: 86400 },
+        amount: { mg: 1, "µg": 0.001, mmol: null }
+    };
+
+    // Units the model runs in, and the units a page starts with
+    const BASE_UNITS = { fluid: "L", time: "s", amount: "mg" };
+    const DEFAULT_UNITS = { fluid: "L", time: "s", amount: "mg", molarMass: null };
+
+    // Powers of each dimension that make up every kind of value
+    //      fluid: liquid level, capacity or dose volume
+    //      time: times, intervals and step sizes
+    //      flow: fluid over time, like output rates and infusion rates
+    //      concentration: substance amount over fluid
+    //      amount: substance amount
+    //      rate: how often per time, like reaction rates
+    //      exposure: concentration times time, like the area under a curve
+    //      none: fractions and other numbers without units
+    const QUANTITIES = {
+        fluid: { fluid: 1 },
+        time: { time: 1 },
+        flow: { fluid: 1, time: -1 },
+        concentration: { amount: 1, fluid: -1 },
+        amount: { amount: 1 },
+        rate: { time: -1 },
+        exposure: { amount: 1, fluid: -1, time: 1 },
+        none: {}
+    };
+
+    // Other ways of typing some units, units are also matched whatever their case
+    const UNIT_ALIASES = { sec: "s", hr: "h", days: "day", d: "day", ug: "µg", "μg": "µg" };
+
+    // Quantity of each kinetic law parameter of a flow node
+    const KINETIC_QUANTITIES = { vmax: "flow", km: "concentration", hillCoefficient: "none", rate: "flow" };
+
+    // Quantity of every number in a model document that has units, by where it is
+    const DOCUMENT_QUANTITIES = {
+        containers: { maxOutRate: "flow", startLevel: "fluid", maxCapacity: "fluid", startConcentration: "concentration",
+            lethalConcentration: "concentration" },
+        doses: { amount: "fluid", concentration: "concentration", startTime: "time", interval: "time" },
+        infusions: { rate: "flow", concentration: "concentration", startTime: "time", stopTime: "time" },
+        reactions: { rate: "rate" },
+        kinetics: KINETIC_QUANTITIES,
+        settings: { stepSize: "time", timePerTick: "time" }
+    };
+
+    // validateUnits checks a set of units
+    // @param units: object with
+    //      fluid, time, amount: unit picked for each dimension, from UNITS
+    //      molarMass: g/mol of the substances, needed for mmol, null if not known
+    // @return: an object that contains a boolean true or false if it passes or not as well
+    //          as an error message if it failed.
+    function validateUnits(units) {
+        let fail = (errorMsg) => ({ bool: false, errorMsg: errorMsg });
+        let dimensions = Object.keys(UNITS);
+        for (let i = 0; i < dimensions.length; i++) {
+            let known = Object.keys(UNITS[dimensions[i]]);
+            if (known.indexOf(units[dimensions[i]]) == -1) return fail(`${dimensions[i]} units must be one of ${known.join(", ")}`);
+        }
+        if (units.molarMass !== null && !(typeof units.molarMass === "number" && isFinite(units.molarMass) && units.molarMass > 0)) {
+            return fail("the molar mass must be a number above 0");
+        }
+        if (units.amount == "mmol" && units.molarMass === null) return fail("mmol needs the molar mass of the substances");
+        return { bool: true, errorMsg: "" };
+    }
+
+    // getUnitSize returns how many base units one of a unit is
+    // @param dimension: fluid, time or amount
+    // @param unit: unit from UNITS
+    // @param molarMass: g/mol of the substances, null if not known
+    // @return: number, NaN if it cannot be known
+    function getUnitSize(dimension, unit, molarMass) {
+        if (dimension == "amount" && unit == "mmol") return molarMass > 0 ? molarMass : NaN;
+        let size = UNITS[dimension][unit];
+        return size === undefined ? NaN : size;
+    }
+
+    // getQuantitySize returns how many base units one of a quantity in some units is
+    // @param quantity: kind of value, from QUANTITIES
+    // @param units: same as in validateUnits
+    // @return: number, NaN if it cannot be known
+    function getQuantitySize(quantity, units) {
+        let powers = QUANTITIES[quantity];
+        return Object.keys(powers).reduce((acc, dimension) => {
+            return acc * Math.pow(getUnitSize(dimension, units[dimension], units.molarMass), powers[dimension]);
+        }, 1);
+    }
+
+    // toBaseUnits converts a value into the base units
+    // @param value: number in units
+    // @param quantity: kind of value, from QUANTITIES
+    // @param units: same as in validateUnits
+    // @return: number in base units
+    function toBaseUnits(value, quantity, units) {
+        return value * getQuantitySize(quantity, units);
+    }
+
+    // fromBaseUnits converts a value out of the base units
+    // @param value: number in base units
+    // @param quantity: kind of value, from QUANTITIES
+    // @param units: same as in validateUnits
+    // @return: number in units
+    function fromBaseUnits(value, quantity, units) {
+        return value / getQuantitySize(quantity, units);
+    }
+
+    // describeUnit names the unit a quantity is shown in
+    // @param quantity: kind of value, from QUANTITIES
+    // @param units: same as in validateUnits
+    // @return: string like "mg/L", "L/s" or "1/h", "" for quantities without units
+    function describeUnit(quantity, units) {
+        let powers = QUANTITIES[quantity];
+        let above = [];
+        let below = [];
+        ["amount", "fluid", "time"].forEach((dimension) => {
+            if (powers[dimension] > 0) above.push(units[dimension]);
+            if (powers[dimension] < 0) below.push(units[dimension]);
+        });
+        if (above.length == 0 && below.length == 0) return "";
+        let top = above.length == 0 ? "1" : above.join("·");
+        return below.length == 0 ? top : `${top}/${below.join("·")}`;
+    }
+
+    // parseQuantity reads a typed value. It can be just a number, in the units given, or a
+    // number followed by its own units, like "30 mL/min". A rate can also be typed as the
+    // half-life it gives, like "half-life 2 h", which is ln 2 over the half-life.
+    // @param text: typed value
+    // @param quantity: kind of value, from QUANTITIES
+    // @param units: units a bare number is in, same as in validateUnits
+    // @return: { bool, errorMsg, value } where value is in base units
+    function parseQuantity(text, quantity, units) {
+        let fail = (errorMsg) => ({ bool: false, errorMsg: errorMsg, value: NaN });
+        let trimmed = String(text).trim();
+        let halfLife = /^(half-life|t½)\s*/i.exec(trimmed);
+        if (halfLife !== null && quantity == "rate") {
+            let time = parseQuantity(trimmed.slice(halfLife[0].length), "time", units);
+            if (!time.bool) return time;
+            if (!(time.value > 0)) return fail("a half-life must be longer than 0");
+            return { bool: true, errorMsg: "", value: Math.LN2 / time.value };
+        }
+
+        let match = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i.exec(trimmed);
+        if (match === null) return fail(`${trimmed === "" ? "nothing" : `"${trimmed}"`} is not a number`);
+        let value = Number(match[1]);
+        let typed = match[2].replace(/\s+/g, "").replace(/^per/i, "/").replace(/\*/g, "·");
+        if (typed === "") return { bool: true, errorMsg: "", value: toBaseUnits(value, quantity, units) };
+
+        // Try every combination of the units the quantity is made of until one is named the same
+        let dimensions = Object.keys(QUANTITIES[quantity]);
+        if (dimensions.length == 0) return fail(`this number has no units, so ${match[2]} cannot be used`);
+        typed = typed.split(/([/·])/).map((part) => UNIT_ALIASES[part.toLowerCase()] || part).join("").toLowerCase();
+        let combinations = dimensions.reduce((acc, dimension) => {
+            let next = [];
+            acc.forEach((combination) => {
+                Object.keys(UNITS[dimension]).forEach((unit) => {
+                    next.push(Object.assign({}, combination, { [dimension]: unit }));
+                });
+            });
+            return next;
+        }, [Object.assign({}, units)]);
+        let found = combinations.find((combination) => {
+            let name = describeUnit(quantity, combination).toLowerCase();
+            return name == typed || (name.indexOf("1/") == 0 && name.slice(1) == typed);
+        });
+        if (found === undefined) return fail(`${match[2]} is not a unit of ${quantity}, like ${describeUnit(quantity, units)}`);
+        let size = getQuantitySize(quantity, found);
+        if (isNaN(size)) return fail(`${match[2]} needs the molar mass of the substances`);
+        return { bool: true, errorMsg: "", value: value * size };
+    }
+
+    // convertDocument converts every number with units in a model document from some units
+    // into others, for documents saved before they held base units
+    // @param doc: model document, left as it is
+    // @param from: units the document's numbers are in, same as in validateUnits
+    // @param to: units to convert them into
+    // @return: new document
+    function convertDocument(doc, from, to) {
+        let copy = JSON.parse(JSON.stringify(doc));
+        let convert = (value, quantity) => {
+            if (typeof value !== "number") return value;
+            return fromBaseUnits(toBaseUnits(value, quantity, from), quantity, to);
+        };
+        let convertAll = (object, quantities) => {
+            if (object === null || typeof object !== "object") return;
+            Object.keys(quantities).forEach((key) => {
+                if (object[key] !== undefined) object[key] = convert(object[key], quantities[key]);
+            });
+        };
+        ["containers", "doses", "infusions", "reactions"].forEach((list) => {
+            (copy[list] || []).forEach((entry) => convertAll(entry, DOCUMENT_QUANTITIES[list]));
+        });
+        (copy.containers || []).forEach((container) => {
+            Object.keys(container.substances || {}).forEach((substance) => {
+                convertAll(container.substances[substance], DOCUMENT_QUANTITIES.containers);
+            });
+        });
+        (copy.flowNodes || []).forEach((node) => convertAll(node.kinetics, DOCUMENT_QUANTITIES.kinetics));
+        convertAll(copy.settings, DOCUMENT_QUANTITIES.settings);
+        (copy.eventRules || []).forEach((rule) => {
+            if (rule.threshold !== "lethal") rule.threshold = convert(rule.threshold, rule.quantity == "level" ? "fluid" : "concentration");
+        });
+        return copy;
+    }
+
+    FlowSim.UNITS = UNITS;
+    FlowSim.BASE_UNITS = BASE_UNITS;
+    FlowSim.DEFAULT_UNITS = DEFAULT_UNITS;
+    FlowSim.QUANTITIES = QUANTITIES;
+    FlowSim.KINETIC_QUANTITIES = KINETIC_QUANTITIES;
+    FlowSim.validateUnits = validateUnits;
+    FlowSim.toBaseUnits = toBaseUnits;
+    FlowSim.fromBaseUnits = fromBaseUnits;
+    FlowSim.describeUnit = describeUnit;
+    FlowSim.parseQuantity = parseQuantity;
+    FlowSim.convertDocument = convertDocument;
+})(typeof module !== "undefined" && module.exports ? module.exports : (window.FlowSim = window.FlowSim || {}));
@@ -0,0 +1,40 @@
+'use strict';
+const FlowSim = require('./js/layout.js');
+
+// edges turns [from, to] pairs into edge objects
+function edges(pairs) {
+    return pairs.map((pair) => ({ from: pair[0], to: pair[1] }));
+}
+
+describe('Graph layout', () => {
+    test('puts sources at the top, sinks at the bottom and loops going down', () => {
+        const layers = FlowSim.layerGraph(["gut", "out", "bloodstream", "liver", "brain"], edges([
+            ["gut", "bloodstream"], ["bloodstream", "liver"], ["liver", "bloodstream"],
+            ["liver", "out"], ["bloodstream", "brain"], ["brain", "bloodstream"], ["gut", "out"]
+        ]));
+        expect(layers).toEqual([["gut"], ["bloodstream"], ["liver", "brain"], ["out"]]);
+    });
+
+    test('orders each layer so flows do not cross', () => {
+        const layers = FlowSim.layerGraph(["a", "b", "c", "d"], edges([
+            ["a", "c"], ["a", "d"], ["b", "c"], ["ghost", "a"]
+        ]));
+        expect(layers).toEqual([["a", "b"], ["d", "c"]]);
+
+        const positions = FlowSim.placeLayers(layers, { nodeWidth: 100, nodeHeight: 50, gapX: 20, gapY: 30, centerX: 500, top: 10 });
+        expect(positions.a).toEqual({ x: 390, y: 10 });
+        expect(positions.c).toEqual({ x: 510, y: 90 });
+    });
+
+    test('finds the nearest free spot for a new box', () => {
+        const box = { x: 0, y: 0, w: 100, h: 50 };
+        expect(FlowSim.findFreeSpot([], box)).toEqual({ x: 0, y: 0 });
+
+        const boxes = [{ x: 0, y: 0, w: 100, h: 50 }, { x: 0, y: -75, w: 100, h: 50 }];
+        const spot = FlowSim.findFreeSpot(boxes, box, { margin: 10, bounds: { x: 0, y: 0, w: 1000, h: 1000 } });
+        expect(spot).toEqual({ x: 0, y: 75 });
+
+        const full = FlowSim.findFreeSpot(boxes, box, { bounds: { x: 0, y: 0, w: 100, h: 50 } });
+        expect(full).toEqual({ x: 0, y: 0 });
+    });
+});
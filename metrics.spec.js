@@ -0,0 +1,47 @@
+'use strict';
+const FlowSim = require('./js/metrics.js');
+
+// sampleCurve samples a function every dt from 0 to end
+function sampleCurve(f, end, dt) {
+    const points = [];
+    for (let i = 0; i * dt <= end + 1e-9; i++) {
+        points.push({ x: i * dt, y: f(i * dt) });
+    }
+    return points;
+}
+
+describe('Pharmacokinetic metrics', () => {
+    test('match the analytic values of a one compartment elimination curve', () => {
+        const k = 0.2;
+        const points = sampleCurve((t) => 2 * Math.exp(-k * t), 60, 0.01);
+        const metrics = FlowSim.computeMetrics(points, { dose: 10, lethalConcentration: 1 });
+        expect(metrics.cmax).toBe(2);
+        expect(metrics.tmax).toBe(0);
+        expect(metrics.lambdaZ).toBeCloseTo(k, 8);
+        expect(metrics.halfLife).toBeCloseTo(Math.LN2 / k, 6);
+        expect(metrics.aucLast).toBeCloseTo(2 / k * (1 - Math.exp(-k * 60)), 3);
+        expect(metrics.aucInf).toBeCloseTo(2 / k, 3);
+        expect(metrics.mrt).toBeCloseTo(1 / k, 3);
+        expect(metrics.clearance).toBeCloseTo(10 * k / 2, 3);
+        expect(metrics.timeAboveLethal).toBeCloseTo(Math.LN2 / k, 3);
+    });
+
+    test('finds a later peak and adds up every stretch above the threshold', () => {
+        const points = [{ x: 0, y: 0 }, { x: 1, y: 2 }, { x: 2, y: 0 }, { x: 3, y: 4 }, { x: 4, y: 0 }];
+        const metrics = FlowSim.computeMetrics(points, { lethalConcentration: 1 });
+        expect(metrics.cmax).toBe(4);
+        expect(metrics.tmax).toBe(3);
+        expect(metrics.aucLast).toBe(6);
+        expect(metrics.timeAboveLethal).toBeCloseTo(1 + 1.5, 12);
+    });
+
+    test('leaves extrapolated values out when the curve is not falling', () => {
+        const points = sampleCurve((t) => 1 - Math.exp(-t), 10, 0.1);
+        const metrics = FlowSim.computeMetrics(points, { dose: 1 });
+        expect(metrics.aucLast).toBeGreaterThan(0);
+        expect(metrics.halfLife).toBeNaN();
+        expect(metrics.aucInf).toBeNaN();
+        expect(metrics.clearance).toBeNaN();
+        expect(FlowSim.computeMetrics([]).cmax).toBeNaN();
+    });
+});
@@ -0,0 +1,73 @@
+'use strict';
+const FlowSim = require('./js/population.js');
+const buildDocument = require('./fixtures.js').buildDocument;
+
+const options = { subjects: 40, seed: 7, duration: 60, samples: 30 };
+
+describe('Virtual populations', () => {
+    test('the same seed gives the same random numbers', () => {
+        const first = FlowSim.createRandom(42);
+        const second = FlowSim.createRandom(42);
+        const numbers = [];
+        for (let i = 0; i < 1000; i++) {
+            const value = first();
+            expect(value).toBe(second());
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+            numbers.push(value);
+        }
+        const mean = numbers.reduce((acc, value) => acc + value, 0) / numbers.length;
+        expect(mean).toBeCloseTo(0.5, 1);
+        expect(FlowSim.createRandom(43)()).not.toBe(FlowSim.createRandom(42)());
+    });
+
+    test('summarises every container with a median, a band and the share above lethal', () => {
+        const doc = buildDocument();
+        const variabilities = [
+            { id: "containers/0/startLevel", distribution: "uniform", min: 5, max: 25 },
+            { id: "containers/1/startLevel", distribution: "log-normal", median: 100, sdLog: 0.3 },
+            { id: "flowNodes/1/percentOutRate", distribution: "normal", mean: 0.5, sd: 0.2 }
+        ];
+        const result = FlowSim.simulatePopulation(doc, variabilities, options);
+        expect(result.bool).toBe(true);
+        expect(result.times.length).toBe(31);
+        expect(result.containers.map((container) => container.name)).toEqual(["gut", "bloodstream", "out"]);
+
+        const bloodstream = result.containers[1];
+        bloodstream.median.forEach((median, i) => {
+            expect(bloodstream.low[i]).toBeLessThanOrEqual(median);
+            expect(bloodstream.high[i]).toBeGreaterThanOrEqual(median);
+        });
+        expect(bloodstream.high[30]).toBeGreaterThan(bloodstream.low[30]);
+        expect(bloodstream.aboveLethal).toBeGreaterThan(0);
+        expect(bloodstream.aboveLethal).toBeLessThan(1);
+        expect(result.containers[2].aboveLethal).toBe(0);
+
+        expect(FlowSim.simulatePopulation(doc, variabilities, options)).toEqual(result);
+        const steps = FlowSim.populationSteps(doc, variabilities, options);
+        const progress = [];
+        let next = steps.next();
+        while (!next.done) {
+            progress.push(next.value);
+            next = steps.next();
+        }
+        expect(progress.length).toBe(40);
+        expect(progress[39]).toBe(1);
+        expect(next.value).toEqual(result);
+        const reseeded = FlowSim.simulatePopulation(doc, variabilities, Object.assign({}, options, { seed: 8 }));
+        expect(reseeded.containers[1].median).not.toEqual(bloodstream.median);
+    });
+
+    test('checks distributions', () => {
+        const doc = buildDocument();
+        const run = (variability) => FlowSim.simulatePopulation(doc, [variability], options).errorMsg;
+        expect(run({ id: "containers/9/startLevel", distribution: "normal", mean: 1, sd: 1 })).toBe("there is no parameter containers/9/startLevel to vary");
+        expect(run({ id: "containers/1/startLevel", distribution: "normal", mean: 1, sd: -1 }))
+            .toBe("bloodstream starting liquid level needs a standard deviation that is not negative");
+        expect(run({ id: "flowNodes/0/percentOutRate", distribution: "uniform", min: 0.5, max: 2 }))
+            .toBe("gut to bloodstream share of output rate has to stay between 0 and 1");
+        expect(run({ id: "containers/1/startLevel", distribution: "gamma" })).toMatch(/must follow one of normal, log-normal, uniform/);
+        expect(FlowSim.simulatePopulation(doc, [], Object.assign({}, options, { seed: 1.5 })).errorMsg).toBe("the seed must be a whole number");
+        expect(FlowSim.describeVariability({ distribution: "log-normal", median: 2, sdLog: 0.1 })).toBe("log-normal, median 2, log sd 0.1");
+    });
+});
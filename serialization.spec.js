@@ -0,0 +1,175 @@
+'use strict';
+const FlowSim = require('./js/serialization.js');
+const engine = require('./js/engine.js');
+
+// buildModel creates a small gut -> bloodstream -> out network
+function buildModel() {
+    const model = new engine.Model();
+    model.addFlowNode(1, "gut", "bloodstream");
+    model.addFlowNode(0.5, "bloodstream", "out");
+    model.addContainer(0.5, 100, 100, "gut", 1, 1);
+    model.addContainer(0.2, 50, 500, "bloodstream", 0, 0.015);
+    model.addContainer(0.1, 0, 1000, "out", 0, 0.5);
+    model.setMethod("rk4");
+    model.updateRates();
+    return model;
+}
+
+describe('Model files', () => {
+    test('a saved model rebuilds with the same containers, flow nodes and settings', () => {
+        const model = buildModel();
+        const doc = FlowSim.serializeModel(model, {
+            positions: { gut: { x: 10, y: 20 } },
+            units: { fluid: "mL", time: "min" },
+            timePerTick: 2
+        });
+        const parsed = FlowSim.parseModelDocument(JSON.stringify(doc));
+        expect(parsed.bool).toBe(true);
+
+        const rebuilt = FlowSim.buildModel(parsed.doc);
+        expect(rebuilt.containerList.map((c) => c.nameIdentifier)).toEqual(["gut", "bloodstream", "out"]);
+        expect(rebuilt.nodeList.length).toBe(2);
+        expect(rebuilt.settings.method).toBe("rk4");
+        expect(parsed.doc.containers[0].x).toBe(10);
+        expect(parsed.doc.units.fluid).toBe("mL");
+        expect(parsed.doc.settings.timePerTick).toBe(2);
+    });
+
+    test('keeps the dosing schedule', () => {
+        const model = buildModel();
+        model.addDose("gut", 10, 1, 0, 12, 4);
+        const rebuilt = FlowSim.buildModel(FlowSim.serializeModel(model));
+        expect(rebuilt.doseList.length).toBe(1);
+        expect(rebuilt.doseList[0].count).toBe(4);
+
+        const doc = FlowSim.serializeModel(model);
+        doc.doses[0].interval = 0;
+        expect(FlowSim.validateModelDocument(doc).errorMsg).toMatch(/interval must be above 0/);
+    });
+
+    test('keeps the kinetic law of every flow node', () => {
+        const model = buildModel();
+        model.nodeList[1].setKinetics({ law: "hill", vmax: 2, km: 0.1, hillCoefficient: 3 });
+        const doc = FlowSim.serializeModel(model);
+        expect(doc.flowNodes[0].kinetics).toEqual({ law: "linear" });
+
+        const rebuilt = FlowSim.buildModel(JSON.parse(JSON.stringify(doc)));
+        expect(rebuilt.nodeList[1].kinetics).toEqual({ law: "hill", vmax: 2, km: 0.1, hillCoefficient: 3 });
+
+        doc.flowNodes[1].kinetics.hillCoefficient = -1;
+        expect(FlowSim.validateModelDocument(doc).errorMsg).toMatch(/hillCoefficient must be a positive number/);
+    });
+
+    test('keeps infusions and where they are drawn', () => {
+        const model = buildModel();
+        model.addInfusion("drip", "bloodstream", 2, 0.1, 5, 65);
+        const doc = JSON.parse(JSON.stringify(FlowSim.serializeModel(model, { positions: { drip: { x: 40, y: 60 } } })));
+        expect(doc.infusions).toEqual([{ name: "drip", target: "bloodstream", rate: 2, concentration: 0.1, startTime: 5, stopTime: 65, x: 40, y: 60 }]);
+
+        const rebuilt = FlowSim.buildModel(doc);
+        expect(rebuilt.findInfusion("drip").rate).toBe(2);
+        expect(rebuilt.findInfusion("drip").stopTime).toBe(65);
+
+        doc.infusions.push({ name: "bloodstream", target: "out", rate: -1, concentration: 0, startTime: 3, stopTime: 1 });
+        const result = FlowSim.validateModelDocument(doc);
+        expect(result.bool).toBe(false);
+        expect(result.errorMsg).toContain("already used");
+        expect(result.errorMsg).toContain("rate must be a number that is not negative");
+    });
+
+    test('keeps substances, what each container starts with and the reactions', () => {
+        const model = buildModel();
+        model.renameSubstance("drug", "paracetamol");
+        model.addSubstance("metabolite");
+        model.findContainer("bloodstream").substances.metabolite.lethalConcentration = 0.2;
+        model.addReaction("bloodstream", "paracetamol", "metabolite", 0.1);
+        model.addInfusion("drip", "bloodstream", 1, 0.5, 0, 10, "metabolite");
+        const doc = JSON.parse(JSON.stringify(FlowSim.serializeModel(model, {
+            initialStates: [{ name: "gut", startLevel: 100, startConcentration: 1, startSubstances: { metabolite: 0.3 } }]
+        })));
+        expect(doc.substances).toEqual(["paracetamol", "metabolite"]);
+        expect(doc.containers[0].substances).toEqual({ metabolite: { startConcentration: 0.3, lethalConcentration: 1 } });
+        expect(doc.reactions).toEqual([{ container: "bloodstream", from: "paracetamol", to: "metabolite", rate: 0.1 }]);
+
+        const rebuilt = FlowSim.buildModel(doc);
+        expect(rebuilt.substanceList).toEqual(["paracetamol", "metabolite"]);
+        expect(rebuilt.findContainer("gut").getConcentration("metabolite")).toBe(0.3);
+        expect(rebuilt.findContainer("bloodstream").getLethalConcentration("metabolite")).toBe(0.2);
+        expect(rebuilt.findInfusion("drip").substance).toBe("metabolite");
+        expect(rebuilt.reactionList.length).toBe(1);
+
+        doc.reactions.push({ container: "gut", from: "metabolite", to: "metabolite", rate: 1 });
+        doc.doses.push({ target: "gut", amount: 1, concentration: 1, startTime: 0, interval: 0, count: 1, substance: "caffeine" });
+        const result = FlowSim.validateModelDocument(doc);
+        expect(result.errorMsg).toContain("from and to must be different substances");
+        expect(result.errorMsg).toContain(`substance "caffeine" is not one of the substances`);
+    });
+
+    test('keeps what each container does when it fills up', () => {
+        const model = buildModel();
+        model.findContainer("gut").setOverflow("spill", "out");
+        model.findContainer("out").setOverflow("stop");
+        const doc = JSON.parse(JSON.stringify(FlowSim.serializeModel(model)));
+        expect(doc.containers[0].overflow).toEqual({ mode: "spill", target: "out" });
+        expect(doc.containers[1].overflow).toEqual({ mode: "back-pressure", target: null });
+
+        const rebuilt = FlowSim.buildModel(doc);
+        expect(rebuilt.findContainer("gut").overflow).toEqual({ mode: "spill", target: "out" });
+        expect(rebuilt.findContainer("out").overflow).toEqual({ mode: "stop", target: null });
+
+        delete doc.containers[0].overflow;
+        expect(FlowSim.buildModel(doc).findContainer("gut").overflow.mode).toBe("back-pressure");
+        doc.containers[1].overflow = { mode: "spill", target: "bloodstream" };
+        doc.containers[2].overflow = { mode: "drain" };
+        const result = FlowSim.validateModelDocument(doc);
+        expect(result.errorMsg).toContain("a container cannot overflow into itself");
+        expect(result.errorMsg).toContain("overflow mode must be one of back-pressure, spill, stop");
+    });
+
+    test('keeps the event rules', () => {
+        const rules = [
+            { container: "bloodstream", quantity: "concentration", substance: null, direction: "above", threshold: "lethal", action: "pause" },
+            { container: "out", quantity: "level", substance: null, direction: "above", threshold: 50, action: "mark" }
+        ];
+        const doc = FlowSim.serializeModel(buildModel(), { eventRules: rules });
+        const parsed = FlowSim.parseModelDocument(JSON.stringify(doc));
+        expect(parsed.bool).toBe(true);
+        expect(parsed.doc.eventRules).toEqual(rules);
+
+        doc.eventRules.push({ container: null, quantity: "level", substance: null, direction: "above", threshold: "lethal", action: "log" });
+        doc.eventRules.push({ container: null, quantity: "concentration", substance: "salt", direction: "above", threshold: 1, action: "log" });
+        const result = FlowSim.validateModelDocument(doc);
+        expect(result.errorMsg).toContain("eventRules[2]: only concentration rules can use the lethal concentration");
+        expect(result.errorMsg).toContain('eventRules[3]: substance "salt" is not one of the substances');
+    });
+
+    test('saves starting states rather than the current values', () => {
+        const model = buildModel();
+        model.runUntil(10);
+        const doc = FlowSim.serializeModel(model, {
+            initialStates: [{ name: "gut", startLevel: 100, startConcentration: 1 }]
+        });
+        expect(doc.containers[0].startLevel).toBe(100);
+        expect(doc.containers[1].startLevel).toBeLessThan(100);
+    });
+
+    test('reports every problem with an invalid document', () => {
+        const doc = FlowSim.serializeModel(buildModel());
+        doc.containers[1].name = "gut";
+        doc.containers[2].maxOutRate = "fast";
+        doc.flowNodes.push({ percentOutRate: 1, from: "liver", to: "out" });
+        const result = FlowSim.validateModelDocument(doc);
+        expect(result.bool).toBe(false);
+        expect(result.errorMsg).toMatch(/used by more than one container/);
+        expect(result.errorMsg).toMatch(/maxOutRate must be a number/);
+        expect(result.errorMsg).toMatch(/"liver" does not exist/);
+    });
+
+    test('rejects files that are not model documents or are too new', () => {
+        expect(FlowSim.parseModelDocument("{").bool).toBe(false);
+        expect(FlowSim.parseModelDocument("[]").bool).toBe(false);
+        const doc = FlowSim.serializeModel(buildModel());
+        doc.version = FlowSim.FORMAT_VERSION + 1;
+        expect(FlowSim.validateModelDocument(doc).errorMsg).toMatch(/newer than this simulator supports/);
+    });
+});
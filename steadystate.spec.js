@@ -0,0 +1,124 @@
+'use strict';
+const FlowSim = require('./js/steadystate.js');
+const engine = require('./js/engine.js');
+
+// runToRest simulates a model for a long time so it can be compared with the solver
+function runToRest(model, endTime) {
+    model.setMethod("rk45");
+    model.setStepSize(1);
+    model.runUntil(endTime);
+    return model;
+}
+
+describe('Steady state solver', () => {
+    test('an infused chain settles where every container lets out what it takes in', () => {
+        const model = new engine.Model();
+        model.addFlowNode(1, "gut", "bloodstream");
+        model.addFlowNode(0.5, "bloodstream", "excreted");
+        model.addContainer(10, 0, 100, "gut", 0, 1);
+        model.addContainer(10, 0, 100, "bloodstream", 0, 1);
+        model.addInfusion("drip", "gut", 2, 0.3, 0, 1e9);
+        model.restart([]);
+
+        const result = FlowSim.solveSteadyState(model);
+        expect(result.bool).toBe(true);
+        expect(result.containers[0].level).toBeCloseTo(2, 12);
+        expect(result.containers[1].level).toBeCloseTo(4, 12);
+        expect(result.containers[1].concentration).toBeCloseTo(0.3, 12);
+        expect(result.nodes[1].rate).toBeCloseTo(2, 12);
+
+        runToRest(model, 200);
+        expect(model.findContainer("bloodstream").currLiquidLevel).toBeCloseTo(4, 4);
+    });
+
+    test('a closed loop keeps its liquid and shares it out by how fast it circulates', () => {
+        const model = new engine.Model();
+        model.addFlowNode(0.25, "bloodstream", "liver");
+        model.addFlowNode(0.5, "liver", "bloodstream");
+        model.addContainer(1000, 300, 1000, "bloodstream", 0.1, 1);
+        model.addContainer(1000, 0, 1000, "liver", 0, 1);
+        model.updateRates();
+
+        const result = FlowSim.solveSteadyState(model);
+        expect(result.bool).toBe(true);
+        expect(result.containers[0].level).toBeCloseTo(200, 9);
+        expect(result.containers[1].level).toBeCloseTo(100, 9);
+        expect(result.containers[1].concentration).toBeCloseTo(0.1, 12);
+
+        runToRest(model, 200);
+        expect(model.findContainer("liver").currLiquidLevel).toBeCloseTo(100, 4);
+        expect(model.findContainer("liver").currConcentration).toBeCloseTo(0.1, 6);
+    });
+
+    test('a loop limited by a maximum output rate holds the extra liquid in the slowest container', () => {
+        const model = new engine.Model();
+        model.addFlowNode(1, "a", "b");
+        model.addFlowNode(1, "b", "a");
+        model.addContainer(1, 50, 100, "a", 0, 1);
+        model.addContainer(10, 50, 100, "b", 0, 1);
+        model.updateRates();
+
+        const result = FlowSim.solveSteadyState(model);
+        expect(result.containers[0].level).toBeCloseTo(99, 9);
+        expect(result.containers[1].level).toBeCloseTo(1, 9);
+
+        runToRest(model, 500);
+        expect(model.findContainer("b").currLiquidLevel).toBeCloseTo(1, 4);
+    });
+
+    test('solves every substance and leaves models with reactions to the simulation', () => {
+        const model = new engine.Model();
+        model.addSubstance("metabolite");
+        model.addFlowNode(1, "gut", "bloodstream");
+        model.addFlowNode(0.5, "bloodstream", "excreted");
+        model.addContainer(10, 0, 100, "gut", 0, 1);
+        model.addContainer(10, 0, 100, "bloodstream", 0, 1);
+        model.addInfusion("drip", "gut", 2, 0.3, 0, 1e9);
+        model.addInfusion("metabolite drip", "gut", 2, 0.1, 0, 1e9, "metabolite");
+        model.restart([]);
+
+        const result = FlowSim.solveSteadyState(model);
+        expect(result.containers[1].concentrations.drug).toBeCloseTo(0.15, 12);
+        expect(result.containers[1].concentrations.metabolite).toBeCloseTo(0.05, 12);
+        expect(result.containers[1].concentration).toBe(result.containers[1].concentrations.drug);
+
+        model.addReaction("bloodstream", "drug", "metabolite", 0.1);
+        expect(FlowSim.solveSteadyState(model).errorMsg).toMatch(/bloodstream turns drug into metabolite/);
+    });
+
+    test('reports networks with no steady state', () => {
+        const draining = new engine.Model();
+        draining.addFlowNode(1, "gut", "out");
+        draining.addContainer(1, 10, 100, "gut", 1, 1);
+        draining.addContainer(1, 0, 100, "out", 0, 1);
+        let result = FlowSim.solveSteadyState(draining);
+        expect(result.bool).toBe(false);
+        expect(result.errorMsg).toMatch(/collects in out/);
+
+        draining.restart([{ name: "gut", startLevel: 0, startConcentration: 0 }]);
+        draining.addInfusion("drip", "gut", 0.5, 1, 0, 10);
+        expect(FlowSim.solveSteadyState(draining).errorMsg).toMatch(/drip keeps filling out/);
+
+        const overloaded = new engine.Model();
+        overloaded.addFlowNode(1, "gut", "excreted");
+        overloaded.addContainer(1, 0, 100, "gut", 0, 1);
+        overloaded.addInfusion("drip", "gut", 2, 1, 0, 10);
+        expect(FlowSim.solveSteadyState(overloaded).errorMsg).toMatch(/gut cannot let liquid out/);
+
+        const small = new engine.Model();
+        small.addFlowNode(0.5, "gut", "excreted");
+        small.addContainer(10, 0, 3, "gut", 0, 1);
+        small.addInfusion("drip", "gut", 2, 1, 0, 10);
+        expect(FlowSim.solveSteadyState(small).errorMsg).toMatch(/gut would have to hold 4, more than its maximum/);
+
+        const saturable = new engine.Model();
+        saturable.addFlowNode(0, "gut", "excreted", { law: "zero-order", rate: 1 });
+        saturable.addContainer(1, 0, 100, "gut", 0, 1);
+        expect(FlowSim.solveSteadyState(saturable).errorMsg).toMatch(/not linear/);
+    });
+
+    test('solves linear systems and spots singular ones', () => {
+        expect(FlowSim.solveLinearSystem([[0, 2], [1, 1]], [4, 3])).toEqual([1, 2]);
+        expect(FlowSim.solveLinearSystem([[1, 2], [2, 4]], [1, 2])).toBeNull();
+    });
+});
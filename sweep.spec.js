@@ -0,0 +1,77 @@
+'use strict';
+const FlowSim = require('./js/sweep.js');
+const buildDocument = require('./fixtures.js').buildDocument;
+
+const options = { output: "peakConcentration", container: "bloodstream", duration: 100, samples: 50 };
+
+describe('Parameter sweeps', () => {
+    test('lists the parameters of a document', () => {
+        const parameters = FlowSim.listSweepParameters(buildDocument());
+        const ids = parameters.map((parameter) => parameter.id);
+        expect(ids).toContain("containers/1/maxOutRate");
+        expect(ids).toContain("flowNodes/1/percentOutRate");
+        const share = parameters.find((parameter) => parameter.id == "flowNodes/1/percentOutRate");
+        expect(share.label).toBe("bloodstream to out share of output rate");
+        expect(share.value).toBe(0.5);
+        expect(share.max).toBe(1);
+    });
+
+    test('a faster bloodstream output rate leaves less in it', () => {
+        const doc = buildDocument();
+        const result = FlowSim.sweepParameters(doc, [{ id: "containers/1/maxOutRate", min: 0.5, max: 2, steps: 4 }],
+            Object.assign({}, options, { output: "finalAmount" }));
+        expect(result.bool).toBe(true);
+        expect(result.axes[0].values).toEqual([0.5, 1, 1.5, 2]);
+        for (let i = 1; i < result.results.length; i++) {
+            expect(result.results[i]).toBeLessThan(result.results[i - 1]);
+        }
+        expect(doc.containers[1].maxOutRate).toBe(0.5);
+
+        const grid = FlowSim.sweepParameters(doc, [
+            { id: "containers/1/maxOutRate", min: 0.5, max: 2, steps: 3 },
+            { id: "containers/0/startLevel", min: 10, max: 20, steps: 2 }
+        ], Object.assign({}, options, { output: "timeToLethal" }));
+        expect(grid.results.length).toBe(2);
+        expect(grid.results[0].length).toBe(3);
+        expect(grid.results[0][0]).toBeNaN();
+        expect(grid.results[1][0]).toBeGreaterThan(grid.results[1][2]);
+    });
+
+    test('checks sweeps and ranks the parameters by how much they change the output', () => {
+        const doc = buildDocument();
+        expect(FlowSim.sweepParameters(doc, [{ id: "flowNodes/1/percentOutRate", min: 0, max: 2, steps: 3 }], options).errorMsg)
+            .toBe("bloodstream to out share of output rate cannot go above 1");
+        expect(FlowSim.sweepParameters(doc, [{ id: "containers/1/maxOutRate", min: 0, max: 1, steps: 3 }],
+            Object.assign({}, options, { container: "liver" })).errorMsg).toBe("there is no container called liver to measure");
+
+        const sensitivities = FlowSim.computeSensitivities(doc, options);
+        expect(sensitivities.bool).toBe(true);
+        expect(sensitivities.base).toBeGreaterThan(0);
+        const spreads = sensitivities.parameters.map((parameter) => Math.abs(parameter.high - parameter.low));
+        for (let i = 1; i < spreads.length; i++) {
+            expect(spreads[i]).toBeLessThanOrEqual(spreads[i - 1]);
+        }
+        expect(sensitivities.parameters[0].label).toBe("gut starting concentration");
+        expect(sensitivities.parameters[0].sensitivity).toBeCloseTo(1);
+        const dilution = sensitivities.parameters.find((parameter) => parameter.id == "containers/1/startLevel");
+        expect(dilution.sensitivity).toBeLessThan(0);
+    });
+
+    test('sweeps one run at a time, saying how far they have got', () => {
+        const doc = buildDocument();
+        const axes = [{ id: "containers/1/maxOutRate", min: 0.5, max: 2, steps: 4 }];
+        const steps = FlowSim.sweepSteps(doc, axes, options);
+        const progress = [];
+        let next = steps.next();
+        while (!next.done) {
+            progress.push(next.value);
+            next = steps.next();
+        }
+        expect(progress).toEqual([0.25, 0.5, 0.75, 1]);
+        expect(next.value).toEqual(FlowSim.sweepParameters(doc, axes, options));
+
+        const failed = FlowSim.sweepSteps(doc, [], options).next();
+        expect(failed.done).toBe(true);
+        expect(failed.value.errorMsg).toBe("a sweep changes one or two parameters");
+    });
+});
@@ -0,0 +1,40 @@
+'use strict';
+const FlowSim = require('./js/undo.js');
+
+describe('Undo history', () => {
+    test('undoes and redoes edits in order', () => {
+        const history = new FlowSim.UndoHistory();
+        history.record("a");
+        history.record("b");
+        expect(history.undo("c")).toBe("b");
+        expect(history.undo("b")).toBe("a");
+        expect(history.undo("a")).toBeNull();
+        expect(history.redo("a")).toBe("b");
+        expect(history.redo("b")).toBe("c");
+        expect(history.canRedo()).toBe(false);
+        expect(history.canUndo()).toBe(true);
+    });
+
+    test('a new edit forgets everything that could have been redone', () => {
+        const history = new FlowSim.UndoHistory();
+        history.record("a");
+        history.undo("b");
+        history.record("a");
+        expect(history.canRedo()).toBe(false);
+        expect(history.undo("c")).toBe("a");
+    });
+
+    test('skips edits that did not change anything and keeps only the newest edits', () => {
+        const history = new FlowSim.UndoHistory(2);
+        history.record("a");
+        history.record("b");
+        history.record("c");
+        history.record("d");
+        expect(history.undo("e")).toBe("d");
+        expect(history.undo("d")).toBe("c");
+        expect(history.undo("c")).toBeNull();
+
+        history.record("e");
+        expect(history.undo("e")).toBeNull();
+    });
+});
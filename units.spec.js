@@ -0,0 +1,59 @@
+'use strict';
+const FlowSim = require('./js/units.js');
+const serialization = require('./js/serialization.js');
+
+describe('Units', () => {
+    test('reads typed values in the units picked or in their own units', () => {
+        const units = { fluid: "mL", time: "min", amount: "mg", molarMass: null };
+        expect(FlowSim.parseQuantity("30", "flow", units).value).toBeCloseTo(0.0005);
+        expect(FlowSim.parseQuantity("30 mL/min", "flow", FlowSim.DEFAULT_UNITS).value).toBeCloseTo(0.0005);
+        expect(FlowSim.parseQuantity("2 h", "time", units).value).toBe(7200);
+        expect(FlowSim.parseQuantity("half-life 2 h", "rate", units).value).toBeCloseTo(Math.LN2 / 7200);
+        expect(FlowSim.parseQuantity("0.1 per min", "rate", units).value).toBeCloseTo(0.1 / 60);
+
+        expect(FlowSim.parseQuantity("abc", "fluid", units).errorMsg).toBe('"abc" is not a number');
+        expect(FlowSim.parseQuantity("3 gallons", "fluid", units).errorMsg).toBe("gallons is not a unit of fluid, like mL");
+        expect(FlowSim.parseQuantity("3 mmol/L", "concentration", units).errorMsg).toBe("mmol/L needs the molar mass of the substances");
+        expect(FlowSim.parseQuantity("0.5 h", "none", units).bool).toBe(false);
+    });
+
+    test('converts to and from base units and names the units', () => {
+        const units = { fluid: "mL", time: "h", amount: "mmol", molarMass: 180 };
+        expect(FlowSim.validateUnits(units).bool).toBe(true);
+        expect(FlowSim.validateUnits(Object.assign({}, units, { molarMass: null })).errorMsg).toBe("mmol needs the molar mass of the substances");
+        expect(FlowSim.validateUnits(Object.assign({}, units, { time: "week" })).bool).toBe(false);
+
+        // 1 mmol/mL of a 180 g/mol substance is 180 g/L
+        expect(FlowSim.toBaseUnits(1, "concentration", units)).toBeCloseTo(180000);
+        expect(FlowSim.fromBaseUnits(FlowSim.toBaseUnits(2.5, "exposure", units), "exposure", units)).toBeCloseTo(2.5);
+        expect(FlowSim.describeUnit("concentration", units)).toBe("mmol/mL");
+        expect(FlowSim.describeUnit("exposure", units)).toBe("mmol·h/mL");
+        expect(FlowSim.describeUnit("rate", units)).toBe("1/h");
+        expect(FlowSim.describeUnit("none", units)).toBe("");
+    });
+
+    test('documents saved before real units are converted from the units they were labelled with', () => {
+        const result = serialization.parseModelDocument(JSON.stringify({
+            format: "flow-rate-simulator",
+            version: 4,
+            units: { fluid: "mL", time: "h" },
+            containers: [
+                { name: "a", maxOutRate: 60, startLevel: 100, maxCapacity: 200, startConcentration: 0.5, lethalConcentration: 0.9 },
+                { name: "b", maxOutRate: 0, startLevel: 0, maxCapacity: 200, startConcentration: 0, lethalConcentration: 1 }
+            ],
+            flowNodes: [{ percentOutRate: 1, from: "a", to: "b", kinetics: { law: "hill", vmax: 60, km: 0.5, hillCoefficient: 2 } }],
+            infusions: [],
+            settings: { timePerTick: 1 }
+        }));
+        expect(result.bool).toBe(true);
+        expect(result.doc.version).toBe(5);
+        expect(result.doc.units).toEqual({ fluid: "mL", time: "h", amount: "mg", molarMass: null });
+        expect(result.doc.containers[0].maxOutRate).toBeCloseTo(60 * 0.001 / 3600);
+        expect(result.doc.containers[0].startLevel).toBeCloseTo(0.1);
+        expect(result.doc.containers[0].startConcentration).toBeCloseTo(500);
+        expect(result.doc.flowNodes[0].kinetics.vmax).toBeCloseTo(60 * 0.001 / 3600);
+        expect(result.doc.flowNodes[0].kinetics.hillCoefficient).toBe(2);
+        expect(FlowSim.KINETIC_QUANTITIES.hillCoefficient).toBe("none");
+        expect(result.doc.settings.timePerTick).toBe(3600);
+    });
+});